@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * String distance benchmark
+ *
+ * Measures the throughput of src/string-distance.js against the natural.js
+ * implementations it replaces. Pairs are name-like strings with typos,
+ * generated from a fixed seed so runs are comparable.
+ *
+ * Usage: node benchmark/string-distance.js [--pairs 1000000]
+ */
+const natural = require('natural');
+const {
+  levenshtein,
+  damerauLevenshtein,
+  jaroWinkler
+} = require('../src/string-distance');
+
+const args = process.argv.slice(2);
+const pairsIndex = args.indexOf('--pairs');
+const PAIR_COUNT = pairsIndex >= 0 ? Number(args[pairsIndex + 1]) : 1000000;
+
+// Distinct pairs generated up front; the benchmark cycles through them
+const POOL_SIZE = 10000;
+
+const FIRST_NAMES = ['james', 'mary', 'robert', 'patricia', 'john', 'jennifer', 'michael', 'linda',
+  'william', 'elizabeth', 'david', 'barbara', 'richard', 'susan', 'joseph', 'jessica', 'thomas',
+  'sarah', 'christopher', 'karen', 'maria', 'jose', 'wei', 'mohammed', 'aleksandr'];
+const LAST_NAMES = ['smith', 'johnson', 'williams', 'brown', 'jones', 'garcia', 'miller', 'davis',
+  'rodriguez', 'martinez', 'hernandez', 'lopez', 'gonzalez', 'wilson', 'anderson', 'thomas',
+  'taylor', 'moore', 'jackson', 'martin', 'van der berg', 'de la cruz', 'nguyen', 'kowalski'];
+
+// Deterministic pseudo-random numbers (mulberry32)
+let seed = 42;
+function random() {
+  seed = (seed + 0x6D2B79F5) | 0;
+  let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+const pick = list => list[Math.floor(random() * list.length)];
+
+// Apply up to three typos: substitutions, deletions, insertions and swaps
+function mutate(name) {
+  let result = name;
+  const edits = Math.floor(random() * 4);
+  for (let i = 0; i < edits && result.length > 1; i++) {
+    const position = Math.floor(random() * (result.length - 1));
+    const letter = String.fromCharCode(97 + Math.floor(random() * 26));
+    switch (Math.floor(random() * 4)) {
+      case 0: result = result.slice(0, position) + letter + result.slice(position + 1); break;
+      case 1: result = result.slice(0, position) + result.slice(position + 1); break;
+      case 2: result = result.slice(0, position) + letter + result.slice(position); break;
+      default: result = result.slice(0, position) + result[position + 1] + result[position] + result.slice(position + 2);
+    }
+  }
+  return result;
+}
+
+const pool = [];
+for (let i = 0; i < POOL_SIZE; i++) {
+  const name = `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`;
+  // Half the pairs are typo variants, half unrelated names
+  pool.push([name, random() < 0.5 ? mutate(name) : `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`]);
+}
+
+const CASES = {
+  'levenshtein': (a, b) => levenshtein(a, b),
+  'levenshtein (maxDistance 2)': (a, b) => levenshtein(a, b, 2),
+  'damerauLevenshtein': (a, b) => damerauLevenshtein(a, b),
+  'jaroWinkler': (a, b) => jaroWinkler(a, b),
+  'natural.LevenshteinDistance': (a, b) => natural.LevenshteinDistance(a, b),
+  'natural.JaroWinklerDistance': (a, b) => natural.JaroWinklerDistance(a, b)
+};
+
+console.log(`${PAIR_COUNT.toLocaleString()} pairs per case (Node ${process.version})\n`);
+
+for (const [name, fn] of Object.entries(CASES)) {
+  // Warm up so the timed loop runs optimized code
+  for (let i = 0; i < POOL_SIZE; i++) fn(pool[i][0], pool[i][1]);
+
+  let checksum = 0;
+  const started = process.hrtime.bigint();
+  for (let i = 0; i < PAIR_COUNT; i++) {
+    const pair = pool[i % POOL_SIZE];
+    checksum += fn(pair[0], pair[1]);
+  }
+  const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+
+  const rate = Math.round(PAIR_COUNT / seconds).toLocaleString();
+  console.log(`${name.padEnd(30)} ${seconds.toFixed(2).padStart(7)} s ${rate.padStart(14)} pairs/s  (checksum ${checksum.toFixed(0)})`);
+}
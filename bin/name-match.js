@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+
+/**
+ * name-match command-line tool (see src/cli.js)
+ */
+const { run } = require('../src/cli');
+
+run(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
@@ -8,6 +8,20 @@
 const EnhancedNaturalMatcher = require('./src/enhanced-natural-matcher');
 const EnhancedMatcher = require('./src/enhanced-matcher');
 const NameNormalizer = require('./src/name-normalizer');
+const StringDistance = require('./src/string-distance');
+const NicknameDictionary = require('./src/nickname-dictionary');
+const { FamilyNameList } = require('./src/family-name-list');
+const { HonorificRegistry } = require('./src/honorifics');
+const NameIndex = require('./src/name-index');
+const DedupeStream = require('./src/dedupe-stream');
+const { cluster } = require('./src/cluster');
+const { link } = require('./src/link');
+const { evaluate } = require('./src/evaluation');
+const { matchMany } = require('./src/match-many');
+const PersonMatcher = require('./src/person-matcher');
+const PreparedName = require('./src/prepared-name');
+const { FellegiSunterModel } = require('./src/fellegi-sunter');
+const { PRESETS } = require('./src/presets');
 
 module.exports = {
   // Main matcher
@@ -16,15 +30,45 @@ module.exports = {
   // Component matchers
   EnhancedMatcher,
   
+  // Indexed candidate search
+  NameIndex,
+  
+  // Streaming deduplication
+  DedupeStream,
+  
+  // Multi-field person matching
+  PersonMatcher,
+  
+  // Probabilistic scoring
+  FellegiSunterModel,
+  
   // Utilities
   NameNormalizer,
+  StringDistance,
+  NicknameDictionary,
+  FamilyNameList,
+  HonorificRegistry,
+  PreparedName,
+  
+  // Named matcher configurations
+  PRESETS,
   
   // Convenience function for simple matching
+  // Pass { explain: true } to get the full score breakdown instead of a number
   match: function(name1, name2, options = { threshold: 0.75 }) {
     const matcher = new EnhancedNaturalMatcher(options);
+    if (options.explain) {
+      return matcher.explain(name1, name2);
+    }
     return matcher.getSimilarity(name1, name2);
   },
   
+  // Convenience function for explaining a match score
+  explain: function(name1, name2, options = { threshold: 0.75 }) {
+    const matcher = new EnhancedNaturalMatcher(options);
+    return matcher.explain(name1, name2);
+  },
+  
   // Convenience function for checking if names match
   isMatch: function(name1, name2, options = { threshold: 0.75 }) {
     const matcher = new EnhancedNaturalMatcher(options);
@@ -35,5 +79,25 @@ module.exports = {
   matchGroup: function(nameGroup, options = { threshold: 0.75 }) {
     const matcher = new EnhancedNaturalMatcher(options);
     return matcher.matchNameGroup(nameGroup);
-  }
+  },
+  
+  // Convenience function for ranking candidates against a query
+  // Takes findBestMatches options (limit, threshold, keyFn) along with matcher options
+  findBestMatches: function(query, candidates, options = { threshold: 0.75 }) {
+    const { limit, threshold, keyFn, ...matcherOptions } = options;
+    const matcher = new EnhancedNaturalMatcher(matcherOptions);
+    return matcher.findBestMatches(query, candidates, { limit, threshold, keyFn });
+  },
+  
+  // Cluster a list of names into groups of likely-same people
+  cluster,
+  
+  // Link the records of two lists
+  link,
+  
+  // Measure a matcher against labeled pairs
+  evaluate,
+  
+  // Score many pairs in worker threads without blocking the event loop
+  matchMany
 };
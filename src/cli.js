@@ -0,0 +1,369 @@
+/**
+ * Command-line interface
+ *
+ * Implements the `name-match` command: compare two names, parse names,
+ * deduplicate a CSV file and link two CSV files. Files are read one row
+ * at a time and results are written as they are produced, so only the
+ * indexed names are held in memory.
+ */
+const fs = require('fs');
+const { once } = require('events');
+const EnhancedNaturalMatcher = require('./enhanced-natural-matcher');
+const NameIndex = require('./name-index');
+const { parseName } = require('./name-normalizer');
+const { readCsvRecords, formatCsvRow } = require('./csv');
+
+const USAGE = `Usage: name-match <command> [options]
+
+Commands:
+  compare <name1> <name2>     Score two names
+  parse <name...>             Parse names into their components
+  dedupe <file.csv>           Assign every row of a file to a cluster of likely duplicates
+  link <a.csv> <b.csv>        Find the best match in b.csv for every row of a.csv
+
+Options:
+  --threshold <n>             Minimum score for a match (default: 0.75)
+  --preset <name>             Matcher preset (identity-verification, deduplication)
+  --model <file.json>         Score with a saved probabilistic model
+  --explain                   Include the score explanation
+  --format <csv|json|ndjson>  Output format (default: csv)
+  --output <file>             Write to a file instead of standard output
+  --column <name>             Column holding the names (default: name)
+  --column-a <name>           Name column of a.csv (link; defaults to --column)
+  --column-b <name>           Name column of b.csv (link; defaults to --column)
+  --separator <char>          CSV field separator (default: ,)
+  -h, --help                  Show this help
+
+Use - as a file name to read standard input.
+`;
+
+// Options that take a value
+const VALUE_OPTIONS = ['threshold', 'preset', 'model', 'format', 'output', 'column', 'column-a', 'column-b', 'separator'];
+
+// Options that are switched on by their presence
+const FLAG_OPTIONS = ['explain', 'help'];
+
+const FORMATS = ['csv', 'json', 'ndjson'];
+
+/**
+ * Create an error reported with the usage text
+ * @param {string} message - Error message
+ * @returns {Error} - Error with exitCode 2
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = 2;
+  return error;
+}
+
+/**
+ * Split command-line arguments into a command, positional arguments and options
+ * @param {Array} argv - Arguments (without the node executable and script)
+ * @returns {Object} - { command, args, options }
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--')) {
+      const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      if (FLAG_OPTIONS.includes(name)) {
+        options[name] = true;
+      } else if (VALUE_OPTIONS.includes(name)) {
+        const value = inlineValue !== undefined ? inlineValue : argv[++i];
+        if (value === undefined) throw usageError(`Missing value for --${name}`);
+        options[name] = value;
+      } else {
+        throw usageError(`Unknown option: --${name}`);
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  const [command, ...args] = positional;
+  return { command, args, options };
+}
+
+/**
+ * Create the matcher described by the options
+ * @param {Object} options - Parsed command-line options
+ * @returns {EnhancedNaturalMatcher} - Matcher
+ */
+function createMatcher(options) {
+  const config = {};
+
+  if (options.threshold !== undefined) {
+    const threshold = Number(options.threshold);
+    if (!(threshold >= 0 && threshold <= 1)) {
+      throw usageError(`Invalid threshold: ${options.threshold}`);
+    }
+    config.threshold = threshold;
+  }
+  if (options.preset) config.preset = options.preset;
+  if (options.model) config.model = fs.readFileSync(options.model, 'utf8');
+
+  return new EnhancedNaturalMatcher(config);
+}
+
+/**
+ * Create a writer that formats records as CSV, JSON or NDJSON
+ * @param {Writable} stream - Destination stream
+ * @param {string} format - 'csv', 'json' or 'ndjson'
+ * @param {Array} columns - CSV columns, in order
+ * @param {string} separator - CSV field separator
+ * @returns {Object} - { write(record), end() }, both returning promises
+ */
+function createWriter(stream, format, columns, separator) {
+  let count = 0;
+
+  // Respect backpressure so large outputs are not buffered in memory
+  const writeText = async text => {
+    if (!stream.write(text)) await once(stream, 'drain');
+  };
+
+  return {
+    async write(record) {
+      if (format === 'csv') {
+        if (count === 0) await writeText(formatCsvRow(columns, separator));
+        await writeText(formatCsvRow(columns.map(column => record[column]), separator));
+      } else if (format === 'json') {
+        await writeText(`${count === 0 ? '[\n' : ',\n'}${JSON.stringify(record)}`);
+      } else {
+        await writeText(`${JSON.stringify(record)}\n`);
+      }
+      count++;
+    },
+
+    async end() {
+      if (format === 'json') {
+        await writeText(count === 0 ? '[]\n' : '\n]\n');
+      } else if (format === 'csv' && count === 0) {
+        await writeText(formatCsvRow(columns, separator));
+      }
+    }
+  };
+}
+
+/**
+ * Open a CSV file (or standard input for '-') as a stream of records
+ * @param {string} file - File path or '-'
+ * @param {Object} context - { stdin, separator }
+ * @returns {AsyncGenerator} - Records (see readCsvRecords)
+ */
+function openCsv(file, context) {
+  const source = file === '-' ? context.stdin : fs.createReadStream(file);
+  return readCsvRecords(source, { separator: context.separator });
+}
+
+/**
+ * Get the name column of a CSV record, failing if the column is missing
+ * @param {Object} record - Record from readCsvRecords
+ * @param {string} column - Column name
+ * @param {string} file - File name, for the error message
+ * @returns {string} - Name
+ */
+function getName(record, column, file) {
+  if (!record.header.includes(column)) {
+    throw usageError(`Column "${column}" not found in ${file} (columns: ${record.header.join(', ')})`);
+  }
+  return record.values[column];
+}
+
+/**
+ * name-match compare <name1> <name2>
+ */
+async function compare(args, options, writer, context) {
+  if (args.length !== 2) throw usageError('compare needs exactly two names');
+
+  const [name1, name2] = args;
+  const explanation = context.matcher.explain(name1, name2);
+  await writer.write({
+    name1,
+    name2,
+    score: explanation.score,
+    isMatch: explanation.isMatch,
+    threshold: explanation.threshold,
+    ...(options.explain ? { explanation } : {})
+  });
+}
+
+/**
+ * name-match parse <name...>
+ */
+async function parse(args, options, writer, context) {
+  if (args.length === 0) throw usageError('parse needs at least one name');
+
+  for (const name of args) {
+    const parsed = parseName(name, context.matcher.enhancedMatcher.parseOptions);
+    if (context.format !== 'csv') {
+      await writer.write(parsed);
+      continue;
+    }
+
+    // Flatten the lists for CSV
+    await writer.write({
+      ...parsed,
+      prefixes: (parsed.prefixes || []).join(' '),
+      middleNames: (parsed.middleNames || []).join(' '),
+      surnames: (parsed.surnames || []).join('; '),
+      suffixes: (parsed.suffixes || []).join(' ')
+    });
+  }
+}
+
+/**
+ * name-match dedupe <file.csv>
+ *
+ * Each row is searched against the rows before it and joins the cluster
+ * of its best match; rows without a match start a new cluster. Clusters
+ * are numbered by their first row.
+ */
+async function dedupe(args, options, writer, context) {
+  if (args.length !== 1) throw usageError('dedupe needs one CSV file');
+
+  const [file] = args;
+  const { matcher } = context;
+  const index = new NameIndex({ matcher });
+  const clusterOf = new Map();
+
+  for await (const record of openCsv(file, context)) {
+    const name = getName(record, context.column, file);
+    const [best] = name ? index.search(name, { limit: 1 }) : [];
+    const cluster = best ? clusterOf.get(best.id) : record.row;
+
+    if (name) {
+      index.add(record.row, name);
+      clusterOf.set(record.row, cluster);
+    }
+
+    await writer.write({
+      row: record.row,
+      name,
+      cluster,
+      matchRow: best ? best.id : null,
+      matchName: best ? best.name : null,
+      score: best ? best.score : null,
+      ...(options.explain ? { explanation: best ? matcher.explain(name, best.name) : null } : {})
+    });
+  }
+}
+
+/**
+ * name-match link <a.csv> <b.csv>
+ *
+ * Indexes the names of b.csv, then streams a.csv and reports the best
+ * match of every row (rows of b.csv may be matched more than once).
+ */
+async function link(args, options, writer, context) {
+  if (args.length !== 2) throw usageError('link needs two CSV files');
+
+  const [fileA, fileB] = args;
+  if (fileA === '-' && fileB === '-') throw usageError('Only one file can be read from standard input');
+
+  const { matcher } = context;
+  const columnA = options['column-a'] || context.column;
+  const columnB = options['column-b'] || context.column;
+
+  const index = new NameIndex({ matcher });
+  for await (const record of openCsv(fileB, context)) {
+    const name = getName(record, columnB, fileB);
+    if (name) index.add(record.row, name);
+  }
+
+  for await (const record of openCsv(fileA, context)) {
+    const name = getName(record, columnA, fileA);
+    const [best] = name ? index.search(name, { limit: 1 }) : [];
+
+    await writer.write({
+      rowA: record.row,
+      nameA: name,
+      rowB: best ? best.id : null,
+      nameB: best ? best.name : null,
+      score: best ? best.score : null,
+      ...(options.explain ? { explanation: best ? matcher.explain(name, best.name) : null } : {})
+    });
+  }
+}
+
+// Subcommands and their CSV columns
+const COMMANDS = {
+  compare: { run: compare, columns: ['name1', 'name2', 'score', 'isMatch', 'threshold'] },
+  parse: {
+    run: parse,
+    columns: ['original', 'firstName', 'middleNames', 'lastName', 'surnames', 'prefixes', 'suffixes', 'order']
+  },
+  dedupe: { run: dedupe, columns: ['row', 'name', 'cluster', 'matchRow', 'matchName', 'score'] },
+  link: { run: link, columns: ['rowA', 'nameA', 'rowB', 'nameB', 'score'] }
+};
+
+/**
+ * Run the command line
+ * @param {Array} argv - Arguments (without the node executable and script)
+ * @param {Object} [io] - Streams to use instead of the process streams
+ * @param {Readable} [io.stdin] - Standard input
+ * @param {Writable} [io.stdout] - Standard output
+ * @param {Writable} [io.stderr] - Standard error
+ * @returns {Promise<number>} - Exit code: 0 on success, 1 on errors, 2 on usage errors
+ */
+async function run(argv, io = {}) {
+  const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr } = io;
+
+  let output = null;
+  try {
+    const { command, args, options } = parseArgs(argv);
+    if (options.help || !command) {
+      (options.help ? stdout : stderr).write(USAGE);
+      return options.help ? 0 : 2;
+    }
+
+    const definition = COMMANDS[command];
+    if (!definition) throw usageError(`Unknown command: ${command}`);
+
+    const format = options.format || 'csv';
+    if (!FORMATS.includes(format)) throw usageError(`Unknown format: ${format}`);
+
+    const separator = options.separator || ',';
+    const context = {
+      matcher: createMatcher(options),
+      format,
+      column: options.column || 'name',
+      separator,
+      stdin
+    };
+
+    output = options.output ? fs.createWriteStream(options.output) : null;
+    const columns = options.explain && command !== 'parse'
+      ? [...definition.columns, 'explanation']
+      : definition.columns;
+    const writer = createWriter(output || stdout, format, columns, separator);
+
+    await definition.run(args, options, writer, context);
+    await writer.end();
+
+    if (output) {
+      output.end();
+      await once(output, 'finish');
+    }
+    return 0;
+  } catch (error) {
+    if (output) output.destroy();
+
+    stderr.write(`name-match: ${error.message}\n`);
+    if (error.exitCode === 2) {
+      stderr.write('Run name-match --help for usage.\n');
+      return 2;
+    }
+    return 1;
+  }
+}
+
+module.exports = {
+  run,
+  parseArgs
+};
@@ -0,0 +1,280 @@
+/**
+ * Entity clustering
+ *
+ * Groups a list of names into clusters of likely-same people. Pairs
+ * are only scored when they share a blocking key (see NameIndex), and
+ * clusters are merged along those scored pairs only, so the cost grows
+ * with the number of candidate pairs rather than the square of the
+ * cluster sizes.
+ */
+const EnhancedNaturalMatcher = require('./enhanced-natural-matcher');
+const NameIndex = require('./name-index');
+const { normalizeRecords, connectedComponents } = require('./records');
+
+// Score of two clusters from the known scores of their cross pairs
+// ({ sum, count, min, max }) and the number of cross pairs. Pairs never
+// compared (not blocking candidates) count as a score of 0.
+const LINKAGES = {
+  single: stats => stats.max,
+  complete: (stats, pairs) => (stats.count < pairs ? 0 : stats.min),
+  average: (stats, pairs) => stats.sum / pairs
+};
+
+/**
+ * Binary heap of candidate merges, best score first
+ *
+ * Ties are broken by cluster position so results do not depend on the
+ * order merges were queued in.
+ */
+class MergeQueue {
+  constructor() {
+    this.heap = [];
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  /**
+   * Check whether one merge should be taken before another
+   * @param {Object} a - Merge
+   * @param {Object} b - Merge
+   * @returns {boolean} - True if a comes first
+   */
+  before(a, b) {
+    if (a.score !== b.score) return a.score > b.score;
+    if (a.a !== b.a) return a.a < b.a;
+    return a.b < b.b;
+  }
+
+  push(merge) {
+    const { heap } = this;
+    heap.push(merge);
+
+    let index = heap.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (!this.before(heap[index], heap[parent])) break;
+      [heap[index], heap[parent]] = [heap[parent], heap[index]];
+      index = parent;
+    }
+  }
+
+  pop() {
+    const { heap } = this;
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length === 0) return top;
+
+    heap[0] = last;
+    let index = 0;
+    for (;;) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let first = index;
+      if (left < heap.length && this.before(heap[left], heap[first])) first = left;
+      if (right < heap.length && this.before(heap[right], heap[first])) first = right;
+      if (first === index) return top;
+
+      [heap[index], heap[first]] = [heap[first], heap[index]];
+      index = first;
+    }
+  }
+}
+
+/**
+ * Cluster names into groups of likely-same people
+ *
+ * @param {Array} records - Array of names or { id, name } objects
+ * @param {Object} [options] - Clustering options; other options are passed to EnhancedNaturalMatcher
+ * @param {number} [options.threshold] - Minimum score for names (or clusters) to be joined
+ *   (defaults to the matcher's threshold)
+ * @param {string} [options.linkage='average'] - 'connected' joins everything connected by pairs
+ *   above the threshold; 'single', 'average' and 'complete' merge clusters one at a time while the
+ *   best, average or worst score between their members stays above the threshold (members that were
+ *   never compared count as a score of 0)
+ * @param {number} [options.minSize=1] - Leave out clusters with fewer members (2 returns duplicates only)
+ * @param {EnhancedNaturalMatcher} [options.matcher] - Matcher used to score pairs
+ * @param {number} [options.maxCandidates] - Most candidates compared per name (see NameIndex)
+ * @param {number} [options.maxBlockSize] - Largest block used for candidates (see NameIndex)
+ * @returns {Array} - Array of { members, representative, size, scores }, largest cluster first.
+ *   `members` are { id, name } records, `representative` is the name most similar to the other
+ *   members and `scores` holds the { min, average, max } score between compared members (null
+ *   for singletons).
+ */
+function cluster(records, options = {}) {
+  const {
+    linkage = 'average',
+    minSize = 1,
+    matcher: providedMatcher,
+    maxCandidates,
+    maxBlockSize,
+    threshold: thresholdOption,
+    ...matcherOptions
+  } = options;
+
+  if (linkage !== 'connected' && !LINKAGES[linkage]) {
+    throw new Error(`Unknown linkage: ${linkage}`);
+  }
+
+  const matcher = providedMatcher || new EnhancedNaturalMatcher({ ...matcherOptions, threshold: thresholdOption });
+  const threshold = thresholdOption !== undefined ? thresholdOption : matcher.threshold;
+  const items = normalizeRecords(records);
+
+  // Parse each name once, for its blocking keys and every comparison
+  const prepared = items.map(item => (item.name ? matcher.prepare(item.name) : item.name));
+
+  // Compare each name with its blocking candidates, scoring each pair once
+  const index = new NameIndex({ matcher, maxCandidates, maxBlockSize });
+  prepared.forEach((name, position) => index.add(position, name));
+
+  // position -> Map of compared position -> score
+  const neighbours = items.map(() => new Map());
+  const pairs = [];
+  prepared.forEach((name, position) => {
+    for (const candidate of index.getCandidates(name)) {
+      if (candidate === position || neighbours[position].has(candidate)) continue;
+
+      const score = matcher.getSimilarity(name, prepared[candidate]);
+      neighbours[position].set(candidate, score);
+      neighbours[candidate].set(position, score);
+      pairs.push([position, candidate, score]);
+    }
+  });
+
+  const groups = linkage === 'connected'
+    ? connectedComponents(items.length, pairs.filter(([, , score]) => score >= threshold))
+    : agglomerate(items.length, pairs, LINKAGES[linkage], threshold);
+
+  return groups
+    .filter(group => group.length >= minSize)
+    .map(group => describeCluster(group, items, neighbours))
+    .sort((a, b) => b.size - a.size);
+}
+
+/**
+ * Merge clusters bottom-up, best-linked pair first
+ *
+ * Every cluster keeps statistics of its known cross-pair scores with
+ * each neighbouring cluster, so a merge only updates the neighbours of
+ * the two merged clusters. Candidate merges wait in a priority queue;
+ * entries made stale by a later merge are skipped when they come up.
+ *
+ * @param {number} count - Number of items
+ * @param {Array} pairs - Array of [position, position, score] for every compared pair
+ * @param {Function} link - Linkage function (see LINKAGES)
+ * @param {number} threshold - Minimum linkage score for a merge
+ * @returns {Array} - Array of position arrays
+ */
+function agglomerate(count, pairs, link, threshold) {
+  const members = Array.from({ length: count }, (_, position) => [position]);
+
+  // cluster -> Map of neighbouring cluster -> { sum, count, min, max }
+  const links = members.map(() => new Map());
+  for (const [a, b, score] of pairs) {
+    const stats = { sum: score, count: 1, min: score, max: score };
+    links[a].set(b, stats);
+    links[b].set(a, stats);
+  }
+
+  // Bumped on every merge into a cluster, invalidating its queued merges
+  const versions = new Array(count).fill(0);
+  const queue = new MergeQueue();
+  const enqueue = (a, b) => {
+    const [first, second] = a < b ? [a, b] : [b, a];
+    const score = link(links[first].get(second), members[first].length * members[second].length);
+    if (score >= threshold) {
+      queue.push({ a: first, b: second, score, versions: [versions[first], versions[second]] });
+    }
+  };
+
+  for (const [a, b] of pairs) enqueue(a, b);
+
+  while (queue.size > 0) {
+    const { a, b, versions: queued } = queue.pop();
+    if (!members[a] || !members[b] || versions[a] !== queued[0] || versions[b] !== queued[1]) continue;
+
+    // Merge b into a
+    members[a] = members[a].concat(members[b]);
+    members[b] = null;
+    versions[a]++;
+    links[a].delete(b);
+
+    for (const [other, stats] of links[b]) {
+      if (other === a) continue;
+      links[other].delete(b);
+
+      const existing = links[a].get(other);
+      const merged = existing
+        ? {
+          sum: existing.sum + stats.sum,
+          count: existing.count + stats.count,
+          min: Math.min(existing.min, stats.min),
+          max: Math.max(existing.max, stats.max)
+        }
+        : stats;
+      links[a].set(other, merged);
+      links[other].set(a, merged);
+    }
+    links[b] = null;
+
+    // The merged cluster's size changed, so all of its linkage scores did
+    for (const other of links[a].keys()) enqueue(a, other);
+  }
+
+  return members.filter(Boolean);
+}
+
+/**
+ * Describe a cluster: its members, representative name and internal scores
+ * @param {Array} group - Array of positions
+ * @param {Array} items - Normalized records
+ * @param {Array} neighbours - Map of compared position -> score for every position
+ * @returns {Object} - Cluster description
+ */
+function describeCluster(group, items, neighbours) {
+  const members = group.map(position => items[position]);
+  if (group.length === 1) {
+    return { members, representative: members[0].name, size: 1, scores: null };
+  }
+
+  // Only compared pairs have scores; scoring every pair would be quadratic in the cluster size
+  const offsets = new Map(group.map((position, offset) => [position, offset]));
+  const scores = { min: Infinity, average: 0, max: -Infinity };
+  let pairCount = 0;
+  const totals = group.map(() => 0);
+  group.forEach((position, offset) => {
+    for (const [other, score] of neighbours[position]) {
+      const otherOffset = offsets.get(other);
+      if (otherOffset === undefined || otherOffset < offset) continue;
+
+      scores.min = Math.min(scores.min, score);
+      scores.max = Math.max(scores.max, score);
+      scores.average += score;
+      pairCount++;
+      totals[offset] += score;
+      totals[otherOffset] += score;
+    }
+  });
+  scores.average /= pairCount;
+
+  // The medoid; the longer (more complete) name wins ties
+  let representative = 0;
+  for (let i = 1; i < group.length; i++) {
+    const better = totals[i] > totals[representative] ||
+      (totals[i] === totals[representative] && members[i].name.length > members[representative].name.length);
+    if (better) representative = i;
+  }
+
+  return {
+    members,
+    representative: members[representative].name,
+    size: group.length,
+    scores
+  };
+}
+
+module.exports = {
+  cluster,
+  LINKAGES
+};
@@ -0,0 +1,165 @@
+/**
+ * CSV helpers
+ *
+ * A small streaming CSV reader (RFC 4180: quoted fields may contain
+ * separators, doubled quotes and line breaks) and a row formatter, so
+ * large files can be processed one row at a time.
+ */
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Create an incremental CSV parser
+ *
+ * Text is fed in pieces of any size; rows are returned as soon as their
+ * line break has been read. Blank lines are skipped.
+ *
+ * @param {string} [separator=','] - Field separator
+ * @returns {Object} - { write(text), end() }, each returning the rows completed so far
+ */
+function createParser(separator = ',') {
+  let row = [];
+  let field = '';
+  let quoted = false;
+  // A quote seen inside a quoted field: either the closing quote or the first of a doubled pair
+  let pendingQuote = false;
+  let started = false;
+
+  const endRow = () => {
+    row.push(field);
+    const completed = row;
+    row = [];
+    field = '';
+    started = false;
+    return completed;
+  };
+
+  return {
+    write(text) {
+      const rows = [];
+
+      for (const character of text) {
+        if (pendingQuote) {
+          pendingQuote = false;
+          if (character === '"') {
+            field += '"';
+            continue;
+          }
+          quoted = false;
+        }
+
+        if (quoted) {
+          if (character === '"') pendingQuote = true;
+          else field += character;
+          continue;
+        }
+
+        if (character === '"' && field === '') {
+          quoted = true;
+          started = true;
+        } else if (character === separator) {
+          row.push(field);
+          field = '';
+          started = true;
+        } else if (character === '\n') {
+          const completed = endRow();
+          // Skip blank lines
+          if (completed.length > 1 || completed[0] !== '') rows.push(completed);
+        } else if (character !== '\r') {
+          field += character;
+          started = true;
+        }
+      }
+
+      return rows;
+    },
+
+    end() {
+      return started || field !== '' || row.length > 0 ? [endRow()] : [];
+    }
+  };
+}
+
+/**
+ * Parse CSV rows from a stream of text chunks
+ * @param {AsyncIterable} source - Readable stream or other async iterable of strings/Buffers
+ * @param {Object} [options] - Parser options
+ * @param {string} [options.separator=','] - Field separator
+ * @returns {AsyncGenerator} - Yields each row as an array of strings
+ */
+async function* parseCsv(source, options = {}) {
+  const parser = createParser(options.separator);
+
+  // Characters split across Buffer chunks are joined by the decoder
+  const decoder = new StringDecoder('utf8');
+
+  for await (const chunk of source) {
+    yield* parser.write(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+  }
+
+  // An incomplete character left at the end of the input becomes U+FFFD
+  yield* parser.write(decoder.end());
+  yield* parser.end();
+}
+
+/**
+ * Split a single CSV line into fields
+ * @param {string} line - CSV line
+ * @param {string} [separator=','] - Field separator
+ * @returns {Array} - Array of field values
+ */
+function splitCsvLine(line, separator = ',') {
+  const parser = createParser(separator);
+  const [fields] = [...parser.write(line), ...parser.end()];
+  return fields || [''];
+}
+
+/**
+ * Read CSV records as objects keyed by the header row
+ * @param {AsyncIterable} source - Readable stream or other async iterable of strings/Buffers
+ * @param {Object} [options] - Parser options (see parseCsv)
+ * @returns {AsyncGenerator} - Yields { row, values } where `row` is the 1-based data row number
+ *   and `values` maps each header to its field
+ */
+async function* readCsvRecords(source, options = {}) {
+  let header = null;
+  let row = 0;
+
+  for await (const fields of parseCsv(source, options)) {
+    if (!header) {
+      // Strip a byte order mark from the first header
+      header = fields.map((name, index) => (index === 0 ? name.replace(/^\uFEFF/, '') : name).trim());
+      continue;
+    }
+
+    row++;
+    const values = {};
+    header.forEach((name, index) => {
+      values[name] = fields[index] !== undefined ? fields[index] : '';
+    });
+    yield { row, header, values };
+  }
+}
+
+/**
+ * Format one CSV row, quoting fields where needed
+ * @param {Array} values - Field values (null/undefined become empty fields, objects become JSON)
+ * @param {string} [separator=','] - Field separator
+ * @returns {string} - Row text including the line break
+ */
+function formatCsvRow(values, separator = ',') {
+  return values.map(value => {
+    if (value === null || value === undefined) return '';
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /["\r\n]/.test(text) || text.includes(separator)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  }).join(separator) + '\n';
+}
+
+module.exports = {
+  parseCsv,
+  splitCsvLine,
+  readCsvRecords,
+  formatCsvRow
+};
@@ -0,0 +1,268 @@
+/**
+ * Streaming deduplication
+ *
+ * A Transform stream that compares each incoming name record against the
+ * records it has already seen and emits one result per record: a
+ * duplicate of its best earlier match, or a unique record that starts a
+ * new cluster. Earlier records are held in a NameIndex whose size is
+ * capped (the oldest records are evicted first), and the index can be
+ * checkpointed to a file and restored to resume an interrupted run.
+ */
+const fs = require('fs');
+const { Transform } = require('stream');
+const NameIndex = require('./name-index');
+
+// Version of the checkpoint format written by toJSON
+const CHECKPOINT_VERSION = 1;
+
+class DedupeStream extends Transform {
+  /**
+   * Create a new DedupeStream
+   *
+   * Written records are names or { id, name } objects (a record without an
+   * id gets its 0-based position in the stream); a record whose id is still
+   * indexed is a duplicate of the record stored under it. Each record is read
+   * as one result object: { type: 'duplicate'|'unique', id, name, cluster, match, record },
+   * where `match` is the best earlier { id, name, score } at or above the
+   * threshold (null for unique records) and `cluster` is the id of the first
+   * record of the cluster.
+   *
+   * @param {Object} [options] - Stream options; other options are passed to NameIndex
+   *   (matcher, maxCandidates, maxBlockSize, ...) and EnhancedNaturalMatcher (threshold, ...)
+   * @param {number} [options.maxRecords=1000000] - Most records kept in the index; the
+   *   oldest are evicted beyond this, so later duplicates of them are not found
+   * @param {string} [options.checkpointPath] - File written by checkpoint() by default
+   * @param {number} [options.checkpointInterval=0] - Write a checkpoint every this many
+   *   records (0 only checkpoints when the stream ends, if checkpointPath is set)
+   * @param {boolean} [options.skipProcessed=false] - After restoring a checkpoint, drop as many
+   *   incoming records as the checkpoint had processed (for inputs replayed from the start)
+   */
+  constructor(options = {}) {
+    const {
+      maxRecords = 1000000,
+      checkpointPath = null,
+      checkpointInterval = 0,
+      skipProcessed = false,
+      highWaterMark,
+      ...indexOptions
+    } = options;
+
+    if (!Number.isInteger(maxRecords) || maxRecords < 1) {
+      throw new TypeError(`maxRecords must be a positive integer: ${maxRecords}`);
+    }
+
+    super({ objectMode: true, highWaterMark });
+
+    this.index = new NameIndex(indexOptions);
+    this.matcher = this.index.matcher;
+    this.maxRecords = maxRecords;
+    this.checkpointPath = checkpointPath;
+    this.checkpointInterval = checkpointInterval;
+    this.skipProcessed = skipProcessed;
+
+    // Indexed id -> cluster id
+    this.clusters = new Map();
+
+    // Incoming records still to drop after a restore (see skipProcessed)
+    this.skipping = 0;
+
+    this.processed = 0;
+    this.duplicates = 0;
+    this.evicted = 0;
+  }
+
+  /**
+   * Compare one record against the records seen so far
+   * @param {string|Object} record - Name or { id, name } object
+   * @returns {Object} - Result object (see the constructor)
+   */
+  processRecord(record) {
+    const position = this.processed;
+    const { id, name } = typeof record === 'string'
+      ? { id: position, name: record }
+      : { id: record.id !== undefined ? record.id : position, name: record.name };
+
+    // A record seen before under the same id is a duplicate of the stored record,
+    // whatever its name now; the stored record is kept as it is
+    const repeated = this.index.has(id);
+
+    let best;
+    if (repeated) {
+      const stored = this.index.records.get(id);
+      best = { id, name: stored.name, score: name ? this.matcher.getSimilarity(name, stored.prepared) : 0 };
+    } else {
+      [best] = name ? this.index.search(name, { limit: 1 }) : [];
+    }
+    const cluster = best ? this.clusters.get(best.id) : id;
+
+    if (name && !repeated) {
+      this.index.add(id, name);
+      this.clusters.set(id, cluster);
+      this.enforceLimit();
+    }
+
+    this.processed++;
+    if (best) this.duplicates++;
+
+    return {
+      type: best ? 'duplicate' : 'unique',
+      id,
+      name,
+      cluster,
+      match: best ? { id: best.id, name: best.name, score: best.score } : null,
+      record
+    };
+  }
+
+  /**
+   * Evict the oldest records until the index is within maxRecords
+   */
+  enforceLimit() {
+    while (this.index.size > this.maxRecords) {
+      const [oldest] = this.index.records.keys();
+      this.index.remove(oldest);
+      this.clusters.delete(oldest);
+      this.evicted++;
+    }
+  }
+
+  _transform(record, encoding, callback) {
+    if (this.skipping > 0) {
+      this.skipping--;
+      callback();
+      return;
+    }
+
+    let result;
+    try {
+      result = this.processRecord(record);
+    } catch (error) {
+      callback(error);
+      return;
+    }
+
+    if (result.type === 'duplicate') this.emit('duplicate', result);
+    this.push(result);
+
+    // Hold the next record until the checkpoint is written, so it covers exactly the emitted results
+    if (this.checkpointPath && this.checkpointInterval > 0 && this.processed % this.checkpointInterval === 0) {
+      this.checkpoint().then(() => callback(), callback);
+    } else {
+      callback();
+    }
+  }
+
+  _flush(callback) {
+    if (this.checkpointPath) {
+      this.checkpoint().then(() => callback(), callback);
+    } else {
+      callback();
+    }
+  }
+
+  /**
+   * Get counts describing the stream so far
+   * @returns {Object} - { processed, duplicates, indexed, evicted }
+   */
+  getStats() {
+    return {
+      processed: this.processed,
+      duplicates: this.duplicates,
+      indexed: this.index.size,
+      evicted: this.evicted
+    };
+  }
+
+  /**
+   * Write the stream's state to a file
+   *
+   * The file is written next to the target and renamed over it, so an
+   * interrupted write leaves the previous checkpoint intact.
+   *
+   * @param {string} [filePath] - Checkpoint file (defaults to options.checkpointPath)
+   * @returns {Promise} - Resolves once the file is written
+   */
+  async checkpoint(filePath = this.checkpointPath) {
+    if (!filePath) throw new Error('No checkpoint path given');
+
+    const temporaryPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(temporaryPath, JSON.stringify(this.toJSON()));
+    await fs.promises.rename(temporaryPath, filePath);
+    this.emit('checkpoint', { path: filePath, processed: this.processed });
+  }
+
+  /**
+   * Serialize the stream's state (record ids must be JSON values)
+   * @returns {Object} - { version, processed, duplicates, evicted, records: [[id, name, cluster], ...] }
+   */
+  toJSON() {
+    const records = [];
+    for (const { id, name } of this.index.records.values()) {
+      records.push([id, name, this.clusters.get(id)]);
+    }
+
+    return {
+      version: CHECKPOINT_VERSION,
+      processed: this.processed,
+      duplicates: this.duplicates,
+      evicted: this.evicted,
+      records
+    };
+  }
+
+  /**
+   * Restore state written by toJSON, replacing the records seen so far
+   * @param {string|Object} json - JSON text or object
+   * @returns {DedupeStream} - This stream, for chaining
+   */
+  restore(json) {
+    const state = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!state || state.version !== CHECKPOINT_VERSION || !Array.isArray(state.records)) {
+      throw new TypeError('Checkpoint must be a DedupeStream state object');
+    }
+
+    for (const id of [...this.index.records.keys()]) {
+      this.index.remove(id);
+    }
+    this.clusters.clear();
+
+    // Records are re-indexed in their original order so eviction stays oldest-first
+    for (const [id, name, cluster] of state.records) {
+      this.index.add(id, name);
+      this.clusters.set(id, cluster);
+    }
+
+    this.processed = state.processed;
+    this.duplicates = state.duplicates;
+    this.evicted = state.evicted;
+    this.skipping = this.skipProcessed ? state.processed : 0;
+    this.enforceLimit();
+    return this;
+  }
+
+  /**
+   * Create a stream from state written by toJSON
+   * @param {string|Object} json - JSON text or object
+   * @param {Object} [options] - Stream options (see the constructor)
+   * @returns {DedupeStream} - New stream
+   */
+  static fromJSON(json, options = {}) {
+    return new this(options).restore(json);
+  }
+
+  /**
+   * Create a stream from a checkpoint file, or a fresh stream if the file does not exist
+   * @param {string} filePath - Checkpoint file
+   * @param {Object} [options] - Stream options (see the constructor); checkpointPath defaults to filePath
+   * @returns {DedupeStream} - New stream
+   */
+  static load(filePath, options = {}) {
+    const stream = new this({ checkpointPath: filePath, ...options });
+    if (fs.existsSync(filePath)) {
+      stream.restore(fs.readFileSync(filePath, 'utf8'));
+    }
+    return stream;
+  }
+}
+
+module.exports = DedupeStream;
@@ -4,74 +4,300 @@
  */
 const {
   parseName,
-  getNameVariations
+  getFirstNameVariations,
+  splitSurname,
+  compactSurname,
+  defaultDictionary,
+  defaultFamilyNames,
+  defaultHonorifics
 } = require('./name-normalizer');
+const NicknameDictionary = require('./nickname-dictionary');
+const { FamilyNameList } = require('./family-name-list');
+const { HonorificRegistry } = require('./honorifics');
+const { fuseScores, describeFusion } = require('./score-fusion');
+const { soundsAlike, PHONETIC_ALGORITHMS } = require('./phonetic');
+const { firstCharacter } = require('./unicode');
+const { jaroWinkler, levenshteinSimilarity } = require('./string-distance');
+const LRUCache = require('./lru-cache');
+const PreparedName = require('./prepared-name');
 
 class EnhancedMatcher {
-  constructor() {
-    // Name-specific stopwords to ignore
-    this.stopwords = ['and', 'or', 'the', 'de', 'la', 'del', 'van', 'von', 'der'];
+  /**
+   * Create a new EnhancedMatcher
+   * @param {Object} options - Configuration options
+   * @param {number} [options.nicknameScore=0.85] - Score for names whose first names are known nickname equivalents
+   * @param {number} [options.ambiguousNicknameScore=0.3] - Score for first names linked only through a nickname
+   *   of several formal names ("al" and "fred", where "al" may also be albert or alexander)
+   * @param {NicknameDictionary|Object|string} [options.nicknames] - Nickname dictionary for this matcher.
+   *   A NicknameDictionary is used as-is; a map of formal names to nicknames or a .json/.csv
+   *   file path extends a copy of the global dictionary.
+   * @param {Object} [options.parseOptions] - Options passed to parseName (e.g. { stripDiacritics, script, convention })
+   * @param {FamilyNameList|Object|string} [options.familyNames] - Family names and their romanization
+   *   variants. A FamilyNameList is used as-is; a map of family names to variants or a .json/.csv
+   *   file path extends a copy of the global list.
+   * @param {boolean} [options.romanization] - Treat romanization variants of a family name
+   *   ("wang" / "wong") as compatible surnames. On by default only with the 'east-asian'
+   *   convention, since variants such as "young" and "law" are also common English surnames.
+   * @param {HonorificRegistry|Object|string} [options.honorifics] - Titles and suffixes. A
+   *   HonorificRegistry is used as-is; a map of forms to definitions or a .json file path
+   *   extends a copy of the global registry.
+   * @param {Object} [options.fusion] - How strategy scores are combined: { method, weights } (see score-fusion).
+   *   Defaults to the best score of all strategies.
+   * @param {Object} [options.strategies] - Map of strategy name to false to disable that strategy
+   * @param {Object} [options.phonetic] - Phonetic strategy settings
+   * @param {string} [options.phonetic.algorithm='doubleMetaphone'] - 'soundex', 'metaphone' or 'doubleMetaphone'
+   * @param {Object} [options.phonetic.weights={ first: 0.4, last: 0.6 }] - Weights of the first and last name
+   * @param {number} [options.phonetic.maxScore=0.9] - Score when every compared component sounds alike
+   * @param {Object} [options.components] - Component-aligned strategy settings
+   * @param {Object} [options.components.weights={ first: 0.35, middle: 0.15, last: 0.5 }] - Weight of each component
+   * @param {number} [options.components.surnamePenalty=0.5] - Factor applied when the last names conflict
+   * @param {number} [options.components.typoThreshold=0.88] - Jaro-Winkler similarity above which differing
+   *   components are treated as spelling variants rather than conflicts
+   * @param {number} [options.components.maxScore=0.9] - Score when every compared component agrees exactly
+   * @param {boolean} [options.components.capOnConflict=false] - When the last names conflict, cap the
+   *   combined score at the component score so other strategies cannot outvote the conflict
+   * @param {number} [options.components.generationConflictScore=0.5] - Most a pair can score when
+   *   the names carry different generational suffixes ("Jr" vs "Sr"); 1 turns the cap off
+   * @param {number|boolean} [options.cache=false] - Keep up to this many prepared names in an LRU cache
+   *   keyed by the raw name (true keeps 1000), so repeated names are parsed once
+   */
+  constructor(options = {}) {
+    // How strategy scores are combined
+    this.fusion = { method: 'max', ...options.fusion };
+    
+    // Strategies switched off by configuration
+    this.strategyOptions = options.strategies || {};
+    
+    // Nickname dictionary (the global dictionary unless one is supplied)
+    this.nicknames = NicknameDictionary.resolve(options.nicknames, defaultDictionary);
+    
+    // Family names with romanization variants (the global list unless one is supplied)
+    this.familyNames = FamilyNameList.resolve(options.familyNames, defaultFamilyNames);
+    
+    // Titles and suffixes (the global registry unless one is supplied)
+    this.honorifics = HonorificRegistry.resolve(options.honorifics, defaultHonorifics);
+    
+    // Options used whenever a name is parsed
+    this.parseOptions = { familyNames: this.familyNames, honorifics: this.honorifics, ...options.parseOptions };
+    
+    // Whether family name romanization variants count as the same surname
+    this.romanization = options.romanization !== undefined
+      ? Boolean(options.romanization)
+      : this.parseOptions.convention === 'east-asian';
+    
+    // Score given when first names are known equivalents and last names agree
+    this.nicknameScore = options.nicknameScore !== undefined ? options.nicknameScore : 0.85;
+    
+    // Score given when the first names are linked through an ambiguous nickname
+    this.ambiguousNicknameScore = options.ambiguousNicknameScore !== undefined ? options.ambiguousNicknameScore : 0.3;
+    
+    // Phonetic comparison of first and last names
+    const phonetic = options.phonetic || {};
+    this.phonetic = {
+      algorithm: phonetic.algorithm || 'doubleMetaphone',
+      weights: { first: 0.4, last: 0.6, ...phonetic.weights },
+      maxScore: phonetic.maxScore !== undefined ? phonetic.maxScore : 0.9
+    };
+    if (!PHONETIC_ALGORITHMS[this.phonetic.algorithm]) {
+      throw new Error(`Unknown phonetic algorithm: ${this.phonetic.algorithm}`);
+    }
+    
+    // Field-by-field comparison of first, middle and last names
+    const components = options.components || {};
+    this.components = {
+      weights: { first: 0.35, middle: 0.15, last: 0.5, ...components.weights },
+      surnamePenalty: components.surnamePenalty !== undefined ? components.surnamePenalty : 0.5,
+      typoThreshold: components.typoThreshold !== undefined ? components.typoThreshold : 0.88,
+      maxScore: components.maxScore !== undefined ? components.maxScore : 0.9,
+      capOnConflict: Boolean(components.capOnConflict),
+      generationConflictScore: components.generationConflictScore !== undefined
+        ? components.generationConflictScore
+        : 0.5
+    };
     
-    // Name prefixes and suffixes to handle specially
-    this.prefixes = ['mr', 'mrs', 'ms', 'miss', 'dr', 'prof'];
-    this.suffixes = ['jr', 'sr', 'ii', 'iii', 'iv', 'v', 'phd', 'md', 'esq'];
+    // Name-specific stopwords to ignore (surname particles such as 'van' or 'de'
+    // are kept: they are part of the surname)
+    this.stopwords = ['and', 'or', 'the'];
+    
+    // Prepared names by raw name, if caching is enabled
+    this.cache = options.cache ? new LRUCache(options.cache === true ? 1000 : options.cache) : null;
   }
 
   /**
    * Calculate similarity score between two names
-   * @param {string} name1 - First name
-   * @param {string} name2 - Second name
+   * @param {string|PreparedName} name1 - First name
+   * @param {string|PreparedName} name2 - Second name
    * @returns {number} - Similarity score (0-1)
    */
   getSimilarity(name1, name2) {
-    // Normalize names
-    const normalized1 = this.normalizeNameForComparison(name1);
-    const normalized2 = this.normalizeNameForComparison(name2);
+    return this.explain(name1, name2).score;
+  }
+
+  /**
+   * Explain how the similarity score between two names was reached
+   * @param {string|PreparedName} name1 - First name
+   * @param {string|PreparedName} name2 - Second name
+   * @returns {Object} - Combined score, the strategy that decided it and all strategy scores
+   */
+  explain(name1, name2) {
+    // Normalize names (prepared names are reused as they are)
+    const normalized1 = this.prepare(name1).normalized;
+    const normalized2 = this.prepare(name2).normalized;
+    
+    // Compare the name components field by field, in full and by initials
+    const components = this.compareComponents(normalized1, normalized2);
+    const initials = this.compareInitials(normalized1, normalized2);
     
     // Perform a multi-strategy comparison
-    const strategies = [
-      () => this.exactMatchScore(normalized1, normalized2),
-      () => this.tokenSetScore(normalized1, normalized2),
-      () => this.initialsMatchScore(normalized1, normalized2),
-      () => this.editDistanceScore(normalized1, normalized2)
-    ];
+    const scores = this.getStrategyScores(normalized1, normalized2, { components, initials });
+    
+    // Combine the strategy scores (by default, take the best score)
+    let { score, strategy } = fuseScores(scores, this.fusion);
+    
+    // Optionally let a surname conflict override the other strategies
+    if (this.components.capOnConflict && scores.component !== undefined &&
+        components.last.verdict === 'conflicting' && scores.component < score) {
+      score = scores.component;
+      strategy = 'component';
+    }
     
-    // Take the best score from all strategies
-    let bestScore = 0;
-    for (const strategy of strategies) {
-      const score = strategy();
-      bestScore = Math.max(bestScore, score);
+    // "John Smith Jr" and "John Smith Sr" are different people, however alike the names are
+    if (components.generation.verdict === 'conflicting' && score > this.components.generationConflictScore) {
+      score = this.components.generationConflictScore;
+      strategy = 'generation';
     }
     
-    return bestScore;
+    return {
+      score,
+      strategy,
+      scores,
+      components,
+      initials,
+      fusion: describeFusion(this.fusion),
+      normalized: [normalized1, normalized2]
+    };
+  }
+
+  /**
+   * Run every enabled scoring strategy on a pair of normalized names
+   * @param {Object} normalized1 - First normalized name
+   * @param {Object} normalized2 - Second normalized name
+   * @param {Object} [comparisons] - Results of compareComponents and compareInitials, if already computed
+   * @returns {Object} - Map of strategy name to score (0-1)
+   */
+  getStrategyScores(normalized1, normalized2, comparisons = {}) {
+    const strategies = {
+      exactMatch: () => this.exactMatchScore(normalized1, normalized2),
+      tokenSet: () => this.tokenSetScore(normalized1, normalized2),
+      nickname: () => this.nicknameMatchScore(normalized1, normalized2),
+      phonetic: () => this.phoneticScore(normalized1, normalized2),
+      component: () => this.componentScore(normalized1, normalized2, comparisons.components),
+      initialsMatch: () => this.initialsMatchScore(normalized1, normalized2, comparisons.initials),
+      editDistance: () => this.editDistanceScore(normalized1, normalized2)
+    };
+    
+    const scores = {};
+    for (const [name, strategy] of Object.entries(strategies)) {
+      if (this.isStrategyEnabled(name)) {
+        scores[name] = strategy();
+      }
+    }
+    
+    return scores;
+  }
+
+  /**
+   * Check whether a strategy is enabled
+   * @param {string} name - Strategy name
+   * @returns {boolean} - False if the strategy was disabled in the options
+   */
+  isStrategyEnabled(name) {
+    return this.strategyOptions[name] !== false;
+  }
+
+  /**
+   * Prepare a name for repeated comparisons
+   *
+   * The name is parsed and normalized once; the result can be passed to
+   * every scoring method in place of the name. With caching enabled,
+   * preparing a name seen recently returns the cached result. Cached names
+   * keep the nickname variations known when they were prepared, so clear
+   * the cache after changing the nickname dictionary.
+   *
+   * @param {string|PreparedName} name - Name to prepare
+   * @returns {PreparedName} - Prepared name
+   */
+  prepare(name) {
+    if (name instanceof PreparedName) {
+      // Names prepared by another matcher may have been parsed with other options
+      return name.matcher === this ? name : this.prepare(name.original);
+    }
+    
+    if (this.cache) {
+      const cached = this.cache.get(name);
+      if (cached) return cached;
+    }
+    
+    const prepared = new PreparedName(name, this.normalizeNameForComparison(name), this);
+    if (this.cache) {
+      this.cache.set(name, prepared);
+    }
+    return prepared;
+  }
+
+  /**
+   * Get the statistics of the prepared-name cache
+   * @returns {Object|null} - { hits, misses, hitRate, evictions, size, maxSize }, or null if caching is disabled
+   */
+  getCacheStats() {
+    return this.cache ? this.cache.getStats() : null;
+  }
+
+  /**
+   * Empty the prepared-name cache and reset its statistics
+   */
+  clearCache() {
+    if (this.cache) {
+      this.cache.clear();
+    }
   }
 
   /**
    * Normalize a name for comparison
-   * @param {string} name - Name to normalize
+   * @param {string|PreparedName} name - Name to normalize
    * @returns {Object} - Normalized name with tokens and other metadata
    */
   normalizeNameForComparison(name) {
+    if (name instanceof PreparedName) {
+      return this.prepare(name).normalized;
+    }
+    
     // Parse the name using the name-normalizer
-    const parsed = parseName(name);
-    
-    // Get tokens (excluding stopwords, prefixes, and suffixes)
-    const tokens = parsed.normalized.split(' ').filter(token => 
-      token.length > 0 &&
-      !this.stopwords.includes(token) && 
-      !this.prefixes.includes(token) && 
-      !this.suffixes.includes(token)
+    const parsed = parseName(name, this.parseOptions);
+    
+    // Compact surname, so joined and separated particles compare equal
+    const lastNameKey = compactSurname(parsed.lastName);
+    
+    // Get tokens (titles and suffixes are already parsed out; stopwords
+    // are skipped); each surname, particles included, counts as one token
+    const surnameKeys = parsed.surnames.map(compactSurname);
+    const tokens = [parsed.firstName, ...parsed.middleNames, ...surnameKeys].filter(token => 
+      token && !this.stopwords.includes(token)
     );
     
     return {
       original: name,
+      parsed,
       normalized: parsed.normalized,
       tokens,
       firstName: parsed.firstName,
       middleNames: parsed.middleNames,
       lastName: parsed.lastName,
+      lastNameKey,
+      surnameKeys,
       initials: parsed.initials,
-      firstNameVariations: getNameVariations(parsed.firstName)
+      generation: parsed.generation,
+      firstNameVariations: getFirstNameVariations(parsed.firstName, this.nicknames)
     };
   }
 
@@ -89,7 +315,7 @@ class EnhancedMatcher {
     
     // Match first and last name
     if (name1.firstName && name2.firstName && name1.lastName && name2.lastName) {
-      if (name1.firstName === name2.firstName && name1.lastName === name2.lastName) {
+      if (name1.firstName === name2.firstName && name1.lastNameKey === name2.lastNameKey) {
         return 0.9;
       }
     }
@@ -116,25 +342,358 @@ class EnhancedMatcher {
   }
 
   /**
-   * Score based on initials matching
+   * Score based on known nickname equivalents of the first name
+   * ("William Jones" vs "Bill Jones", "Bill" vs "Will")
    * @param {Object} name1 - First normalized name
    * @param {Object} name2 - Second normalized name
    * @returns {number} - Similarity score (0-1)
    */
-  initialsMatchScore(name1, name2) {
-    // Check if one is a full name and the other is initials
-    if (name1.tokens.length > 0 && name2.tokens.length > 0) {
-      // First initial matches first name
-      if (name1.firstName.charAt(0) === name2.firstName.charAt(0)) {
-        // Last initial matches last name
-        if (name1.lastName.charAt(0) === name2.lastName.charAt(0)) {
-          return 0.75;
-        }
-        return 0.4;
+  nicknameMatchScore(name1, name2) {
+    if (!name1.firstName || !name2.firstName) return 0;
+    
+    // Identical first names are covered by the other strategies
+    if (name1.firstName === name2.firstName) return 0;
+    
+    // Last names must agree (or both be absent)
+    if (name1.lastNameKey !== name2.lastNameKey && !this.sharesSurnames(name1, name2)) return 0;
+    
+    const link = this.nicknameLink(name1.firstName, name2.firstName);
+    return link ? link.score : 0;
+  }
+
+  /**
+   * Look up how two first names are linked by the nickname dictionary
+   * @param {string} firstName1 - First name
+   * @param {string} firstName2 - Second name
+   * @returns {Object|null} - { reason, score }, where reason is 'nickname' or 'ambiguous nickname'
+   *   (linked only through a nickname of several formal names), or null if they are not linked
+   */
+  nicknameLink(firstName1, firstName2) {
+    const relation = this.nicknames.getRelation(firstName1, firstName2);
+    if (!relation) return null;
+    
+    return relation === 'ambiguous'
+      ? { reason: 'ambiguous nickname', score: this.ambiguousNicknameScore }
+      : { reason: 'nickname', score: this.nicknameScore };
+  }
+
+  /**
+   * Score based on how the first and last names sound
+   * ("Catherine Smith" vs "Kathryn Smyth")
+   * @param {Object} name1 - First normalized name
+   * @param {Object} name2 - Second normalized name
+   * @returns {number} - Similarity score (0-1)
+   */
+  phoneticScore(name1, name2) {
+    const { algorithm, weights, maxScore } = this.phonetic;
+    
+    let totalWeight = 0;
+    let agreement = 0;
+    const fields = { first: 'firstName', last: 'lastNameKey' };
+    for (const [component, key] of Object.entries(fields)) {
+      const alike = soundsAlike(name1[key], name2[key], algorithm);
+      
+      // Components that are missing or cannot be encoded are not counted
+      if (alike === null) continue;
+      
+      totalWeight += weights[component];
+      if (alike) agreement += weights[component];
+    }
+    
+    if (totalWeight === 0) return 0;
+    return maxScore * (agreement / totalWeight);
+  }
+
+  /**
+   * Score based on comparing the first, middle and last names separately
+   * 
+   * Components missing from either name are neutral and left out of the
+   * weighted average. Conflicting components count as 0, and a conflicting
+   * last name additionally multiplies the score by the surname penalty.
+   * Generational suffixes carry no weight; a conflict between them caps
+   * the combined score instead (see explain).
+   * 
+   * @param {Object} name1 - First normalized name
+   * @param {Object} name2 - Second normalized name
+   * @param {Object} [components] - Result of compareComponents, if already computed
+   * @returns {number} - Similarity score (0-1)
+   */
+  componentScore(name1, name2, components = this.compareComponents(name1, name2)) {
+    const { weights, surnamePenalty, maxScore } = this.components;
+    
+    let totalWeight = 0;
+    let weightedScore = 0;
+    for (const [component, weight] of Object.entries(weights)) {
+      const comparison = components[component];
+      if (!comparison || comparison.verdict === 'unknown') continue;
+      
+      totalWeight += weight;
+      weightedScore += weight * comparison.score;
+    }
+    
+    if (totalWeight === 0) return 0;
+    
+    let score = maxScore * (weightedScore / totalWeight);
+    if (components.last.verdict === 'conflicting') {
+      score *= surnamePenalty;
+    }
+    
+    return score;
+  }
+
+  /**
+   * Compare the first, middle and last names of two names
+   * @param {Object} name1 - First normalized name
+   * @param {Object} name2 - Second normalized name
+   * @returns {Object} - { first, middle, last, generation }, each { verdict, reason, score } where
+   *   verdict is 'compatible', 'conflicting' or 'unknown' (a component is missing from either name)
+   */
+  compareComponents(name1, name2) {
+    return {
+      first: this.compareNameParts(name1.firstName, name2.firstName, { nicknames: true }),
+      middle: this.compareMiddleNames(name1.middleNames, name2.middleNames),
+      last: this.compareNameParts(name1.lastName, name2.lastName, this.surnameOptions(name1, name2)),
+      generation: this.compareGenerations(name1.generation, name2.generation)
+    };
+  }
+
+  /**
+   * Compare the generational suffixes of two names ("jr", "sr", "iii")
+   *
+   * A name without a suffix may be either generation, so only two
+   * different suffixes conflict.
+   *
+   * @param {string} generation1 - Canonical generational suffix of the first name, or ''
+   * @param {string} generation2 - Canonical generational suffix of the second name, or ''
+   * @returns {Object} - { verdict, reason, score }
+   */
+  compareGenerations(generation1, generation2) {
+    if (!generation1 || !generation2) {
+      return { verdict: 'unknown', reason: 'missing', score: 0 };
+    }
+    if (generation1 === generation2) {
+      return { verdict: 'compatible', reason: 'exact', score: 1 };
+    }
+    return { verdict: 'conflicting', reason: 'different', score: 0 };
+  }
+
+  /**
+   * Get the compareNameParts options for comparing the last names of two names
+   * @param {Object} name1 - First normalized name
+   * @param {Object} name2 - Second normalized name
+   * @returns {Object} - Comparison options
+   */
+  surnameOptions(name1, name2) {
+    return { surname: true, surnames: [name1.surnameKeys, name2.surnameKeys] };
+  }
+
+  /**
+   * Check whether one name carries only some of the other's surnames
+   * ("Juan García" vs "Juan Carlos García López")
+   * @param {Object} name1 - First normalized name
+   * @param {Object} name2 - Second normalized name
+   * @returns {boolean} - True if the surnames of one name are a subset of the other's
+   */
+  sharesSurnames(name1, name2) {
+    return this.isSurnameSubset(name1.surnameKeys, name2.surnameKeys);
+  }
+
+  /**
+   * Check whether the shorter of two surname lists is contained in the longer one
+   * @param {Array} surnames1 - First list of compact surnames
+   * @param {Array} surnames2 - Second list of compact surnames
+   * @returns {boolean} - True for a proper subset
+   */
+  isSurnameSubset(surnames1 = [], surnames2 = []) {
+    const [shorter, longer] = surnames1.length <= surnames2.length
+      ? [surnames1, surnames2]
+      : [surnames2, surnames1];
+    
+    return shorter.length > 0 && shorter.length < longer.length &&
+      shorter.every(surname => longer.includes(surname));
+  }
+
+  /**
+   * Compare two single name components
+   * @param {string} part1 - First component
+   * @param {string} part2 - Second component
+   * @param {Object} [options] - Comparison options
+   * @param {boolean} [options.nicknames=false] - Accept known nickname equivalents
+   * @param {boolean} [options.surname=false] - Apply surname particle and romanization rules
+   * @param {Array} [options.surnames] - Compact surname lists of both names, for names
+   *   carrying more than one surname
+   * @returns {Object} - { verdict, reason, score }
+   */
+  compareNameParts(part1, part2, options = {}) {
+    if (!part1 || !part2) {
+      return { verdict: 'unknown', reason: 'missing', score: 0 };
+    }
+    
+    if (part1 === part2) {
+      return { verdict: 'compatible', reason: 'exact', score: 1 };
+    }
+    
+    if (options.surname) {
+      // "van den berg" / "vandenberg"
+      if (compactSurname(part1) === compactSurname(part2)) {
+        return { verdict: 'compatible', reason: 'joined', score: 0.95 };
+      }
+      
+      // "van der berg" / "berg": same surname with particles omitted
+      const surname1 = splitSurname(part1);
+      const surname2 = splitSurname(part2);
+      if (surname1.core === surname2.core &&
+          (surname1.particles.length === 0 || surname2.particles.length === 0)) {
+        return { verdict: 'compatible', reason: 'particles', score: 0.85 };
+      }
+      
+      // "wang" / "wong": romanizations of the same family name
+      if (this.romanization && this.familyNames.areVariants(part1, part2)) {
+        return { verdict: 'compatible', reason: 'romanization', score: 0.9 };
+      }
+      
+      // "garcia lopez" / "garcia": only one of the two surnames recorded
+      if (options.surnames && this.isSurnameSubset(...options.surnames)) {
+        return { verdict: 'compatible', reason: 'one surname', score: 0.9 };
       }
     }
     
-    return 0;
+    const link = options.nicknames && this.nicknameLink(part1, part2);
+    if (link) {
+      return { verdict: 'compatible', ...link };
+    }
+    
+    // An initial is compatible with any name starting with that letter
+    if ((Array.from(part1).length === 1 || Array.from(part2).length === 1) &&
+        firstCharacter(part1) === firstCharacter(part2)) {
+      return { verdict: 'compatible', reason: 'initial', score: 0.8 };
+    }
+    
+    const similarity = jaroWinkler(part1, part2);
+    if (similarity >= this.components.typoThreshold) {
+      return { verdict: 'compatible', reason: 'spelling', score: similarity };
+    }
+    
+    return { verdict: 'conflicting', reason: 'different', score: 0 };
+  }
+
+  /**
+   * Compare two lists of middle names position by position
+   * @param {Array} middleNames1 - First list of middle names
+   * @param {Array} middleNames2 - Second list of middle names
+   * @returns {Object} - { verdict, reason, score }
+   */
+  compareMiddleNames(middleNames1, middleNames2) {
+    const count = Math.min(middleNames1.length, middleNames2.length);
+    if (count === 0) {
+      return { verdict: 'unknown', reason: 'missing', score: 0 };
+    }
+    
+    let total = 0;
+    for (let i = 0; i < count; i++) {
+      const comparison = this.compareNameParts(middleNames1[i], middleNames2[i]);
+      if (comparison.verdict === 'conflicting') {
+        return comparison;
+      }
+      total += comparison.score;
+    }
+    
+    return { verdict: 'compatible', reason: 'aligned', score: total / count };
+  }
+
+  /**
+   * Score based on initials compatibility
+   * 
+   * "J. W. Smith" is compatible with "John William Smith"; "John W Smith"
+   * conflicts with "John Q Smith". Components that agree only by their
+   * initial count as weaker evidence than components that agree in full.
+   * 
+   * @param {Object} name1 - First normalized name
+   * @param {Object} name2 - Second normalized name
+   * @param {Object} [initials] - Result of compareInitials, if already computed
+   * @returns {number} - Similarity score (0-1)
+   */
+  initialsMatchScore(name1, name2, initials = this.compareInitials(name1, name2)) {
+    // First and last names are both needed, and nothing may conflict
+    if (initials.first.verdict !== 'compatible' || initials.last.verdict !== 'compatible') return 0;
+    if (initials.middle.verdict === 'conflicting') return 0;
+    
+    // Names that agree in full are scored by the other strategies
+    if (!Object.values(initials).some(comparison => comparison.reason === 'initial')) return 0;
+    
+    const { weights } = this.components;
+    const strength = comparison => (comparison.reason === 'initial' ? 0.7 : 1);
+    
+    let totalWeight = 0;
+    let weightedScore = 0;
+    for (const [component, comparison] of Object.entries(initials)) {
+      if (comparison.verdict === 'unknown') continue;
+      
+      totalWeight += weights[component];
+      weightedScore += weights[component] * strength(comparison);
+    }
+    
+    return totalWeight > 0 ? 0.85 * (weightedScore / totalWeight) : 0;
+  }
+
+  /**
+   * Check the first, middle and last names for initials compatibility
+   * @param {Object} name1 - First normalized name
+   * @param {Object} name2 - Second normalized name
+   * @returns {Object} - { first, middle, last }, each { verdict, reason } where verdict is
+   *   'compatible', 'conflicting' or 'unknown'; reason is 'full' when both sides are full
+   *   names that agree, 'initial' when one side is an initial, or why the verdict was reached
+   */
+  compareInitials(name1, name2) {
+    const middle1 = name1.middleNames || [];
+    const middle2 = name2.middleNames || [];
+    const count = Math.min(middle1.length, middle2.length);
+    
+    let middle = { verdict: 'unknown', reason: 'missing' };
+    for (let i = 0; i < count; i++) {
+      const comparison = this.compareInitial(middle1[i], middle2[i]);
+      if (comparison.verdict === 'conflicting' || middle.verdict === 'unknown' || comparison.reason === 'initial') {
+        middle = comparison;
+      }
+      if (comparison.verdict === 'conflicting') break;
+    }
+    
+    return {
+      first: this.compareInitial(name1.firstName, name2.firstName, { nicknames: true }),
+      middle,
+      last: this.compareInitial(name1.lastName, name2.lastName, this.surnameOptions(name1, name2))
+    };
+  }
+
+  /**
+   * Check a single pair of name components for initials compatibility
+   * @param {string} part1 - First component
+   * @param {string} part2 - Second component
+   * @param {Object} [options] - Options passed to compareNameParts
+   * @returns {Object} - { verdict, reason }
+   */
+  compareInitial(part1, part2, options = {}) {
+    if (!part1 || !part2) {
+      return { verdict: 'unknown', reason: 'missing' };
+    }
+    
+    const isInitial1 = Array.from(part1).length === 1;
+    const isInitial2 = Array.from(part2).length === 1;
+    
+    if (isInitial1 || isInitial2) {
+      return firstCharacter(part1) === firstCharacter(part2)
+        ? { verdict: 'compatible', reason: 'initial' }
+        : { verdict: 'conflicting', reason: 'different initial' };
+    }
+    
+    // Two full names: they must agree in full (an ambiguous nickname proves nothing either way)
+    const { verdict, reason } = this.compareNameParts(part1, part2, options);
+    if (reason === 'ambiguous nickname') {
+      return { verdict: 'unknown', reason };
+    }
+    return verdict === 'compatible'
+      ? { verdict, reason: 'full' }
+      : { verdict: 'conflicting', reason: 'different name' };
   }
 
   /**
@@ -149,39 +708,13 @@ class EnhancedMatcher {
     
     if (!str1 || !str2) return 0;
     
-    // Levenshtein distance implementation
-    const len1 = str1.length;
-    const len2 = str2.length;
-    
-    // Create matrix
-    const matrix = Array(len1 + 1).fill().map(() => Array(len2 + 1).fill(0));
-    
-    // Initialize first column and row
-    for (let i = 0; i <= len1; i++) matrix[i][0] = i;
-    for (let j = 0; j <= len2; j++) matrix[0][j] = j;
-    
-    // Fill matrix
-    for (let i = 1; i <= len1; i++) {
-      for (let j = 1; j <= len2; j++) {
-        const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j] + 1,        // deletion
-          matrix[i][j - 1] + 1,        // insertion
-          matrix[i - 1][j - 1] + cost  // substitution
-        );
-      }
-    }
-    
-    // Calculate similarity
-    const distance = matrix[len1][len2];
-    const maxLength = Math.max(len1, len2);
-    
-    return maxLength > 0 ? 1 - (distance / maxLength) : 1;
+    // 1 - Levenshtein distance / longer length
+    return levenshteinSimilarity(str1, str2);
   }
 
   /**
    * Check if all names in a group refer to the same person
-   * @param {Array} nameGroup - Array of name variants
+   * @param {Array} nameGroup - Array of name variants (strings or PreparedNames)
    * @returns {Object} - Result with score and details
    */
   matchNameGroup(nameGroup) {
@@ -189,6 +722,9 @@ class EnhancedMatcher {
       return { score: 1, matches: [] };
     }
 
+    // Parse each name once rather than once per pair
+    const prepared = nameGroup.map(name => (PreparedName.textOf(name) ? this.prepare(name) : name));
+
     const matches = [];
     let totalScore = 0;
     let pairCount = 0;
@@ -196,9 +732,9 @@ class EnhancedMatcher {
     // Compare each name with every other name
     for (let i = 0; i < nameGroup.length; i++) {
       for (let j = i + 1; j < nameGroup.length; j++) {
-        const name1 = nameGroup[i];
-        const name2 = nameGroup[j];
-        const similarity = this.getSimilarity(name1, name2);
+        const name1 = PreparedName.textOf(nameGroup[i]);
+        const name2 = PreparedName.textOf(nameGroup[j]);
+        const similarity = this.getSimilarity(prepared[i], prepared[j]);
         
         matches.push({ name1, name2, similarity });
         totalScore += similarity;
@@ -6,41 +6,310 @@
  */
 const natural = require('natural');
 const EnhancedMatcher = require('./enhanced-matcher');
+const { parseName } = require('./name-normalizer');
+const { fuseScores, describeFusion } = require('./score-fusion');
+const { applyPreset } = require('./presets');
+const { FellegiSunterModel } = require('./fellegi-sunter');
+const PreparedName = require('./prepared-name');
+const { jaroWinkler, levenshteinSimilarity } = require('./string-distance');
 
 class EnhancedNaturalMatcher {
   /**
    * Create a new EnhancedNaturalMatcher
    * @param {Object} options - Configuration options
+   * @param {string} [options.preset] - Named configuration ('identity-verification', 'deduplication');
+   *   other options override the preset's values
+   * @param {number} [options.threshold=0.75] - Minimum score for two names to match
+   * @param {Object} [options.fusion] - How scores are combined:
+   *   { method, weights } for the natural.js and enhanced scores (default: plain average),
+   *   plus `natural` and `enhanced` entries of the same shape for the algorithms and
+   *   strategies within each component (default: best score). `method` is 'max', 'min',
+   *   'average', 'weighted-average', 'weighted-max' or a function (scores, weights) => number.
+   * @param {Object} [options.strategies] - Map of algorithm/strategy name to false to disable it
+   * @param {number} [options.nicknameScore=0.85] - Score for known nickname equivalents (see EnhancedMatcher)
+   * @param {number} [options.ambiguousNicknameScore=0.3] - Score for first names linked through an
+   *   ambiguous nickname (see EnhancedMatcher)
+   * @param {NicknameDictionary|Object|string} [options.nicknames] - Nickname dictionary (see EnhancedMatcher)
+   * @param {Object} [options.parseOptions] - Options passed to parseName (see EnhancedMatcher)
+   * @param {boolean} [options.romanization] - Accept romanization variants of family names
+   *   (on with the 'east-asian' convention; see EnhancedMatcher)
+   * @param {Object} [options.phonetic] - Phonetic strategy settings, e.g. { algorithm: 'soundex' } (see EnhancedMatcher)
+   * @param {Object} [options.components] - Component-aligned strategy settings (see EnhancedMatcher)
+   * @param {FellegiSunterModel|Object|string} [options.model] - Probabilistic model (or its serialized
+   *   parameters); when set, the score is the model's posterior match probability instead of the fused score
+   * @param {number|boolean} [options.cache=false] - Size of the prepared-name LRU cache (see EnhancedMatcher)
    */
   constructor(options = {}) {
-    // Configure threshold - if average score is >= threshold, names match
-    this.threshold = options.threshold || 0.75;
+    // Kept so the same matcher can be rebuilt elsewhere (see matchMany)
+    this.options = options;
+
+    // Apply a named preset (explicit options take precedence)
+    const config = applyPreset(options);
+    
+    // Configure threshold - if the combined score is >= threshold, names match
+    this.threshold = config.threshold !== undefined ? config.threshold : 0.75;
+    
+    // Configure how the natural.js and enhanced scores are combined
+    const { natural: naturalFusion, enhanced: enhancedFusion, ...fusion } = config.fusion || {};
+    this.fusion = { method: 'average', ...fusion };
+    this.naturalFusion = { method: 'max', ...naturalFusion };
+    
+    // Algorithms switched off by configuration
+    this.strategyOptions = config.strategies || {};
     
     // Initialize the component matchers
-    this.enhancedMatcher = new EnhancedMatcher();
+    this.enhancedMatcher = new EnhancedMatcher({ ...config, fusion: enhancedFusion });
+    
+    // Probabilistic (Fellegi-Sunter) scoring, if configured
+    this.model = FellegiSunterModel.resolve(config.model);
+    
+    // Parsed candidates of findBestMatches, keyed by the candidates array so they go away with it
+    this.candidateCache = new WeakMap();
+  }
+
+  /**
+   * Prepare a name for repeated comparisons (see EnhancedMatcher#prepare)
+   * @param {string|PreparedName} name - Name to prepare
+   * @returns {PreparedName} - Prepared name, accepted by every method in place of the name
+   */
+  prepare(name) {
+    return this.enhancedMatcher.prepare(name);
+  }
+
+  /**
+   * Get the statistics of the prepared-name cache
+   * @returns {Object|null} - { hits, misses, hitRate, evictions, size, maxSize }, or null if caching is disabled
+   */
+  getCacheStats() {
+    return this.enhancedMatcher.getCacheStats();
+  }
+
+  /**
+   * Empty the prepared-name cache and reset its statistics
+   */
+  clearCache() {
+    this.enhancedMatcher.clearCache();
   }
 
   /**
    * Calculate combined similarity score between two names
-   * @param {string} name1 - First name
-   * @param {string} name2 - Second name
+   * @param {string|PreparedName} name1 - First name
+   * @param {string|PreparedName} name2 - Second name
    * @returns {number} - Similarity score (0-1)
    */
   getSimilarity(name1, name2) {
+    return this.getScoreBreakdown(name1, name2).score;
+  }
+
+  /**
+   * Explain why two names match (or do not match)
+   * 
+   * Returns every sub-score from both component matchers, the strategy
+   * that decided each component score, the parsed name components and
+   * how the final score was formed.
+   * 
+   * @param {string|PreparedName} name1 - First name
+   * @param {string|PreparedName} name2 - Second name
+   * @returns {Object} - Detailed match explanation
+   */
+  explain(name1, name2) {
+    const breakdown = this.getScoreBreakdown(name1, name2);
+    const parse = name => (PreparedName.textOf(name)
+      ? this.prepare(name).parsed
+      : parseName(name, this.enhancedMatcher.parseOptions));
+    
+    return {
+      name1: PreparedName.textOf(name1),
+      name2: PreparedName.textOf(name2),
+      score: breakdown.score,
+      threshold: this.threshold,
+      isMatch: breakdown.score >= this.threshold,
+      decidedBy: breakdown.decidedBy,
+      parsed: {
+        name1: parse(name1),
+        name2: parse(name2)
+      },
+      natural: breakdown.natural,
+      enhanced: breakdown.enhanced,
+      combination: breakdown.combination
+    };
+  }
+
+  /**
+   * Calculate the combined score along with the component results it was built from
+   * @param {string|PreparedName} name1 - First name
+   * @param {string|PreparedName} name2 - Second name
+   * @returns {Object} - Score breakdown
+   */
+  getScoreBreakdown(name1, name2) {
+    const text1 = PreparedName.textOf(name1);
+    const text2 = PreparedName.textOf(name2);
+    
     // Handle empty names
-    if (!name1 || !name2) return 0;
+    if (!text1 || !text2) {
+      return { score: 0, decidedBy: 'empty', natural: null, enhanced: null, combination: null };
+    }
     
     // Handle exact match
-    if (name1 === name2) return 1;
+    if (text1 === text2) {
+      return { score: 1, decidedBy: 'identical', natural: null, enhanced: null, combination: null };
+    }
     
     // Get scores from both matchers
-    const naturalScore = this.getNaturalScore(name1, name2);
-    const enhancedScore = this.enhancedMatcher.getSimilarity(name1, name2);
+    const { natural, enhanced } = this.getEvidence(name1, name2);
+    
+    if (this.model) {
+      return this.applyGenerationConflict(this.getModelBreakdown(natural, enhanced));
+    }
+    
+    // Combine the two scores (by default, their average)
+    const combined = fuseScores({ natural: natural.score, enhanced: enhanced.score }, this.fusion);
+    const score = parseFloat(combined.score.toFixed(2));
+    
+    return this.applyGenerationConflict({
+      score,
+      decidedBy: 'combined',
+      natural,
+      enhanced,
+      combination: {
+        ...describeFusion(this.fusion),
+        strategy: combined.strategy,
+        rawScore: combined.score,
+        score
+      }
+    });
+  }
+
+  /**
+   * Cap the score of names with different generational suffixes
+   *
+   * String similarity cannot tell "John Smith Jr" from "John Smith Sr",
+   * so the conflict found by the enhanced matcher overrides the combined
+   * score (see EnhancedMatcher's components.generationConflictScore).
+   *
+   * @param {Object} breakdown - Score breakdown
+   * @returns {Object} - The breakdown, capped and decided by 'generation' on a conflict
+   */
+  applyGenerationConflict(breakdown) {
+    const cap = this.enhancedMatcher.components.generationConflictScore;
+    if (breakdown.enhanced.components.generation.verdict !== 'conflicting' || breakdown.score <= cap) {
+      return breakdown;
+    }
+    return { ...breakdown, score: cap, decidedBy: 'generation' };
+  }
+
+  /**
+   * Score the evidence with the probabilistic model
+   * @param {Object} natural - natural.js explanation
+   * @param {Object} enhanced - Enhanced matcher explanation
+   * @returns {Object} - Score breakdown
+   */
+  getModelBreakdown(natural, enhanced) {
+    const result = this.model.score(this.model.getPattern({ natural, enhanced }));
+    const score = parseFloat(result.probability.toFixed(2));
+    
+    return {
+      score,
+      decidedBy: 'probabilistic',
+      natural,
+      enhanced,
+      combination: {
+        method: 'fellegi-sunter',
+        pattern: result.pattern,
+        weight: result.weight,
+        priorWeight: result.priorWeight,
+        contributions: result.contributions,
+        probability: result.probability,
+        score
+      }
+    };
+  }
+
+  /**
+   * Collect the results of both component matchers for a pair of names
+   * @param {string|PreparedName} name1 - First name
+   * @param {string|PreparedName} name2 - Second name
+   * @returns {Object} - { natural, enhanced } explanations
+   */
+  getEvidence(name1, name2) {
+    const natural = this.explainNaturalScore(PreparedName.textOf(name1), PreparedName.textOf(name2));
+    const enhancedExplanation = this.enhancedMatcher.explain(name1, name2);
+    const enhanced = {
+      score: enhancedExplanation.score,
+      strategy: enhancedExplanation.strategy,
+      scores: enhancedExplanation.scores,
+      components: enhancedExplanation.components,
+      initials: enhancedExplanation.initials,
+      fusion: enhancedExplanation.fusion
+    };
+    
+    return { natural, enhanced };
+  }
+
+  /**
+   * Get the agreement pattern of two names under a model
+   * @param {string|PreparedName} name1 - First name
+   * @param {string|PreparedName} name2 - Second name
+   * @param {FellegiSunterModel} [model] - Model whose comparisons are used (defaults to this matcher's model)
+   * @returns {Object} - comparison -> level
+   */
+  getPattern(name1, name2, model = this.model || new FellegiSunterModel()) {
+    return model.getPattern(this.getEvidence(name1, name2));
+  }
+
+  /**
+   * Estimate a probabilistic model from pairs of names
+   *
+   * Pairs that all carry a boolean `match` label are used for supervised
+   * estimation; otherwise m, u and the prior are estimated by expectation
+   * maximization, so the pairs should include both matches and non-matches.
+   *
+   * @param {Array} pairs - Array of { name1, name2, match } objects or [name1, name2] arrays
+   * @param {Object} [options] - Estimation options
+   * @param {string} [options.method='auto'] - 'supervised', 'em', or 'auto' (supervised if every pair is labeled)
+   * @param {Object} [options.comparisons] - Custom comparisons (see FellegiSunterModel)
+   * @param {number} [options.smoothing] - Pseudo-count added to every level
+   * @param {number} [options.prior] - Starting prior for EM
+   * @param {number} [options.iterations] - Most EM iterations
+   * @param {number} [options.tolerance] - EM convergence tolerance
+   * @param {boolean} [options.use=false] - Also use the estimated model for scoring
+   * @returns {FellegiSunterModel} - Estimated model
+   */
+  estimateModel(pairs, options = {}) {
+    const { method = 'auto', use = false, iterations, tolerance, ...modelOptions } = options;
+    const normalized = pairs.map(pair => (Array.isArray(pair) ? { name1: pair[0], name2: pair[1] } : pair));
+    const labeled = normalized.every(pair => typeof pair.match === 'boolean');
+    
+    if (!['auto', 'supervised', 'em'].includes(method)) {
+      throw new Error(`Unknown estimation method: ${method}`);
+    }
+    if (method === 'supervised' && !labeled) {
+      throw new Error('Supervised estimation needs a boolean match label on every pair');
+    }
     
-    // Calculate average of the two scores
-    const averageScore = (naturalScore + enhancedScore) / 2;
+    const model = new FellegiSunterModel(modelOptions);
+    const patterns = normalized.map(pair => this.getPattern(pair.name1, pair.name2, model));
     
-    return parseFloat(averageScore.toFixed(2));
+    if (method === 'em' || (method === 'auto' && !labeled)) {
+      model.fitEM(patterns, { iterations, tolerance });
+    } else {
+      model.fit(patterns, normalized.map(pair => pair.match));
+    }
+    
+    if (use) {
+      this.model = model;
+    }
+    return model;
+  }
+
+  /**
+   * Score with a probabilistic model, or go back to fused scores
+   * @param {FellegiSunterModel|Object|string|null} model - Model or serialized parameters (null to stop using one)
+   * @returns {EnhancedNaturalMatcher} - This matcher, for chaining
+   */
+  useModel(model) {
+    this.model = FellegiSunterModel.resolve(model);
+    return this;
   }
 
   /**
@@ -50,25 +319,51 @@ class EnhancedNaturalMatcher {
    * @returns {number} - Similarity score (0-1)
    */
   getNaturalScore(name1, name2) {
-    if (!name1 || !name2) return 0;
-    
-    // Try different algorithms and take the best result
-    const jaroWinkler = natural.JaroWinklerDistance(name1, name2);
-    const diceCoefficient = natural.DiceCoefficient(name1, name2);
+    return this.explainNaturalScore(name1, name2).score;
+  }
+
+  /**
+   * Get the individual natural.js algorithm scores (enabled algorithms only)
+   * @param {string} name1 - First name
+   * @param {string} name2 - Second name
+   * @returns {Object} - Jaro-Winkler, Dice and Levenshtein similarities (0-1)
+   */
+  getNaturalScores(name1, name2) {
+    const algorithms = {
+      jaroWinkler: () => jaroWinkler(name1, name2),
+      dice: () => natural.DiceCoefficient(name1, name2),
+      levenshtein: () => levenshteinSimilarity(name1, name2)
+    };
     
-    // Convert Levenshtein distance to similarity
-    const levenshteinDistance = natural.LevenshteinDistance(name1, name2);
-    const maxLength = Math.max(name1.length, name2.length);
-    const levenshteinSimilarity = maxLength > 0 ? 1 - (levenshteinDistance / maxLength) : 1;
+    const scores = {};
+    for (const [name, algorithm] of Object.entries(algorithms)) {
+      if (this.strategyOptions[name] !== false) {
+        scores[name] = name1 && name2 ? algorithm() : 0;
+      }
+    }
     
-    // Return the best score from all algorithms
-    return Math.max(jaroWinkler, diceCoefficient, levenshteinSimilarity);
+    return scores;
   }
 
   /**
-   * Determine if two names match based on the threshold
+   * Explain the natural.js score: the deciding algorithm and all algorithm scores
    * @param {string} name1 - First name
    * @param {string} name2 - Second name
+   * @returns {Object} - Combined score, the algorithm that decided it and all scores
+   */
+  explainNaturalScore(name1, name2) {
+    const scores = this.getNaturalScores(name1, name2);
+    
+    // Combine the algorithm scores (by default, take the best score)
+    const { score, strategy } = fuseScores(scores, this.naturalFusion);
+    
+    return { score, strategy, scores, fusion: describeFusion(this.naturalFusion) };
+  }
+
+  /**
+   * Determine if two names match based on the threshold
+   * @param {string|PreparedName} name1 - First name
+   * @param {string|PreparedName} name2 - Second name
    * @returns {boolean} - True if the names match
    */
   isMatch(name1, name2) {
@@ -76,15 +371,86 @@ class EnhancedNaturalMatcher {
     return score >= this.threshold;
   }
 
+  /**
+   * Rank candidates by how well they match a query
+   *
+   * The query is prepared once, and the prepared form of each candidate is
+   * kept with the candidates array, so repeated queries against the same
+   * array do not parse its names again.
+   *
+   * @param {string|PreparedName} query - Name to look for
+   * @param {Array} candidates - Names, or objects holding a name
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit=10] - Most results to return
+   * @param {number} [options.threshold] - Minimum score (defaults to the matcher's threshold; 0 ranks every candidate)
+   * @param {Function} [options.keyFn] - candidate => name (defaults to the candidate itself for
+   *   strings and its `name` property for objects)
+   * @returns {Array} - Array of { candidate, name, index, score, details }, best match first;
+   *   `details` is the score breakdown (see getScoreBreakdown)
+   */
+  findBestMatches(query, candidates, options = {}) {
+    const {
+      limit = 10,
+      threshold = this.threshold,
+      keyFn = candidate => (typeof candidate === 'string' ? candidate : candidate && candidate.name)
+    } = options;
+    
+    if (!PreparedName.textOf(query)) return [];
+    
+    const preparedQuery = this.prepare(query);
+    const prepared = this.prepareCandidates(candidates, keyFn);
+    
+    const results = [];
+    candidates.forEach((candidate, index) => {
+      const { name, preparedName } = prepared[index];
+      if (!name) return;
+      
+      const details = this.getScoreBreakdown(preparedQuery, preparedName);
+      if (details.score >= threshold) {
+        results.push({ candidate, name, index, score: details.score, details });
+      }
+    });
+    
+    return results
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, limit);
+  }
+
+  /**
+   * Prepare the names of a candidates array, reusing the results of
+   * earlier calls for entries whose name has not changed
+   * @param {Array} candidates - Candidates
+   * @param {Function} keyFn - candidate => name or PreparedName
+   * @returns {Array} - Array of { name, preparedName }, one per candidate
+   */
+  prepareCandidates(candidates, keyFn) {
+    const previous = this.candidateCache.get(candidates) || [];
+    const prepared = candidates.map((candidate, index) => {
+      const key = keyFn(candidate);
+      if (previous[index] && previous[index].key === key) {
+        return previous[index];
+      }
+      
+      const name = PreparedName.textOf(key);
+      return { key, name, preparedName: name ? this.prepare(key) : null };
+    });
+    
+    this.candidateCache.set(candidates, prepared);
+    return prepared;
+  }
+
   /**
    * Check if all names in a group refer to the same person
-   * @param {Array} nameGroup - Array of name variants
+   * @param {Array} nameGroup - Array of name variants (strings or PreparedNames)
    * @returns {Object} - Result with score and details
    */
   matchNameGroup(nameGroup) {
     if (nameGroup.length <= 1) {
       return { score: 1, matches: [], isMatch: true };
     }
+    
+    // Parse each name once rather than once per pair
+    const prepared = nameGroup.map(name => (PreparedName.textOf(name) ? this.prepare(name) : name));
 
     const matches = [];
     let totalScore = 0;
@@ -93,9 +459,9 @@ class EnhancedNaturalMatcher {
     // Compare each name with every other name
     for (let i = 0; i < nameGroup.length; i++) {
       for (let j = i + 1; j < nameGroup.length; j++) {
-        const name1 = nameGroup[i];
-        const name2 = nameGroup[j];
-        const similarity = this.getSimilarity(name1, name2);
+        const name1 = PreparedName.textOf(nameGroup[i]);
+        const name2 = PreparedName.textOf(nameGroup[j]);
+        const similarity = this.getSimilarity(prepared[i], prepared[j]);
         
         matches.push({ name1, name2, similarity });
         totalScore += similarity;
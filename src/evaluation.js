@@ -0,0 +1,239 @@
+/**
+ * Evaluation and threshold calibration
+ *
+ * Scores labeled pairs (match or non-match) with a configured matcher
+ * and reports how well the scores separate them: precision, recall and
+ * F1 at a threshold, the confusion matrix, ROC and precision-recall
+ * curves, a recommended threshold for a target precision or recall, and
+ * the worst errors with their explanations.
+ */
+const EnhancedNaturalMatcher = require('./enhanced-natural-matcher');
+
+/**
+ * Normalize labeled pairs to { name1, name2, match } objects
+ * @param {Array} pairs - Array of { name1, name2, match } objects or [name1, name2, match] arrays
+ * @returns {Array} - Normalized pairs
+ */
+function normalizePairs(pairs) {
+  return pairs.map((pair, position) => {
+    const normalized = Array.isArray(pair)
+      ? { name1: pair[0], name2: pair[1], match: pair[2] }
+      : pair;
+
+    if (typeof normalized.match !== 'boolean') {
+      throw new TypeError(`Labeled pair ${position} needs a boolean match label`);
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Divide, treating 0/0 as 0
+ * @param {number} numerator - Numerator
+ * @param {number} denominator - Denominator
+ * @returns {number} - Quotient
+ */
+function ratio(numerator, denominator) {
+  return denominator > 0 ? numerator / denominator : 0;
+}
+
+/**
+ * Calculate the confusion matrix and metrics at a threshold
+ * @param {Array} scored - Array of { score, match }
+ * @param {number} threshold - Pairs scoring at least this are predicted matches
+ * @returns {Object} - { threshold, confusionMatrix, precision, recall, f1, accuracy }
+ */
+function computeMetrics(scored, threshold) {
+  const confusionMatrix = { truePositives: 0, falsePositives: 0, trueNegatives: 0, falseNegatives: 0 };
+
+  for (const { score, match } of scored) {
+    const predicted = score >= threshold;
+    if (predicted && match) confusionMatrix.truePositives++;
+    else if (predicted) confusionMatrix.falsePositives++;
+    else if (match) confusionMatrix.falseNegatives++;
+    else confusionMatrix.trueNegatives++;
+  }
+
+  const { truePositives, falsePositives, trueNegatives, falseNegatives } = confusionMatrix;
+  const precision = ratio(truePositives, truePositives + falsePositives);
+  const recall = ratio(truePositives, truePositives + falseNegatives);
+
+  return {
+    threshold,
+    confusionMatrix,
+    precision,
+    recall,
+    f1: ratio(2 * precision * recall, precision + recall),
+    accuracy: ratio(truePositives + trueNegatives, scored.length)
+  };
+}
+
+/**
+ * Calculate the metrics at every distinct score, highest threshold first
+ * @param {Array} scored - Array of { score, match }
+ * @returns {Array} - Array of metrics (see computeMetrics)
+ */
+function sweepThresholds(scored) {
+  const positives = scored.filter(pair => pair.match).length;
+  const negatives = scored.length - positives;
+  const sorted = [...scored].sort((a, b) => b.score - a.score);
+
+  // Lowering the threshold past each distinct score adds the pairs with that score
+  const points = [];
+  let truePositives = 0;
+  let falsePositives = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    if (sorted[i].match) truePositives++;
+    else falsePositives++;
+    if (i + 1 < sorted.length && sorted[i + 1].score === sorted[i].score) continue;
+
+    const precision = ratio(truePositives, truePositives + falsePositives);
+    const recall = ratio(truePositives, positives);
+    points.push({
+      threshold: sorted[i].score,
+      confusionMatrix: {
+        truePositives,
+        falsePositives,
+        trueNegatives: negatives - falsePositives,
+        falseNegatives: positives - truePositives
+      },
+      precision,
+      recall,
+      f1: ratio(2 * precision * recall, precision + recall),
+      accuracy: ratio(truePositives + negatives - falsePositives, scored.length)
+    });
+  }
+  return points;
+}
+
+/**
+ * Build the ROC and precision-recall curves
+ * @param {Array} scored - Array of { score, match }
+ * @returns {Object} - { roc, auc, pr, averagePrecision }. `roc` holds
+ *   { threshold, truePositiveRate, falsePositiveRate } points from (0, 0) to (1, 1),
+ *   `pr` holds { threshold, precision, recall } points, highest threshold first.
+ */
+function computeCurves(scored) {
+  const positives = scored.filter(pair => pair.match).length;
+  const negatives = scored.length - positives;
+  const points = sweepThresholds(scored);
+
+  const roc = [{ threshold: Infinity, truePositiveRate: 0, falsePositiveRate: 0 }];
+  for (const { threshold, confusionMatrix } of points) {
+    roc.push({
+      threshold,
+      truePositiveRate: ratio(confusionMatrix.truePositives, positives),
+      falsePositiveRate: ratio(confusionMatrix.falsePositives, negatives)
+    });
+  }
+
+  // Area under the ROC curve, by the trapezoid rule
+  let auc = 0;
+  for (let i = 1; i < roc.length; i++) {
+    const width = roc[i].falsePositiveRate - roc[i - 1].falsePositiveRate;
+    auc += width * (roc[i].truePositiveRate + roc[i - 1].truePositiveRate) / 2;
+  }
+
+  const pr = points.map(({ threshold, precision, recall }) => ({ threshold, precision, recall }));
+
+  // Average precision: precision weighted by each step in recall
+  let averagePrecision = 0;
+  let previousRecall = 0;
+  for (const { precision, recall } of pr) {
+    averagePrecision += (recall - previousRecall) * precision;
+    previousRecall = recall;
+  }
+
+  return { roc, auc, pr, averagePrecision };
+}
+
+/**
+ * Recommend a threshold
+ *
+ * For a target precision, the lowest threshold that still reaches it
+ * (the most recall at that precision); for a target recall, the highest
+ * threshold that reaches it (the most precision at that recall); without
+ * a target, the threshold with the best F1.
+ *
+ * @param {Array} scored - Array of { score, match }
+ * @param {Object} [target] - { precision } or { recall } (0-1)
+ * @returns {Object|null} - Metrics at the recommended threshold (see computeMetrics),
+ *   or null if the target cannot be reached
+ */
+function recommendThreshold(scored, target = {}) {
+  const points = sweepThresholds(scored);
+
+  if (target.precision !== undefined) {
+    const reaching = points.filter(point => point.precision >= target.precision);
+    return reaching.length > 0 ? reaching[reaching.length - 1] : null;
+  }
+
+  if (target.recall !== undefined) {
+    return points.find(point => point.recall >= target.recall) || null;
+  }
+
+  return points.reduce((best, point) => (!best || point.f1 > best.f1 ? point : best), null);
+}
+
+/**
+ * Evaluate a matcher against labeled pairs
+ *
+ * @param {Array} pairs - Array of { name1, name2, match } objects or [name1, name2, match] arrays
+ * @param {Object} [options] - Evaluation options; other options are passed to EnhancedNaturalMatcher
+ * @param {EnhancedNaturalMatcher} [options.matcher] - Matcher to evaluate
+ * @param {number} [options.threshold] - Threshold to report metrics at (defaults to the matcher's threshold)
+ * @param {Object} [options.target] - { precision } or { recall } to recommend a threshold for
+ *   (without a target the threshold with the best F1 is recommended)
+ * @param {number} [options.worst=5] - Number of false positives and false negatives to list
+ * @returns {Object} - { count, positives, negatives, threshold, confusionMatrix, precision,
+ *   recall, f1, accuracy, roc, auc, pr, averagePrecision, recommendation, falsePositives,
+ *   falseNegatives }. The error lists hold { name1, name2, score, explanation }, worst first.
+ */
+function evaluate(pairs, options = {}) {
+  const {
+    matcher: providedMatcher,
+    threshold: thresholdOption,
+    target,
+    worst = 5,
+    ...matcherOptions
+  } = options;
+
+  const matcher = providedMatcher || new EnhancedNaturalMatcher({ ...matcherOptions, threshold: thresholdOption });
+  const threshold = thresholdOption !== undefined ? thresholdOption : matcher.threshold;
+
+  const scored = normalizePairs(pairs).map(pair => ({
+    ...pair,
+    score: matcher.getSimilarity(pair.name1, pair.name2)
+  }));
+  const positives = scored.filter(pair => pair.match).length;
+
+  // The errors furthest from the right side of the threshold, with their explanations
+  const listErrors = (errors, order) => errors
+    .sort(order)
+    .slice(0, worst)
+    .map(({ name1, name2, score }) => ({ name1, name2, score, explanation: matcher.explain(name1, name2) }));
+
+  return {
+    count: scored.length,
+    positives,
+    negatives: scored.length - positives,
+    ...computeMetrics(scored, threshold),
+    ...computeCurves(scored),
+    recommendation: recommendThreshold(scored, target),
+    falsePositives: listErrors(
+      scored.filter(pair => !pair.match && pair.score >= threshold),
+      (a, b) => b.score - a.score
+    ),
+    falseNegatives: listErrors(
+      scored.filter(pair => pair.match && pair.score < threshold),
+      (a, b) => a.score - b.score
+    )
+  };
+}
+
+module.exports = {
+  evaluate,
+  computeMetrics,
+  computeCurves,
+  recommendThreshold
+};
@@ -0,0 +1,152 @@
+/**
+ * Family name list
+ *
+ * Stores common Chinese, Korean, Japanese and Vietnamese family names
+ * with their romanization variants ("wang" is also written wong and
+ * vong; "lee", "yi" and "rhee" are romanizations of the same Korean
+ * name). Lists are loaded, merged and serialized like nickname
+ * dictionaries: each entry maps a family name to its variants, and a
+ * variant may belong to several family names ("wong" is a Cantonese
+ * romanization of both wang and huang). Unlike nicknames, variants are
+ * only equivalent to their own family names: "wong" matches wang and
+ * huang, but does not make wang and huang, or two variants of one
+ * family name, equivalent to each other.
+ */
+const NicknameDictionary = require('./nickname-dictionary');
+
+// Common East Asian family names and their romanization variants
+const EAST_ASIAN_FAMILY_NAMES = {
+  // Chinese (Pinyin first, then Wade-Giles, Cantonese, Hokkien and Teochew spellings)
+  'wang': ['wong', 'vong', 'ong', 'heng'],
+  'li': ['lee', 'lei', 'ly'],
+  'zhang': ['chang', 'cheung', 'chong', 'teo', 'teoh'],
+  'liu': ['lau', 'lao', 'lou'],
+  'chen': ['chan', 'tan', 'chin'],
+  'yang': ['yeung', 'yeo', 'young', 'ieong'],
+  'huang': ['wong', 'hwang', 'ng', 'wee', 'oei'],
+  'zhao': ['chao', 'chiu', 'chew'],
+  'wu': ['woo', 'ng', 'goh'],
+  'zhou': ['chou', 'chow', 'chau'],
+  'xu': ['hsu', 'tsui', 'chui', 'hui', 'koh'],
+  'sun': ['suen', 'soon'],
+  'ma': ['mah'],
+  'zhu': ['chu', 'chow', 'choo'],
+  'hu': ['hoo', 'foo'],
+  'guo': ['kuo', 'kwok', 'quek', 'kwek'],
+  'he': ['ho', 'hoh'],
+  'lin': ['lam', 'lim', 'ling'],
+  'luo': ['lo', 'law', 'loh'],
+  'liang': ['leung', 'leong', 'neo'],
+  'song': ['sung', 'soong'],
+  'zheng': ['cheng', 'cheang', 'tay', 'teh'],
+  'xie': ['hsieh', 'tse', 'chia', 'seah'],
+  'tang': ['tong', 'tng'],
+  'feng': ['fung', 'fong'],
+  'cao': ['tsao', 'tso', 'chow'],
+  'deng': ['teng', 'tang'],
+  'ye': ['yeh', 'yip', 'ip'],
+  'lu': ['loo', 'lo', 'lou'],
+  'jiang': ['chiang', 'keung', 'kiang'],
+  'cai': ['tsai', 'choy', 'choi', 'chua', 'tsoi'],
+  'pan': ['poon', 'phua', 'pun'],
+  'du': ['tu', 'to', 'tou'],
+  'yu': ['yue', 'yee', 'ee'],
+  'guan': ['kwan', 'kuan'],
+  'gao': ['kao', 'ko', 'koh'],
+  'dong': ['tung'],
+  'yuan': ['yuen'],
+  'qian': ['chien', 'chin'],
+  'zhong': ['chung', 'chong'],
+
+  // Korean (Revised Romanization first, then McCune-Reischauer and common spellings)
+  'kim': ['gim'],
+  'lee': ['yi', 'li', 'rhee', 'rhie', 'ree'],
+  'park': ['pak', 'bak', 'bahk'],
+  'choi': ['choe', 'chey', 'choy'],
+  'jeong': ['jung', 'chung', 'cheong'],
+  'kang': ['gang'],
+  'cho': ['jo'],
+  'yoon': ['yun'],
+  'jang': ['chang'],
+  'lim': ['im', 'rim', 'yim'],
+  'han': ['hahn'],
+  'oh': [],
+  'shin': ['sin'],
+  'seo': ['suh'],
+  'kwon': ['gwon'],
+  'hwang': ['whang'],
+  'ahn': ['an'],
+  'yoo': ['yu', 'ryu'],
+  'hong': [],
+  'jeon': ['jun', 'chun', 'chon'],
+  'ko': ['go', 'koh'],
+  'moon': ['mun'],
+  'baek': ['paek', 'paik'],
+  'noh': ['roh', 'rho'],
+
+  // Japanese (Hepburn, with the long-vowel spellings used in passports)
+  'sato': ['satoh', 'satou'],
+  'suzuki': [],
+  'takahashi': [],
+  'tanaka': [],
+  'watanabe': [],
+  'ito': ['itoh', 'itou'],
+  'yamamoto': [],
+  'nakamura': [],
+  'kobayashi': [],
+  'kato': ['katoh', 'katou'],
+  'yoshida': [],
+  'yamada': [],
+  'sasaki': [],
+  'saito': ['saitoh', 'saitou'],
+  'kondo': ['kondoh', 'kondou'],
+  'endo': ['endoh', 'endou'],
+  'goto': ['gotoh', 'gotou'],
+  'ono': ['ohno', 'oono'],
+  'ota': ['ohta', 'oota'],
+
+  // Vietnamese (diacritics are folded, so nguyễn is stored as nguyen)
+  'nguyen': [],
+  'tran': [],
+  'le': ['lee'],
+  'pham': [],
+  'hoang': ['huynh'],
+  'vu': ['vo'],
+  'dang': [],
+  'bui': [],
+  'do': [],
+  'ngo': [],
+  'duong': [],
+  'ly': ['lee', 'li']
+};
+
+class FamilyNameList extends NicknameDictionary {
+  /**
+   * Get a family name, its variants and the family names it is a variant of
+   *
+   * Only direct links are followed, so a variant shared by several family
+   * names ("wong": wang, huang) does not connect them.
+   *
+   * @param {string} name - Family name or variant
+   * @returns {Array} - Array of equivalent names, starting with the name itself
+   */
+  getEquivalents(name) {
+    const linked = new Set([...this.getNicknames(name), ...this.getFormalNames(name)]);
+    return super.getEquivalents(name).filter((equivalent, index) => index === 0 || linked.has(equivalent));
+  }
+
+  /**
+   * Check whether two family names are romanization variants of each other
+   * @param {string} name1 - First family name
+   * @param {string} name2 - Second family name
+   * @returns {boolean} - True if the names are different spellings of one family name
+   */
+  areVariants(name1, name2) {
+    return Boolean(name1) && Boolean(name2) && name1 !== name2 && this.areEquivalent(name1, name2);
+  }
+}
+
+module.exports = {
+  FamilyNameList,
+  EAST_ASIAN_FAMILY_NAMES
+};
@@ -0,0 +1,371 @@
+/**
+ * Fellegi-Sunter probabilistic scoring
+ *
+ * Turns the outputs of the matchers into an agreement pattern (one
+ * discrete level per comparison, e.g. first names agree by nickname,
+ * last names differ) and scores the pattern with m and u probabilities:
+ * m is the probability of a level among true matches, u among
+ * non-matches. The log-likelihood ratio log2(m/u) summed over the
+ * comparisons is the match weight; together with the prior match
+ * probability it gives the posterior probability of a match.
+ *
+ * m and u are estimated from labeled pairs, or without labels through
+ * expectation maximization (EM), and can be serialized for reuse.
+ */
+
+/**
+ * Level of a name component comparison (see EnhancedMatcher#compareComponents)
+ * @param {Object} comparison - { verdict, reason, score }
+ * @param {Object} reasons - Map of reason to level
+ * @returns {string|null} - Level, or null if the component is missing
+ */
+function componentLevel(comparison, reasons) {
+  if (!comparison || comparison.verdict === 'unknown') return null;
+  return reasons[comparison.reason] || (comparison.verdict === 'compatible' ? 'variant' : 'different');
+}
+
+// Default comparisons. Each maps the evidence of a pair ({ natural, enhanced }
+// from EnhancedNaturalMatcher#getEvidence) to one of its levels, strongest
+// agreement first, or to null when it cannot be compared.
+const DEFAULT_COMPARISONS = {
+  firstName: {
+    levels: ['exact', 'nickname', 'spelling', 'initial', 'different'],
+    compare: ({ enhanced }) => componentLevel(enhanced.components.first, {
+      exact: 'exact',
+      nickname: 'nickname',
+      // "al" / "fred": as weak as an initial, since "al" may be another formal name
+      'ambiguous nickname': 'initial',
+      spelling: 'spelling',
+      initial: 'initial',
+      different: 'different'
+    })
+  },
+  middleName: {
+    levels: ['agree', 'disagree'],
+    compare: ({ enhanced }) => {
+      const { verdict } = enhanced.components.middle;
+      if (verdict === 'unknown') return null;
+      return verdict === 'compatible' ? 'agree' : 'disagree';
+    }
+  },
+  lastName: {
+    levels: ['exact', 'variant', 'spelling', 'initial', 'different'],
+    compare: ({ enhanced }) => componentLevel(enhanced.components.last, {
+      exact: 'exact', spelling: 'spelling', initial: 'initial', different: 'different'
+    })
+  },
+  phonetic: {
+    levels: ['agree', 'disagree'],
+    compare: ({ enhanced }) => {
+      if (enhanced.scores.phonetic === undefined) return null;
+      return enhanced.scores.phonetic > 0 ? 'agree' : 'disagree';
+    }
+  },
+  similarity: {
+    levels: ['high', 'medium', 'low', 'none'],
+    compare: ({ natural }) => {
+      if (natural.score >= 0.95) return 'high';
+      if (natural.score >= 0.85) return 'medium';
+      if (natural.score >= 0.7) return 'low';
+      return 'none';
+    }
+  }
+};
+
+/**
+ * Key identifying an agreement pattern
+ * @param {Object} pattern - Map of comparison to level
+ * @returns {string} - Key
+ */
+function patternKey(pattern) {
+  return JSON.stringify(pattern);
+}
+
+/**
+ * Group identical patterns, counting how often each occurs
+ * @param {Array} patterns - Array of patterns
+ * @returns {Array} - Array of { pattern, count }
+ */
+function groupPatterns(patterns) {
+  const groups = new Map();
+  for (const pattern of patterns) {
+    const key = patternKey(pattern);
+    if (!groups.has(key)) groups.set(key, { pattern, count: 0 });
+    groups.get(key).count++;
+  }
+  return [...groups.values()];
+}
+
+class FellegiSunterModel {
+  /**
+   * Create a new FellegiSunterModel
+   * @param {Object} [options] - Model parameters
+   * @param {number} [options.prior=0.1] - Prior probability that a pair is a match
+   * @param {Object} [options.m] - m probabilities: comparison -> level -> P(level | match)
+   * @param {Object} [options.u] - u probabilities: comparison -> level -> P(level | non-match)
+   * @param {Object} [options.comparisons] - Comparisons: name -> { levels, compare(evidence) }
+   * @param {number} [options.smoothing=0.5] - Pseudo-count added to every level when estimating
+   */
+  constructor(options = {}) {
+    this.comparisons = options.comparisons || DEFAULT_COMPARISONS;
+    this.smoothing = options.smoothing !== undefined ? options.smoothing : 0.5;
+    this.prior = options.prior !== undefined ? options.prior : 0.1;
+
+    // Without estimates, agreement is assumed to be informative
+    this.m = options.m || this.initialProbabilities(true);
+    this.u = options.u || this.initialProbabilities(false);
+  }
+
+  /**
+   * Starting probabilities: the m probabilities favour the strongest
+   * agreement levels, the u probabilities the weakest
+   * @param {boolean} match - Build m (true) or u (false) probabilities
+   * @returns {Object} - comparison -> level -> probability
+   */
+  initialProbabilities(match) {
+    const probabilities = {};
+    for (const [name, { levels }] of Object.entries(this.comparisons)) {
+      const raw = levels.map((_, rank) => (match ? levels.length - rank : rank + 1) ** 2);
+      const total = raw.reduce((sum, value) => sum + value, 0);
+      probabilities[name] = {};
+      levels.forEach((level, rank) => {
+        probabilities[name][level] = raw[rank] / total;
+      });
+    }
+    return probabilities;
+  }
+
+  /**
+   * Build the agreement pattern of a pair from its evidence
+   * @param {Object} evidence - { natural, enhanced } (see EnhancedNaturalMatcher#getEvidence)
+   * @returns {Object} - comparison -> level (null when the comparison does not apply)
+   */
+  getPattern(evidence) {
+    const pattern = {};
+    for (const [name, { compare }] of Object.entries(this.comparisons)) {
+      pattern[name] = compare(evidence);
+    }
+    return pattern;
+  }
+
+  /**
+   * Estimate m, u and the prior from labeled patterns
+   * @param {Array} patterns - Agreement patterns
+   * @param {Array} labels - Whether each pattern belongs to a true match
+   * @returns {FellegiSunterModel} - This model, for chaining
+   */
+  fit(patterns, labels) {
+    const matches = labels.filter(Boolean).length;
+    if (matches === 0 || matches === labels.length) {
+      throw new Error('Labeled pairs must include both matches and non-matches');
+    }
+
+    this.prior = matches / labels.length;
+    const groups = patterns.map((pattern, index) => ({
+      pattern,
+      count: 1,
+      match: labels[index] ? 1 : 0
+    }));
+    this.m = this.estimate(groups, group => group.match);
+    this.u = this.estimate(groups, group => 1 - group.match);
+
+    return this;
+  }
+
+  /**
+   * Estimate m, u and the prior from unlabeled patterns through expectation maximization
+   * @param {Array} patterns - Agreement patterns
+   * @param {Object} [options] - EM options
+   * @param {number} [options.iterations=100] - Most iterations
+   * @param {number} [options.tolerance=1e-4] - Stop when no parameter changes by more than this
+   * @returns {Object} - { iterations, converged }
+   */
+  fitEM(patterns, options = {}) {
+    const { iterations = 100, tolerance = 1e-4 } = options;
+    const groups = groupPatterns(patterns);
+    const total = patterns.length;
+
+    for (let iteration = 1; iteration <= iterations; iteration++) {
+      // E-step: probability that each pattern belongs to a match
+      for (const group of groups) {
+        group.match = this.getProbability(group.pattern);
+      }
+
+      // M-step
+      const prior = groups.reduce((sum, group) => sum + group.match * group.count, 0) / total;
+      const m = this.estimate(groups, group => group.match);
+      const u = this.estimate(groups, group => 1 - group.match);
+
+      const change = Math.max(
+        Math.abs(prior - this.prior),
+        ...this.differences(m, this.m),
+        ...this.differences(u, this.u)
+      );
+      this.prior = prior;
+      this.m = m;
+      this.u = u;
+
+      if (change <= tolerance) {
+        this.orientClasses();
+        return { iterations: iteration, converged: true };
+      }
+    }
+
+    this.orientClasses();
+    return { iterations, converged: false };
+  }
+
+  /**
+   * Estimate level probabilities from weighted pattern counts
+   * @param {Array} groups - Array of { pattern, count, match }
+   * @param {Function} weightOf - group => weight of the group in the class being estimated
+   * @returns {Object} - comparison -> level -> probability
+   */
+  estimate(groups, weightOf) {
+    const probabilities = {};
+    for (const [name, { levels }] of Object.entries(this.comparisons)) {
+      const counts = Object.fromEntries(levels.map(level => [level, this.smoothing]));
+      for (const group of groups) {
+        const level = group.pattern[name];
+        if (level === null || level === undefined || !(level in counts)) continue;
+        counts[level] += weightOf(group) * group.count;
+      }
+
+      const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+      probabilities[name] = {};
+      for (const level of levels) {
+        probabilities[name][level] = total > 0 ? counts[level] / total : 1 / levels.length;
+      }
+    }
+    return probabilities;
+  }
+
+  /**
+   * Absolute differences between two sets of level probabilities
+   * @param {Object} a - comparison -> level -> probability
+   * @param {Object} b - comparison -> level -> probability
+   * @returns {Array} - Differences
+   */
+  differences(a, b) {
+    const result = [];
+    for (const name of Object.keys(a)) {
+      for (const level of Object.keys(a[name])) {
+        result.push(Math.abs(a[name][level] - ((b[name] && b[name][level]) || 0)));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * EM may converge with the two classes swapped; make sure the match
+   * class is the one in which the strongest agreement levels are likely
+   */
+  orientClasses() {
+    const strongest = {};
+    for (const [name, { levels }] of Object.entries(this.comparisons)) {
+      strongest[name] = levels[0];
+    }
+
+    if (this.getWeight(strongest).weight < 0) {
+      [this.m, this.u] = [this.u, this.m];
+      this.prior = 1 - this.prior;
+    }
+  }
+
+  /**
+   * Calculate the match weight of a pattern
+   * @param {Object} pattern - comparison -> level
+   * @returns {Object} - { weight, contributions } where weight is the sum of
+   *   log2(m / u) over the comparisons and contributions holds each comparison's
+   *   { level, m, u, weight } (comparisons that do not apply are left out)
+   */
+  getWeight(pattern) {
+    let weight = 0;
+    const contributions = {};
+
+    for (const name of Object.keys(this.comparisons)) {
+      const level = pattern[name];
+      if (level === null || level === undefined) continue;
+
+      const m = this.m[name] && this.m[name][level];
+      const u = this.u[name] && this.u[name][level];
+      if (!m || !u) continue;
+
+      const levelWeight = Math.log2(m / u);
+      contributions[name] = { level, m, u, weight: levelWeight };
+      weight += levelWeight;
+    }
+
+    return { weight, contributions };
+  }
+
+  /**
+   * Calculate the posterior probability that a pattern belongs to a match
+   * @param {Object} pattern - comparison -> level
+   * @returns {number} - Probability (0-1)
+   */
+  getProbability(pattern) {
+    return this.score(pattern).probability;
+  }
+
+  /**
+   * Score a pattern
+   * @param {Object} pattern - comparison -> level
+   * @returns {Object} - { probability, weight, priorWeight, pattern, contributions }
+   */
+  score(pattern) {
+    const { weight, contributions } = this.getWeight(pattern);
+    const priorWeight = Math.log2(this.prior / (1 - this.prior));
+    const probability = 1 / (1 + Math.pow(2, -(priorWeight + weight)));
+
+    return { probability, weight, priorWeight, pattern, contributions };
+  }
+
+  /**
+   * Serialize the estimated parameters
+   * @returns {Object} - { prior, levels, m, u }
+   */
+  toJSON() {
+    const levels = {};
+    for (const [name, comparison] of Object.entries(this.comparisons)) {
+      levels[name] = comparison.levels;
+    }
+    return { prior: this.prior, levels, m: this.m, u: this.u };
+  }
+
+  /**
+   * Restore a model from serialized parameters
+   * @param {string|Object} json - JSON text or object produced by toJSON
+   * @param {Object} [options] - Model options; custom comparisons must be passed again
+   * @returns {FellegiSunterModel} - New model
+   */
+  static fromJSON(json, options = {}) {
+    const params = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!params || typeof params !== 'object' || !params.m || !params.u || params.prior === undefined) {
+      throw new TypeError('Model JSON must contain prior, m and u');
+    }
+
+    const model = new FellegiSunterModel({ ...options, prior: params.prior, m: params.m, u: params.u });
+    for (const name of Object.keys(params.m)) {
+      if (!model.comparisons[name]) {
+        throw new Error(`Unknown comparison in model: ${name}`);
+      }
+    }
+    return model;
+  }
+
+  /**
+   * Resolve a model option
+   * @param {FellegiSunterModel|Object|string} source - Model, or serialized parameters
+   * @returns {FellegiSunterModel|null} - Model, or null if no source was given
+   */
+  static resolve(source) {
+    if (!source) return null;
+    return source instanceof FellegiSunterModel ? source : FellegiSunterModel.fromJSON(source);
+  }
+}
+
+module.exports = {
+  FellegiSunterModel,
+  DEFAULT_COMPARISONS
+};
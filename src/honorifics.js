@@ -0,0 +1,358 @@
+/**
+ * Honorific registry
+ *
+ * Titles written before a name ("Dr", "Lt. Col.", "His Honour", "Frau",
+ * "Dato'") and suffixes written after it ("Jr", "III", "PhD", "Esq").
+ * Every honorific has a canonical form, the spellings it is recognized
+ * by, whether it is a prefix or a suffix, and a category. Generational
+ * suffixes (category 'generational') tell apart people who share a name,
+ * so they are kept as evidence instead of being discarded.
+ */
+const fs = require('fs');
+const { foldDiacritics } = require('./unicode');
+
+const TYPES = ['prefix', 'suffix'];
+
+// Default honorifics: canonical form -> { type, category, variants }
+const DEFAULT_HONORIFICS = {
+  // Titles
+  'mr': { type: 'prefix', category: 'title', variants: ['mister'] },
+  'mrs': { type: 'prefix', category: 'title', variants: ['missus'] },
+  'ms': { type: 'prefix', category: 'title' },
+  'miss': { type: 'prefix', category: 'title' },
+  'mx': { type: 'prefix', category: 'title' },
+  'dr': { type: 'prefix', category: 'title', variants: ['doctor'] },
+  'prof': { type: 'prefix', category: 'title', variants: ['professor'] },
+  'sir': { type: 'prefix', category: 'title' },
+  'dame': { type: 'prefix', category: 'title' },
+  'lord': { type: 'prefix', category: 'title' },
+  'lady': { type: 'prefix', category: 'title' },
+  'hon': { type: 'prefix', category: 'title', variants: ['honourable', 'honorable', 'the hon', 'the honourable', 'the honorable'] },
+
+  // Religious titles
+  'rev': { type: 'prefix', category: 'religious', variants: ['revd', 'reverend', 'the rev', 'the reverend'] },
+  'rt rev': { type: 'prefix', category: 'religious', variants: ['right reverend', 'the rt rev', 'the right reverend'] },
+  'fr': { type: 'prefix', category: 'religious', variants: ['father'] },
+  'pastor': { type: 'prefix', category: 'religious' },
+  'rabbi': { type: 'prefix', category: 'religious' },
+  'imam': { type: 'prefix', category: 'religious' },
+
+  // Military ranks
+  'lt': { type: 'prefix', category: 'military', variants: ['lieutenant'] },
+  'lt col': { type: 'prefix', category: 'military', variants: ['ltc', 'lieutenant colonel'] },
+  'lt gen': { type: 'prefix', category: 'military', variants: ['lieutenant general'] },
+  'col': { type: 'prefix', category: 'military', variants: ['colonel'] },
+  'maj': { type: 'prefix', category: 'military', variants: ['major'] },
+  'maj gen': { type: 'prefix', category: 'military', variants: ['major general'] },
+  'brig gen': { type: 'prefix', category: 'military', variants: ['brigadier general'] },
+  'gen': { type: 'prefix', category: 'military', variants: ['general'] },
+  'capt': { type: 'prefix', category: 'military', variants: ['cpt', 'captain'] },
+  'cmdr': { type: 'prefix', category: 'military', variants: ['cdr', 'commander'] },
+  'adm': { type: 'prefix', category: 'military', variants: ['admiral'] },
+  'sgt': { type: 'prefix', category: 'military', variants: ['sergeant'] },
+  'cpl': { type: 'prefix', category: 'military', variants: ['corporal'] },
+  'pvt': { type: 'prefix', category: 'military', variants: ['private'] },
+
+  // Judicial titles
+  'judge': { type: 'prefix', category: 'judicial' },
+  'justice': { type: 'prefix', category: 'judicial' },
+  'his honour': { type: 'prefix', category: 'judicial', variants: ['his honor'] },
+  'her honour': { type: 'prefix', category: 'judicial', variants: ['her honor'] },
+
+  // International titles ("Sr." before a name is señor; after it, senior)
+  'herr': { type: 'prefix', category: 'international' },
+  'frau': { type: 'prefix', category: 'international' },
+  'fraulein': { type: 'prefix', category: 'international', variants: ['frl'] },
+  'senor': { type: 'prefix', category: 'international', variants: ['sr'] },
+  'senora': { type: 'prefix', category: 'international', variants: ['sra'] },
+  'senorita': { type: 'prefix', category: 'international', variants: ['srta'] },
+  'monsieur': { type: 'prefix', category: 'international' },
+  'mme': { type: 'prefix', category: 'international', variants: ['madame'] },
+  'mlle': { type: 'prefix', category: 'international', variants: ['mademoiselle'] },
+  'signor': { type: 'prefix', category: 'international' },
+  'signora': { type: 'prefix', category: 'international' },
+  'shri': { type: 'prefix', category: 'international', variants: ['shree'] },
+  'smt': { type: 'prefix', category: 'international', variants: ['shrimati'] },
+  "dato'": { type: 'prefix', category: 'international', variants: ['dato', 'datuk'] },
+  'datin': { type: 'prefix', category: 'international' },
+  'tan sri': { type: 'prefix', category: 'international' },
+  'tun': { type: 'prefix', category: 'international' },
+  'haji': { type: 'prefix', category: 'international', variants: ['hajjah'] },
+
+  // Generational suffixes
+  'jr': { type: 'suffix', category: 'generational', variants: ['jnr', 'junior'] },
+  'sr': { type: 'suffix', category: 'generational', variants: ['snr', 'senior'] },
+  'ii': { type: 'suffix', category: 'generational', variants: ['2nd'] },
+  'iii': { type: 'suffix', category: 'generational', variants: ['3rd'] },
+  'iv': { type: 'suffix', category: 'generational', variants: ['4th'] },
+  'v': { type: 'suffix', category: 'generational', variants: ['5th'] },
+
+  // Professional and academic suffixes
+  'md': { type: 'suffix', category: 'professional' },
+  'phd': { type: 'suffix', category: 'professional' },
+  'esq': { type: 'suffix', category: 'professional', variants: ['esquire'] },
+  'dds': { type: 'suffix', category: 'professional' },
+  'dmd': { type: 'suffix', category: 'professional' },
+  'dvm': { type: 'suffix', category: 'professional' },
+  'jd': { type: 'suffix', category: 'professional' },
+  'mba': { type: 'suffix', category: 'professional' },
+  'cpa': { type: 'suffix', category: 'professional' },
+  'rn': { type: 'suffix', category: 'professional' },
+  'qc': { type: 'suffix', category: 'professional' },
+  'kc': { type: 'suffix', category: 'professional' },
+
+  // Honours
+  'obe': { type: 'suffix', category: 'honour' },
+  'mbe': { type: 'suffix', category: 'honour' },
+  'cbe': { type: 'suffix', category: 'honour' }
+};
+
+/**
+ * Normalize an honorific spelling for lookup
+ *
+ * Diacritics are folded and periods become word breaks, so "Lt. Col.",
+ * "lt col" and "Señor"/"senor" share an entry.
+ *
+ * @param {string} text - Honorific as written
+ * @returns {string} - Normalized spelling
+ */
+function normalizeHonorific(text) {
+  return foldDiacritics(String(text))
+    .toLowerCase()
+    .replace(/[\u2018\u2019\u02bc`]/g, "'")
+    .replace(/\./g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+class HonorificRegistry {
+  /**
+   * Create a new HonorificRegistry
+   * @param {Object} [entries={}] - Map of canonical form to { type, category, variants }
+   */
+  constructor(entries = {}) {
+    // canonical form -> { form, type, category, variants }
+    this.entries = new Map();
+
+    // type -> (normalized spelling -> entry)
+    this.spellings = { prefix: new Map(), suffix: new Map() };
+
+    // Most words in any spelling, so lookups know how far to look ahead
+    this.maxWords = 1;
+
+    this.merge(entries);
+  }
+
+  /**
+   * Register an honorific, replacing any entry with the same form
+   * @param {string} form - Canonical form ("lt col")
+   * @param {Object} [definition] - Definition
+   * @param {string} [definition.type='prefix'] - 'prefix' or 'suffix'
+   * @param {string} [definition.category] - Category, e.g. 'title', 'military', 'generational'
+   *   (defaults to 'title' for prefixes and 'professional' for suffixes)
+   * @param {Array} [definition.variants=[]] - Other spellings ("lieutenant colonel", "ltc")
+   * @returns {HonorificRegistry} - This registry, for chaining
+   */
+  add(form, definition = {}) {
+    const key = normalizeHonorific(form);
+    if (!key) return this;
+
+    const {
+      type = 'prefix',
+      category = type === 'prefix' ? 'title' : 'professional',
+      variants = []
+    } = definition;
+    if (!TYPES.includes(type)) {
+      throw new Error(`Unknown honorific type: ${type}`);
+    }
+
+    this.remove(key);
+
+    const spellings = [...new Set(variants.map(normalizeHonorific))].filter(spelling => spelling && spelling !== key);
+    const entry = { form: key, type, category, variants: spellings };
+    this.entries.set(key, entry);
+
+    for (const spelling of [key, ...spellings]) {
+      this.spellings[type].set(spelling, entry);
+      this.maxWords = Math.max(this.maxWords, spelling.split(' ').length);
+    }
+
+    return this;
+  }
+
+  /**
+   * Remove an honorific and its spellings
+   * @param {string} form - Canonical form
+   * @returns {boolean} - True if the form was registered
+   */
+  remove(form) {
+    const entry = this.entries.get(normalizeHonorific(form));
+    if (!entry) return false;
+
+    const spellings = this.spellings[entry.type];
+    for (const spelling of [entry.form, ...entry.variants]) {
+      if (spellings.get(spelling) === entry) spellings.delete(spelling);
+    }
+
+    this.entries.delete(entry.form);
+    return true;
+  }
+
+  /**
+   * Look up an honorific by any of its spellings
+   * @param {string} text - Honorific as written
+   * @param {string} [type] - Only look up prefixes or suffixes
+   * @returns {Object|null} - { form, type, category, variants }, or null if unknown
+   */
+  get(text, type) {
+    const key = normalizeHonorific(text);
+    for (const candidate of type ? [type] : TYPES) {
+      const entry = this.spellings[candidate].get(key);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a spelling is a known honorific
+   * @param {string} text - Honorific as written
+   * @param {string} [type] - Only check prefixes or suffixes
+   * @returns {boolean} - True if the spelling is registered
+   */
+  has(text, type) {
+    return this.get(text, type) !== null;
+  }
+
+  /**
+   * Find the longest honorific starting at a position of a token list
+   * @param {Array} tokens - Cleaned name tokens
+   * @param {number} start - Position of the first token
+   * @param {string} type - 'prefix' or 'suffix'
+   * @returns {Object|null} - { text, form, type, category, length }, or null if none starts there
+   */
+  matchAt(tokens, start, type) {
+    for (let length = Math.min(this.maxWords, tokens.length - start); length > 0; length--) {
+      const match = this.matchTokens(tokens.slice(start, start + length), type);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  /**
+   * Find the longest honorific ending just before a position of a token list
+   * @param {Array} tokens - Cleaned name tokens
+   * @param {number} end - Position after the last token
+   * @param {string} type - 'prefix' or 'suffix'
+   * @returns {Object|null} - { text, form, type, category, length }, or null if none ends there
+   */
+  matchBefore(tokens, end, type) {
+    for (let length = Math.min(this.maxWords, end); length > 0; length--) {
+      const match = this.matchTokens(tokens.slice(end - length, end), type);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  /**
+   * Look up a run of tokens as one honorific
+   * @param {Array} tokens - Cleaned tokens
+   * @param {string} type - 'prefix' or 'suffix'
+   * @returns {Object|null} - { text, form, type, category, length }, or null if unknown
+   */
+  matchTokens(tokens, type) {
+    const text = tokens.join(' ');
+    const entry = this.spellings[type].get(normalizeHonorific(text));
+    return entry
+      ? { text, form: entry.form, type, category: entry.category, length: tokens.length }
+      : null;
+  }
+
+  /**
+   * Merge another registry into this one
+   * @param {HonorificRegistry|Object} other - Registry or map of canonical form to definition
+   * @returns {HonorificRegistry} - This registry, for chaining
+   */
+  merge(other) {
+    if (!other) return this;
+
+    const entries = other instanceof HonorificRegistry ? other.toJSON() : other;
+    for (const [form, definition] of Object.entries(entries)) {
+      this.add(form, definition);
+    }
+    return this;
+  }
+
+  /**
+   * Get every registered spelling of one type
+   * @param {string} type - 'prefix' or 'suffix'
+   * @returns {Array} - Normalized spellings
+   */
+  getSpellings(type) {
+    return [...this.spellings[type].keys()];
+  }
+
+  /**
+   * Create an independent copy of the registry
+   * @returns {HonorificRegistry} - New registry with the same entries
+   */
+  clone() {
+    return new this.constructor(this.toJSON());
+  }
+
+  /**
+   * Serialize the registry as a map of canonical form to definition
+   * @returns {Object} - Plain object
+   */
+  toJSON() {
+    const entries = {};
+    for (const { form, type, category, variants } of this.entries.values()) {
+      entries[form] = { type, category, variants: [...variants] };
+    }
+    return entries;
+  }
+
+  /**
+   * Create a registry from JSON text or a parsed JSON object
+   * @param {string|Object} json - JSON text or object mapping canonical forms to definitions
+   * @returns {HonorificRegistry} - New registry
+   */
+  static fromJSON(json) {
+    const entries = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new TypeError('Honorific JSON must be an object mapping forms to definitions');
+    }
+    return new this(entries);
+  }
+
+  /**
+   * Load a registry from a .json file
+   * @param {string} filePath - Path to the registry file
+   * @returns {HonorificRegistry} - New registry
+   */
+  static load(filePath) {
+    return this.fromJSON(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Resolve an honorifics option
+   *
+   * A HonorificRegistry is used as-is. A plain object or a file path
+   * extends a copy of the base registry, leaving the base untouched.
+   *
+   * @param {HonorificRegistry|Object|string} source - Registry, entries or file path
+   * @param {HonorificRegistry} base - Registry to extend
+   * @returns {HonorificRegistry} - Resolved registry
+   */
+  static resolve(source, base) {
+    if (!source) return base;
+    if (source instanceof this) return source;
+
+    const extension = typeof source === 'string' ? this.load(source) : source;
+    return base.clone().merge(extension);
+  }
+}
+
+module.exports = {
+  HonorificRegistry,
+  DEFAULT_HONORIFICS
+};
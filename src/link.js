@@ -0,0 +1,304 @@
+/**
+ * Record linkage
+ *
+ * Finds the counterpart of each record of one list in another list
+ * (a vendor list against a customer list). Candidates come from a
+ * NameIndex over the second list and are scored with
+ * EnhancedNaturalMatcher; pairs can optionally be assigned one-to-one.
+ */
+const EnhancedNaturalMatcher = require('./enhanced-natural-matcher');
+const NameIndex = require('./name-index');
+const { normalizeRecords, connectedComponents } = require('./records');
+
+/**
+ * Pick pairs best score first, skipping records that are already taken
+ * @param {Array} pairs - Array of { a, b, score } with positions in both lists
+ * @returns {Array} - Selected pairs
+ */
+function assignGreedy(pairs) {
+  const takenA = new Set();
+  const takenB = new Set();
+  const selected = [];
+
+  for (const pair of [...pairs].sort((x, y) => y.score - x.score)) {
+    if (takenA.has(pair.a) || takenB.has(pair.b)) continue;
+    takenA.add(pair.a);
+    takenB.add(pair.b);
+    selected.push(pair);
+  }
+
+  return selected;
+}
+
+/**
+ * Solve the assignment problem for a cost matrix with at least as many
+ * columns as rows (Hungarian method with potentials, O(rows² · columns))
+ * @param {Array} cost - Matrix of costs, cost[row][column]
+ * @returns {Array} - Column assigned to each row
+ */
+function solveAssignment(cost) {
+  const rows = cost.length;
+  const columns = cost[0].length;
+  const u = new Array(rows + 1).fill(0);
+  const v = new Array(columns + 1).fill(0);
+  const owner = new Array(columns + 1).fill(0);
+  const way = new Array(columns + 1).fill(0);
+
+  for (let row = 1; row <= rows; row++) {
+    owner[0] = row;
+    let column = 0;
+    const minimum = new Array(columns + 1).fill(Infinity);
+    const used = new Array(columns + 1).fill(false);
+
+    do {
+      used[column] = true;
+      const currentRow = owner[column];
+      let delta = Infinity;
+      let next = 0;
+
+      for (let j = 1; j <= columns; j++) {
+        if (used[j]) continue;
+        const reduced = cost[currentRow - 1][j - 1] - u[currentRow] - v[j];
+        if (reduced < minimum[j]) {
+          minimum[j] = reduced;
+          way[j] = column;
+        }
+        if (minimum[j] < delta) {
+          delta = minimum[j];
+          next = j;
+        }
+      }
+
+      for (let j = 0; j <= columns; j++) {
+        if (used[j]) {
+          u[owner[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minimum[j] -= delta;
+        }
+      }
+      column = next;
+    } while (owner[column] !== 0);
+
+    do {
+      const previous = way[column];
+      owner[column] = owner[previous];
+      column = previous;
+    } while (column);
+  }
+
+  const assignment = new Array(rows);
+  for (let j = 1; j <= columns; j++) {
+    if (owner[j] !== 0) assignment[owner[j] - 1] = j - 1;
+  }
+  return assignment;
+}
+
+/**
+ * Pick the pairs with the highest total score, one counterpart per record
+ *
+ * The problem is solved separately for each connected group of
+ * candidate pairs, which keeps the matrices small. A group of common
+ * names can still hold thousands of records; the dense matrix would
+ * then take cubic time and quadratic memory, so groups with more than
+ * `maxGroupSize` records are assigned greedily instead.
+ *
+ * @param {Array} pairs - Array of { a, b, score } with positions in both lists
+ * @param {Object} [options] - Solver options
+ * @param {number} [options.maxGroupSize=1000] - Most records in a group solved exactly
+ * @returns {Array} - Selected pairs
+ */
+function assignHungarian(pairs, options = {}) {
+  const { maxGroupSize = 1000 } = options;
+
+  const nodesA = [...new Set(pairs.map(pair => pair.a))];
+  const nodesB = [...new Set(pairs.map(pair => pair.b))];
+  const nodeOfA = new Map(nodesA.map((a, node) => [a, node]));
+  const nodeOfB = new Map(nodesB.map((b, node) => [b, nodesA.length + node]));
+
+  const edges = pairs.map(pair => [nodeOfA.get(pair.a), nodeOfB.get(pair.b)]);
+  const components = connectedComponents(nodesA.length + nodesB.length, edges);
+
+  // node -> position of its component, to collect the pairs of each group
+  const componentOf = new Array(nodesA.length + nodesB.length);
+  components.forEach((component, position) => {
+    for (const node of component) componentOf[node] = position;
+  });
+  const groupPairs = components.map(() => []);
+  pairs.forEach((pair, position) => groupPairs[componentOf[edges[position][0]]].push(pair));
+
+  const pairAt = new Map(pairs.map(pair => [`${pair.a}|${pair.b}`, pair]));
+  const selected = [];
+
+  for (const [position, component] of components.entries()) {
+    if (component.length > maxGroupSize) {
+      for (const pair of assignGreedy(groupPairs[position])) selected.push(pair);
+      continue;
+    }
+
+    const sideA = component.filter(node => node < nodesA.length).map(node => nodesA[node]);
+    const sideB = component.filter(node => node >= nodesA.length).map(node => nodesB[node - nodesA.length]);
+    if (sideA.length === 0 || sideB.length === 0) continue;
+
+    // Rows are the smaller side; a missing pair costs as much as leaving both records unmatched
+    const transpose = sideA.length > sideB.length;
+    const [rows, columns] = transpose ? [sideB, sideA] : [sideA, sideB];
+    const pairOf = (row, column) => (transpose
+      ? pairAt.get(`${column}|${row}`)
+      : pairAt.get(`${row}|${column}`));
+
+    const cost = rows.map(row => columns.map(column => {
+      const pair = pairOf(row, column);
+      return pair ? 1 - pair.score : 1;
+    }));
+
+    solveAssignment(cost).forEach((column, row) => {
+      const pair = pairOf(rows[row], columns[column]);
+      if (pair) selected.push(pair);
+    });
+  }
+
+  return selected;
+}
+
+// One-to-one assignment solvers
+const ASSIGNMENTS = {
+  greedy: assignGreedy,
+  hungarian: assignHungarian
+};
+
+/**
+ * Find records whose two best candidates score within the margin of each other
+ * @param {Array} pairs - Candidate pairs above the threshold
+ * @param {string} side - 'a' or 'b'
+ * @param {Array} items - Records on that side
+ * @param {Array} others - Records on the other side
+ * @param {number} margin - Largest score difference considered ambiguous
+ * @returns {Array} - Array of { side, record, candidates }
+ */
+function findAmbiguous(pairs, side, items, others, margin) {
+  const other = side === 'a' ? 'b' : 'a';
+  const bySide = new Map();
+  for (const pair of pairs) {
+    if (!bySide.has(pair[side])) bySide.set(pair[side], []);
+    bySide.get(pair[side]).push(pair);
+  }
+
+  const ambiguous = [];
+  for (const [position, candidates] of bySide) {
+    if (candidates.length < 2) continue;
+
+    candidates.sort((x, y) => y.score - x.score);
+    if (candidates[0].score - candidates[1].score > margin) continue;
+
+    ambiguous.push({
+      side,
+      record: items[position],
+      candidates: candidates
+        .filter(candidate => candidates[0].score - candidate.score <= margin)
+        .map(candidate => ({ record: others[candidate[other]], score: candidate.score }))
+    });
+  }
+  return ambiguous;
+}
+
+/**
+ * Link the records of two lists
+ *
+ * @param {Array} listA - Array of names or { id, name } objects
+ * @param {Array} listB - Array of names or { id, name } objects
+ * @param {Object} [options] - Linkage options; other options are passed to EnhancedNaturalMatcher
+ * @param {number} [options.threshold] - Minimum score for a pair (defaults to the matcher's threshold)
+ * @param {string} [options.assignment='none'] - 'none' links each record of list A to its best
+ *   counterpart (records of list B may be used more than once); 'greedy' and 'hungarian' assign
+ *   pairs one-to-one, best pair first or with the highest total score
+   * @param {number} [options.maxGroupSize=1000] - Most records in a connected group of candidate
+ *   pairs solved exactly by the 'hungarian' assignment; larger groups are assigned greedily
+ * @param {number} [options.ambiguityMargin=0.02] - Records whose best candidates score within this
+ *   margin of each other are reported as ambiguous
+ * @param {EnhancedNaturalMatcher} [options.matcher] - Matcher used to score pairs
+ * @param {number} [options.maxCandidates] - Most candidates compared per record (see NameIndex)
+ * @param {number} [options.maxBlockSize] - Largest block used for candidates (see NameIndex)
+ * @returns {Object} - { matched, unmatchedA, unmatchedB, ambiguous }. `matched` holds
+ *   { a, b, score, ambiguous } pairs of records, best score first; `ambiguous` holds
+ *   { side, record, candidates } entries for records of either list with close competitors.
+ */
+function link(listA, listB, options = {}) {
+  const {
+    assignment = 'none',
+    maxGroupSize,
+    ambiguityMargin = 0.02,
+    matcher: providedMatcher,
+    maxCandidates,
+    maxBlockSize,
+    threshold: thresholdOption,
+    ...matcherOptions
+  } = options;
+
+  if (assignment !== 'none' && !ASSIGNMENTS[assignment]) {
+    throw new Error(`Unknown assignment: ${assignment}`);
+  }
+
+  const matcher = providedMatcher || new EnhancedNaturalMatcher({ ...matcherOptions, threshold: thresholdOption });
+  const threshold = thresholdOption !== undefined ? thresholdOption : matcher.threshold;
+  const itemsA = normalizeRecords(listA);
+  const itemsB = normalizeRecords(listB);
+
+  // Parse each name once, for its blocking keys and every comparison
+  const prepare = item => (item.name ? matcher.prepare(item.name) : item.name);
+  const preparedA = itemsA.map(prepare);
+  const preparedB = itemsB.map(prepare);
+
+  // Score each record of list A against its candidates in list B
+  const index = new NameIndex({ matcher, maxCandidates, maxBlockSize });
+  preparedB.forEach((name, position) => index.add(position, name));
+
+  const pairs = [];
+  preparedA.forEach((name, a) => {
+    for (const b of index.getCandidates(name)) {
+      const score = matcher.getSimilarity(name, preparedB[b]);
+      if (score >= threshold) pairs.push({ a, b, score });
+    }
+  });
+
+  let selected;
+  if (assignment === 'none') {
+    const best = new Map();
+    for (const pair of pairs) {
+      if (!best.has(pair.a) || pair.score > best.get(pair.a).score) best.set(pair.a, pair);
+    }
+    selected = [...best.values()];
+  } else {
+    selected = ASSIGNMENTS[assignment](pairs, { maxGroupSize });
+  }
+
+  const ambiguous = [
+    ...findAmbiguous(pairs, 'a', itemsA, itemsB, ambiguityMargin),
+    ...findAmbiguous(pairs, 'b', itemsB, itemsA, ambiguityMargin)
+  ];
+  const ambiguousA = new Set(ambiguous.filter(entry => entry.side === 'a').map(entry => entry.record));
+  const ambiguousB = new Set(ambiguous.filter(entry => entry.side === 'b').map(entry => entry.record));
+
+  const matchedA = new Set(selected.map(pair => pair.a));
+  const matchedB = new Set(selected.map(pair => pair.b));
+
+  return {
+    matched: selected
+      .sort((x, y) => y.score - x.score)
+      .map(pair => ({
+        a: itemsA[pair.a],
+        b: itemsB[pair.b],
+        score: pair.score,
+        ambiguous: ambiguousA.has(itemsA[pair.a]) || ambiguousB.has(itemsB[pair.b])
+      })),
+    unmatchedA: itemsA.filter((_, position) => !matchedA.has(position)),
+    unmatchedB: itemsB.filter((_, position) => !matchedB.has(position)),
+    ambiguous
+  };
+}
+
+module.exports = {
+  link,
+  solveAssignment,
+  ASSIGNMENTS
+};
@@ -0,0 +1,107 @@
+/**
+ * Least-recently-used cache
+ *
+ * A Map-backed cache holding at most `maxSize` entries; the entry used
+ * least recently is evicted first. Lookups are counted so callers can
+ * check whether the cache is worth its memory.
+ */
+
+class LRUCache {
+  /**
+   * Create a new LRUCache
+   * @param {number} maxSize - Most entries kept
+   */
+  constructor(maxSize) {
+    if (!(Number.isInteger(maxSize) && maxSize > 0)) {
+      throw new TypeError(`Cache size must be a positive integer: ${maxSize}`);
+    }
+
+    this.maxSize = maxSize;
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+
+    // Map iteration order is insertion order, so the first key is the least recently used
+    this.entries = new Map();
+  }
+
+  /**
+   * Number of cached entries
+   * @returns {number} - Cache size
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Look up a key, marking it as recently used
+   * @param {*} key - Cache key
+   * @returns {*} - Cached value, or undefined on a miss
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      this.misses++;
+      return undefined;
+    }
+
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    this.hits++;
+    return value;
+  }
+
+  /**
+   * Store a value, evicting the least recently used entry if the cache is full
+   * @param {*} key - Cache key
+   * @param {*} value - Value to cache
+   * @returns {LRUCache} - This cache, for chaining
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    if (this.entries.size > this.maxSize) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+    return this;
+  }
+
+  /**
+   * Check whether a key is cached (without counting a lookup)
+   * @param {*} key - Cache key
+   * @returns {boolean} - True if the key is cached
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Remove every entry and reset the statistics
+   */
+  clear() {
+    this.entries.clear();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Get the cache statistics
+   * @returns {Object} - { hits, misses, hitRate, evictions, size, maxSize }
+   */
+  getStats() {
+    const lookups = this.hits + this.misses;
+    return {
+      hits: this.hits,
+      misses: this.misses,
+      hitRate: lookups > 0 ? this.hits / lookups : 0,
+      evictions: this.evictions,
+      size: this.entries.size,
+      maxSize: this.maxSize
+    };
+  }
+}
+
+module.exports = LRUCache;
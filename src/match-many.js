@@ -0,0 +1,272 @@
+/**
+ * Batch matching
+ *
+ * Scores many pairs of names without blocking the event loop. Pairs are
+ * split into chunks that are scored by EnhancedNaturalMatchers running
+ * in worker threads (or, with `concurrency: 0`, on the main thread
+ * between event loop turns). Every worker builds its matcher from the
+ * same options and the dictionaries the main thread resolved (including
+ * nicknames registered globally), so scores are identical to the
+ * synchronous API.
+ */
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const EnhancedNaturalMatcher = require('./enhanced-natural-matcher');
+const NicknameDictionary = require('./nickname-dictionary');
+const { FamilyNameList } = require('./family-name-list');
+const { HonorificRegistry } = require('./honorifics');
+const { FellegiSunterModel, DEFAULT_COMPARISONS } = require('./fellegi-sunter');
+const PreparedName = require('./prepared-name');
+
+const WORKER_PATH = path.join(__dirname, 'match-worker.js');
+
+// Marks option values rebuilt as class instances in the worker
+const TYPE_KEY = '__nameMatchType';
+
+/**
+ * Convert matcher options to values that can be posted to a worker thread
+ * @param {*} value - Option value
+ * @param {string} [name='options'] - Option path, for error messages
+ * @returns {*} - Structured-cloneable value
+ */
+function serializeOptions(value, name = 'options') {
+  if (typeof value === 'function') {
+    throw new TypeError(`Matcher option ${name} is a function and cannot be sent to worker threads (use concurrency: 0)`);
+  }
+
+  // FamilyNameList extends NicknameDictionary, so it is checked first
+  if (value instanceof FamilyNameList) {
+    return { [TYPE_KEY]: 'FamilyNameList', entries: value.toJSON() };
+  }
+  if (value instanceof NicknameDictionary) {
+    return { [TYPE_KEY]: 'NicknameDictionary', entries: value.toJSON() };
+  }
+  if (value instanceof HonorificRegistry) {
+    return { [TYPE_KEY]: 'HonorificRegistry', entries: value.toJSON() };
+  }
+  if (value instanceof FellegiSunterModel) {
+    if (value.comparisons !== DEFAULT_COMPARISONS) {
+      throw new TypeError(`Matcher option ${name} uses custom comparisons and cannot be sent to worker threads (use concurrency: 0)`);
+    }
+    return value.toJSON();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, index) => serializeOptions(item, `${name}[${index}]`));
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = serializeOptions(item, `${name}.${key}`);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Rebuild matcher options posted by serializeOptions
+ * @param {*} value - Serialized value
+ * @returns {*} - Matcher options
+ */
+function deserializeOptions(value) {
+  if (Array.isArray(value)) return value.map(deserializeOptions);
+  if (!value || typeof value !== 'object') return value;
+
+  if (value[TYPE_KEY] === 'FamilyNameList') return FamilyNameList.fromJSON(value.entries);
+  if (value[TYPE_KEY] === 'NicknameDictionary') return NicknameDictionary.fromJSON(value.entries);
+  if (value[TYPE_KEY] === 'HonorificRegistry') return HonorificRegistry.fromJSON(value.entries);
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = deserializeOptions(item);
+  }
+  return result;
+}
+
+/**
+ * Score one pair
+ * @param {EnhancedNaturalMatcher} matcher - Matcher
+ * @param {string} name1 - First name
+ * @param {string} name2 - Second name
+ * @param {boolean} explain - Include the explanation
+ * @returns {Object} - { name1, name2, score, isMatch } (plus explanation)
+ */
+function scorePair(matcher, name1, name2, explain) {
+  if (explain) {
+    const explanation = matcher.explain(name1, name2);
+    return { name1, name2, score: explanation.score, isMatch: explanation.isMatch, explanation };
+  }
+
+  const score = matcher.getSimilarity(name1, name2);
+  return { name1, name2, score, isMatch: score >= matcher.threshold };
+}
+
+/**
+ * Create the error a cancelled batch rejects with
+ * @param {AbortSignal} signal - Aborted signal
+ * @returns {Error} - The signal's reason, or an AbortError
+ */
+function abortError(signal) {
+  if (signal.reason !== undefined) return signal.reason;
+
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Score chunks on the main thread, yielding to the event loop between chunks
+ * @param {Array} chunks - Array of { start, pairs }
+ * @param {Object} context - { matcher, explain, signal, onChunk }
+ * @returns {Promise} - Resolves when every chunk is scored
+ */
+async function runInline(chunks, context) {
+  const { matcher, explain, signal, onChunk } = context;
+
+  for (const chunk of chunks) {
+    await new Promise(resolve => setImmediate(resolve));
+    if (signal && signal.aborted) throw abortError(signal);
+
+    onChunk(chunk, chunk.pairs.map(([name1, name2]) => scorePair(matcher, name1, name2, explain)));
+  }
+}
+
+/**
+ * Score chunks in a pool of worker threads
+ * @param {Array} chunks - Array of { start, pairs }
+ * @param {Object} context - { workerOptions, workerCount, explain, signal, onChunk }
+ * @returns {Promise} - Resolves when every chunk is scored
+ */
+function runInWorkers(chunks, context) {
+  const { workerOptions, workerCount, explain, signal, onChunk } = context;
+
+  return new Promise((resolve, reject) => {
+    const workers = [];
+    let next = 0;
+    let remaining = chunks.length;
+    let settled = false;
+
+    const finish = error => {
+      if (settled) return;
+      settled = true;
+      if (signal) signal.removeEventListener('abort', onAbort);
+      for (const worker of workers) worker.terminate();
+      if (error) reject(error);
+      else resolve();
+    };
+
+    const onAbort = () => finish(abortError(signal));
+    if (signal) signal.addEventListener('abort', onAbort);
+
+    // Give a worker the next chunk, or nothing if all are handed out
+    const dispatch = worker => {
+      if (next >= chunks.length) return;
+      const index = next++;
+      worker.postMessage({ index, pairs: chunks[index].pairs, explain });
+    };
+
+    for (let i = 0; i < workerCount; i++) {
+      const worker = new Worker(WORKER_PATH, { workerData: { options: workerOptions } });
+      workers.push(worker);
+
+      worker.on('message', message => {
+        if (settled) return;
+        if (message.error) {
+          finish(new Error(message.error));
+          return;
+        }
+
+        onChunk(chunks[message.index], message.results);
+        remaining--;
+        if (remaining === 0) finish();
+        else dispatch(worker);
+      });
+      worker.on('error', finish);
+      worker.on('exit', code => {
+        if (code !== 0) finish(new Error(`Match worker stopped with exit code ${code}`));
+      });
+
+      dispatch(worker);
+    }
+  });
+}
+
+/**
+ * Score many pairs of names without blocking the event loop
+ *
+ * @param {Array} pairs - Array of [name1, name2] arrays or { name1, name2 } objects
+ * @param {Object} [options] - Batch options; other options configure the EnhancedNaturalMatcher
+ *   built in each worker (they must be serializable: no functions)
+ * @param {number} [options.concurrency] - Number of worker threads (defaults to the number of
+ *   CPUs minus one, at least 1); 0 scores on the main thread, yielding between chunks
+ * @param {number} [options.chunkSize=500] - Pairs sent to a worker at a time
+ * @param {EnhancedNaturalMatcher} [options.matcher] - Matcher whose configuration the workers copy
+ * @param {boolean} [options.explain=false] - Include each pair's explanation
+ * @param {AbortSignal} [options.signal] - Cancels the batch; the promise rejects with the signal's reason
+ * @param {Function} [options.onProgress] - Called with { completed, total } after each chunk
+ * @returns {Promise<Array>} - Array of { name1, name2, score, isMatch } in input order
+ */
+async function matchMany(pairs, options = {}) {
+  const {
+    concurrency = Math.max(1, os.cpus().length - 1),
+    chunkSize = 500,
+    matcher: providedMatcher,
+    explain = false,
+    signal,
+    onProgress,
+    ...matcherOptions
+  } = options;
+
+  if (signal && signal.aborted) throw abortError(signal);
+
+  const normalized = pairs.map(pair => (Array.isArray(pair) ? pair : [pair.name1, pair.name2])
+    .map(PreparedName.textOf));
+
+  const chunks = [];
+  for (let start = 0; start < normalized.length; start += chunkSize) {
+    chunks.push({ start, pairs: normalized.slice(start, start + chunkSize) });
+  }
+
+  const results = new Array(normalized.length);
+  let completed = 0;
+  const onChunk = (chunk, chunkResults) => {
+    chunkResults.forEach((result, offset) => {
+      results[chunk.start + offset] = result;
+    });
+    completed += chunkResults.length;
+    if (onProgress) onProgress({ completed, total: normalized.length });
+  };
+
+  if (chunks.length === 0) return results;
+
+  const matcher = providedMatcher || new EnhancedNaturalMatcher(matcherOptions);
+
+  if (concurrency === 0) {
+    await runInline(chunks, { matcher, explain, signal, onChunk });
+  } else {
+    // The matcher's configuration with the dictionaries it resolved, so nicknames,
+    // family names and honorifics registered globally on this thread reach the
+    // workers, and a model set after construction
+    const { nicknames, familyNames, honorifics } = matcher.enhancedMatcher;
+    const config = { ...matcher.options, nicknames, familyNames, honorifics, model: matcher.model };
+
+    await runInWorkers(chunks, {
+      workerOptions: serializeOptions(config),
+      workerCount: Math.min(concurrency, chunks.length),
+      explain,
+      signal,
+      onChunk
+    });
+  }
+
+  return results;
+}
+
+module.exports = {
+  matchMany,
+  scorePair,
+  serializeOptions,
+  deserializeOptions
+};
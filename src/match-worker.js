@@ -0,0 +1,21 @@
+/**
+ * Match worker
+ *
+ * Worker thread started by matchMany. Builds an EnhancedNaturalMatcher
+ * from the serialized options in workerData, then scores each chunk of
+ * pairs it is sent and posts the results back with the chunk's index.
+ */
+const { parentPort, workerData } = require('worker_threads');
+const EnhancedNaturalMatcher = require('./enhanced-natural-matcher');
+const { scorePair, deserializeOptions } = require('./match-many');
+
+const matcher = new EnhancedNaturalMatcher(deserializeOptions(workerData.options));
+
+parentPort.on('message', ({ index, pairs, explain }) => {
+  try {
+    const results = pairs.map(([name1, name2]) => scorePair(matcher, name1, name2, explain));
+    parentPort.postMessage({ index, results });
+  } catch (error) {
+    parentPort.postMessage({ index, error: error.message });
+  }
+});
@@ -0,0 +1,283 @@
+/**
+ * Name index
+ *
+ * Indexes names by blocking keys derived from their parsed form so a
+ * query is only scored against a small set of likely candidates
+ * instead of every indexed name.
+ */
+const EnhancedNaturalMatcher = require('./enhanced-natural-matcher');
+const PreparedName = require('./prepared-name');
+const { compactSurname } = require('./name-normalizer');
+const { encodeWord } = require('./phonetic');
+const { firstCharacter } = require('./unicode');
+
+// How much a shared key of each kind counts when ranking candidates
+const KEY_WEIGHTS = {
+  surname: 3,
+  initials: 2,
+  gram: 1
+};
+
+class NameIndex {
+  /**
+   * Create a new NameIndex
+   * @param {Object} [options] - Index options; other options are passed to EnhancedNaturalMatcher
+   * @param {EnhancedNaturalMatcher} [options.matcher] - Matcher used to score candidates
+   * @param {number} [options.ngramSize=3] - Length of the token n-grams used as keys
+   * @param {string} [options.phoneticAlgorithm='doubleMetaphone'] - Algorithm used to encode surnames
+   * @param {number} [options.maxCandidates=100] - Most candidates scored per search
+   * @param {number} [options.maxBlockSize=1000] - Keys shared by more names than this are
+   *   too common to narrow a search and are skipped, unless every key of a query is that
+   *   common (then the candidates come from its smallest block)
+   */
+  constructor(options = {}) {
+    const {
+      matcher,
+      ngramSize = 3,
+      phoneticAlgorithm = 'doubleMetaphone',
+      maxCandidates = 100,
+      maxBlockSize = 1000,
+      ...matcherOptions
+    } = options;
+
+    this.matcher = matcher || new EnhancedNaturalMatcher(matcherOptions);
+    this.ngramSize = ngramSize;
+    this.phoneticAlgorithm = phoneticAlgorithm;
+    this.maxCandidates = maxCandidates;
+    this.maxBlockSize = maxBlockSize;
+
+    // id -> { id, name, prepared, keys }; names are prepared once, when they are added
+    this.records = new Map();
+
+    // blocking key -> Set of ids
+    this.blocks = new Map();
+  }
+
+  /**
+   * Number of indexed names
+   * @returns {number} - Size of the index
+   */
+  get size() {
+    return this.records.size;
+  }
+
+  /**
+   * Build the blocking keys of a name
+   *
+   * Keys are the phonetic codes of each surname, the first and last
+   * initials, and the n-grams of every name token.
+   *
+   * @param {string|PreparedName} name - Name to build keys for
+   * @returns {Array} - Array of keys such as 'surname:SM0', 'initials:js', 'gram:joh'
+   */
+  getKeys(name) {
+    if (!PreparedName.textOf(name)) return [];
+    
+    const { parsed } = this.matcher.prepare(name);
+    if (!parsed.normalized) return [];
+
+    const keys = new Set();
+    const surnames = (parsed.surnames || []).map(compactSurname);
+
+    for (const surname of surnames) {
+      const codes = encodeWord(surname, this.phoneticAlgorithm);
+      for (const code of codes || [surname]) {
+        keys.add(`surname:${code}`);
+      }
+    }
+
+    if (parsed.firstName || parsed.lastName) {
+      keys.add(`initials:${firstCharacter(parsed.firstName)}${firstCharacter(parsed.lastName)}`);
+    }
+
+    const tokens = [parsed.firstName, ...parsed.middleNames, ...surnames].filter(Boolean);
+    for (const token of tokens) {
+      for (const gram of this.getNgrams(token)) {
+        keys.add(`gram:${gram}`);
+      }
+    }
+
+    return [...keys];
+  }
+
+  /**
+   * Split a token into overlapping n-grams (short tokens are kept whole)
+   * @param {string} token - Name token
+   * @returns {Array} - Array of n-grams
+   */
+  getNgrams(token) {
+    const characters = Array.from(token);
+    if (characters.length <= this.ngramSize) return [token];
+
+    const grams = [];
+    for (let i = 0; i <= characters.length - this.ngramSize; i++) {
+      grams.push(characters.slice(i, i + this.ngramSize).join(''));
+    }
+    return grams;
+  }
+
+  /**
+   * Add a name to the index
+   * @param {*} id - Unique record identifier
+   * @param {string|PreparedName} name - Name to index
+   * @returns {NameIndex} - This index, for chaining
+   */
+  add(id, name) {
+    if (this.records.has(id)) {
+      throw new Error(`Duplicate id in name index: ${id}`);
+    }
+
+    const prepared = PreparedName.textOf(name) ? this.matcher.prepare(name) : null;
+    const keys = prepared ? this.getKeys(prepared) : [];
+    this.records.set(id, { id, name: PreparedName.textOf(name), prepared, keys });
+
+    for (const key of keys) {
+      if (!this.blocks.has(key)) {
+        this.blocks.set(key, new Set());
+      }
+      this.blocks.get(key).add(id);
+    }
+
+    return this;
+  }
+
+  /**
+   * Add many names to the index
+   * @param {Array} records - Array of { id, name } objects
+   * @returns {NameIndex} - This index, for chaining
+   */
+  addAll(records) {
+    for (const { id, name } of records) {
+      this.add(id, name);
+    }
+    return this;
+  }
+
+  /**
+   * Remove a name from the index
+   * @param {*} id - Record identifier
+   * @returns {boolean} - True if the id was indexed
+   */
+  remove(id) {
+    const record = this.records.get(id);
+    if (!record) return false;
+
+    for (const key of record.keys) {
+      const block = this.blocks.get(key);
+      block.delete(id);
+      if (block.size === 0) {
+        this.blocks.delete(key);
+      }
+    }
+
+    this.records.delete(id);
+    return true;
+  }
+
+  /**
+   * Replace the name stored for an id (adds it if the id is not indexed)
+   * @param {*} id - Record identifier
+   * @param {string|PreparedName} name - New name
+   * @returns {NameIndex} - This index, for chaining
+   */
+  update(id, name) {
+    this.remove(id);
+    return this.add(id, name);
+  }
+
+  /**
+   * Check whether an id is indexed
+   * @param {*} id - Record identifier
+   * @returns {boolean} - True if the id is indexed
+   */
+  has(id) {
+    return this.records.has(id);
+  }
+
+  /**
+   * Get the name stored for an id
+   * @param {*} id - Record identifier
+   * @returns {string|undefined} - Indexed name
+   */
+  get(id) {
+    const record = this.records.get(id);
+    return record ? record.name : undefined;
+  }
+
+  /**
+   * Find the ids that share blocking keys with a name, most shared keys first
+   *
+   * Keys shared by more than maxBlockSize names are skipped. When all of
+   * a name's keys are that common (a frequent name in a large index),
+   * the names in its smallest block are ranked instead, so the name can
+   * still be found. Candidates sharing as many keys are ranked by how
+   * close their number of keys is to the name's.
+   *
+   * @param {string|PreparedName} name - Name to find candidates for
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxCandidates] - Most candidates to return (defaults to the index setting)
+   * @returns {Array} - Array of ids
+   */
+  getCandidates(name, options = {}) {
+    const { maxCandidates = this.maxCandidates } = options;
+
+    const keys = this.getKeys(name);
+    const blocks = keys
+      .map(key => ({ block: this.blocks.get(key), weight: KEY_WEIGHTS[key.slice(0, key.indexOf(':'))] }))
+      .filter(({ block }) => block);
+    const usable = blocks.filter(({ block }) => block.size <= this.maxBlockSize);
+
+    const overlap = new Map();
+    if (usable.length > 0 || blocks.length === 0) {
+      for (const { block, weight } of usable) {
+        for (const id of block) {
+          overlap.set(id, (overlap.get(id) || 0) + weight);
+        }
+      }
+    } else {
+      const smallest = blocks.reduce((best, entry) => (entry.block.size < best.block.size ? entry : best));
+      for (const id of smallest.block) {
+        overlap.set(id, blocks.reduce((total, { block, weight }) => total + (block.has(id) ? weight : 0), 0));
+      }
+    }
+
+    const keyDistance = id => Math.abs(this.records.get(id).keys.length - keys.length);
+    return [...overlap.entries()]
+      .sort((a, b) => b[1] - a[1] || keyDistance(a[0]) - keyDistance(b[0]))
+      .slice(0, maxCandidates)
+      .map(([id]) => id);
+  }
+
+  /**
+   * Search the index for names matching a query
+   * @param {string|PreparedName} query - Name to search for
+   * @param {Object} [options] - Search options
+   * @param {number} [options.limit=10] - Most results to return
+   * @param {number} [options.threshold] - Minimum score (defaults to the matcher's threshold)
+   * @param {number} [options.maxCandidates] - Most candidates to score (defaults to the index setting)
+   * @returns {Array} - Array of { id, name, score }, best match first
+   */
+  search(query, options = {}) {
+    const { limit = 10, threshold = this.matcher.threshold, maxCandidates } = options;
+
+    if (!PreparedName.textOf(query)) return [];
+
+    // Parse the query once for the blocking keys and every candidate (candidates were prepared when added)
+    const prepared = this.matcher.prepare(query);
+
+    const results = [];
+    for (const id of this.getCandidates(prepared, { maxCandidates })) {
+      const { name, prepared: candidate } = this.records.get(id);
+      const score = this.matcher.getSimilarity(prepared, candidate);
+      if (score >= threshold) {
+        results.push({ id, name, score });
+      }
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = NameIndex;
@@ -4,10 +4,49 @@
  * Provides functions to clean, normalize, and standardize names
  * for comparison and matching.
  */
+const NicknameDictionary = require('./nickname-dictionary');
+const { FamilyNameList, EAST_ASIAN_FAMILY_NAMES } = require('./family-name-list');
+const { HonorificRegistry, DEFAULT_HONORIFICS } = require('./honorifics');
+const { foldDiacritics, transliterateToAscii, firstCharacter } = require('./unicode');
 
-// Common prefixes and suffixes in names
-const PREFIXES = ['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'rev', 'hon'];
-const SUFFIXES = ['jr', 'sr', 'ii', 'iii', 'iv', 'v', 'md', 'phd', 'esq'];
+// Particles that belong to the surname that follows them
+// (Dutch, German, Spanish, Portuguese, French, Italian and Arabic)
+const SURNAME_PARTICLES = [
+  'van', 'von', 'vom', 'zu', 'zur', 'der', 'den', 'ten', 'ter', 'te',
+  'de', 'del', 'della', 'delle', 'degli', 'dei', 'di', 'da', 'das', 'do', 'dos',
+  'du', 'des', 'la', 'las', 'le', 'les', 'los', 'lo',
+  'al', 'el', 'bin', 'ibn', 'bint'
+];
+
+// Particles written attached to the surname ("al-rashid", "d'angelo")
+const ATTACHED_PARTICLE_PATTERN = /^(al|el|ad|ar|as|at|an|ash|az)-(.+)$|^(d|l|dell)'(.+)$/;
+
+// Naming conventions understood by parseName. Spanish and Portuguese
+// names carry two surnames; the primary (paternal) surname comes first
+// in Spanish and last in Portuguese. Chinese, Japanese, Korean and
+// Vietnamese names are written family name first.
+const NAMING_CONVENTIONS = {
+  'default': null,
+  'spanish': { doubleSurnames: true, joiners: ['y'], primary: 'first' },
+  'portuguese': { doubleSurnames: true, joiners: ['e'], primary: 'last' },
+  'east-asian': { familyNameFirst: true }
+};
+
+// Common compound given names, kept together when a name could
+// otherwise be read as one given name and two surnames. Given names
+// led by a particle ("maria del carmen") would otherwise be read as a
+// particle surname.
+const COMPOUND_GIVEN_NAMES = [
+  'juan carlos', 'juan pablo', 'juan manuel', 'juan jose', 'jose luis',
+  'jose maria', 'jose antonio', 'jose manuel', 'jose carlos', 'luis miguel',
+  'miguel angel', 'maria jose', 'maria luisa', 'maria teresa', 'maria elena',
+  'maria fernanda', 'ana maria', 'ana paula', 'ana luisa', 'maria eduarda',
+  'joao pedro', 'joao paulo', 'joao carlos', 'pedro henrique', 'luiz carlos',
+  'maria del carmen', 'maria del pilar', 'maria del mar', 'maria del rosario',
+  'maria del socorro', 'maria del consuelo', 'maria del rocio', 'maria de los angeles',
+  'maria de la luz', 'maria de la paz', 'maria de jesus', 'maria de lourdes',
+  'maria de fatima', 'maria das gracas', 'maria da conceicao', 'jose de jesus'
+];
 
 // Common name variations/nicknames
 const NAME_VARIATIONS = {
@@ -52,80 +91,539 @@ const NAME_VARIATIONS = {
   'joshua': ['josh']
 };
 
+// Dictionary used when no dictionary is passed explicitly
+const defaultDictionary = new NicknameDictionary(NAME_VARIATIONS);
+
+// Family name list used when no list is passed explicitly
+const defaultFamilyNames = new FamilyNameList(EAST_ASIAN_FAMILY_NAMES);
+
+// Honorific registry used when no registry is passed explicitly
+const defaultHonorifics = new HonorificRegistry(DEFAULT_HONORIFICS);
+
+// Spellings of the default titles and suffixes (the registry is the source of truth)
+const PREFIXES = defaultHonorifics.getSpellings('prefix');
+const SUFFIXES = defaultHonorifics.getSpellings('suffix');
+
+// Name written in a script that does not separate words with spaces
+const UNSPACED_SCRIPT_PATTERN = /^[\p{Script=Han}\p{Script=Hangul}]{2,4}$/u;
+
 /**
  * Clean a name string by removing special characters,
  * extra spaces, and normalizing case
  * 
+ * Letters from every script are kept. By default compatibility
+ * characters are folded (NFKD) and diacritics are stripped from Latin
+ * and Greek letters, so "José Muñoz" becomes "jose munoz".
+ * 
  * @param {string} name - The name to clean
+ * @param {Object} [options] - Cleaning options
+ * @param {boolean} [options.stripDiacritics=true] - Remove accents from Latin and Greek letters
+ * @param {string} [options.script='preserve'] - 'preserve' keeps letters as written,
+ *   'ascii' also transliterates Latin letters such as ß, æ, ø and ł to ASCII
  * @returns {string} - Cleaned name
  */
-function cleanName(name) {
+function cleanName(name, options = {}) {
   if (!name) return '';
   
-  return name
+  const { stripDiacritics = true, script = 'preserve' } = options;
+  
+  let folded;
+  if (script === 'ascii') {
+    folded = transliterateToAscii(name);
+  } else if (stripDiacritics) {
+    folded = foldDiacritics(name);
+  } else {
+    folded = String(name).normalize('NFKC');
+  }
+  
+  return folded
     .toLowerCase()
-    .replace(/[^\w\s'-]/g, ' ') // Replace special chars with space
-    .replace(/\s+/g, ' ')        // Normalize spaces
+    .replace(/[\u2018\u2019\u02bc`]/g, "'")          // Normalize apostrophes
+    .replace(/\u0640/g, '')                         // Remove Arabic tatweel
+    .replace(/[^\p{L}\p{M}\p{N}\s'-]/gu, ' ')      // Replace special chars with space
+    .replace(/\s+/g, ' ')                           // Normalize spaces
     .trim();
 }
 
+/**
+ * Split leading titles and trailing suffixes off a list of tokens
+ * 
+ * Titles are only recognized before the first name token and suffixes
+ * after the last one, so a word registered as both is read by its
+ * position ("Sr. Juan García" vs "Juan García Sr."), and a single letter
+ * inside a name stays an initial ("John V Smith"). The longest
+ * registered spelling wins ("Lt. Col." over "Lt.").
+ * 
+ * @param {Array} tokens - Array of { token, uppercase } objects
+ * @param {HonorificRegistry} registry - Known honorifics
+ * @returns {Object} - { prefixes, main, suffixes }: the prefix and suffix matches
+ *   (see HonorificRegistry#matchTokens) and the remaining tokens
+ */
+function extractHonorifics(tokens, registry) {
+  const words = tokens.map(entry => entry.token);
+  const prefixes = [];
+  const suffixes = [];
+  
+  let start = 0;
+  let match;
+  while (start < words.length && (match = registry.matchAt(words, start, 'prefix'))) {
+    prefixes.push(match);
+    start += match.length;
+  }
+  
+  let end = words.length;
+  while (end > start && (match = registry.matchBefore(words, end, 'suffix'))) {
+    suffixes.unshift(match);
+    end -= match.length;
+  }
+  
+  return { prefixes, main: tokens.slice(start, end), suffixes };
+}
+
+/**
+ * Check whether a raw word is written in capitals ("SMITH"),
+ * ignoring single letters which are usually initials
+ * 
+ * @param {string} word - Raw word
+ * @returns {boolean} - True if the word is an uppercase word
+ */
+function isUppercaseWord(word) {
+  const letters = word.replace(/[^\p{L}]/gu, '');
+  return Array.from(letters).length > 1 &&
+    /\p{Lu}/u.test(letters) &&
+    letters === letters.toUpperCase();
+}
+
+/**
+ * Check whether a raw word is a run of initials written without
+ * separators ("JW", "JRR"): two or three capital consonants
+ * 
+ * @param {string} word - Raw word
+ * @returns {boolean} - True if the word is a run of initials
+ */
+function isInitialsRun(word) {
+  return /^[B-DF-HJ-NP-TV-XZ]{2,3}$/.test(word.replace(/\./g, ''));
+}
+
+/**
+ * Split a raw string into cleaned tokens, remembering which tokens
+ * were written in capitals. Runs of initials ("JW") become one token
+ * per initial, unless the run is a title at the start ("DR"), a
+ * suffix after it ("MD", "QC") or a known family name ("NG").
+ * 
+ * @param {string} text - Raw text
+ * @param {Object} options - Cleaning options (see cleanName)
+ * @param {HonorificRegistry} registry - Known honorifics
+ * @returns {Array} - Array of { token, uppercase } objects
+ */
+function tokenize(text, options, registry) {
+  const familyNames = options.familyNames || defaultFamilyNames;
+  const tokens = [];
+  const words = String(text).split(/\s+/).filter(Boolean);
+  words.forEach((word, index) => {
+    if (isInitialsRun(word) && !registry.has(word, index === 0 ? 'prefix' : 'suffix') &&
+        !familyNames.has(word.replace(/\./g, ''))) {
+      for (const initial of word.replace(/\./g, '').toLowerCase()) {
+        tokens.push({ token: initial, uppercase: false });
+      }
+      return;
+    }
+    
+    const uppercase = isUppercaseWord(word);
+    for (const token of cleanName(word, options).split(' ')) {
+      if (token) tokens.push({ token, uppercase });
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Split a "Last, First Middle, Suffix" name into its comma-separated sections
+ * 
+ * Titles and suffixes are taken off each section. Sections made up only
+ * of honorifics ("John Smith, Jr.") do not count as name sections.
+ * 
+ * @param {string} name - Raw name
+ * @param {Object} options - Cleaning options (see cleanName)
+ * @param {HonorificRegistry} registry - Known honorifics
+ * @returns {Object|null} - { surname, given } token arrays and { prefixes, suffixes } matches,
+ *   or null if there is no "Last, First" form
+ */
+function splitCommaSections(name, options, registry) {
+  if (!String(name).includes(',')) return null;
+  
+  const nameSections = [];
+  const prefixes = [];
+  const suffixes = [];
+  for (const section of String(name).split(',')) {
+    const tokens = tokenize(section, options, registry);
+    if (tokens.length === 0) continue;
+    
+    const honorifics = extractHonorifics(tokens, registry);
+    prefixes.push(...honorifics.prefixes);
+    suffixes.push(...honorifics.suffixes);
+    if (honorifics.main.length > 0) {
+      nameSections.push(honorifics.main);
+    }
+  }
+  
+  if (nameSections.length < 2) return null;
+  
+  const [surname, ...given] = nameSections;
+  return {
+    surname,
+    given: [].concat(...given),
+    prefixes,
+    suffixes
+  };
+}
+
+/**
+ * Check whether a cleaned token is a surname particle ("van", "de", "bin")
+ * 
+ * @param {string} token - Cleaned token
+ * @returns {boolean} - True if the token is a particle
+ */
+function isParticle(token) {
+  return SURNAME_PARTICLES.includes(token);
+}
+
+/**
+ * Find where the surname starts in a list of given-name-first parts
+ * 
+ * The surname is the last part plus any particles directly before it
+ * ("maria de la cruz" -> "de la cruz"). The first part stays a given
+ * name, unless the whole name is a particle-led surname such as
+ * "van der berg".
+ * 
+ * @param {Array} parts - Cleaned name parts, given names first
+ * @returns {number} - Index of the first surname part (parts.length if there is no surname)
+ */
+function findSurnameStart(parts) {
+  if (parts.length < 2) return parts.length;
+  
+  let start = parts.length - 1;
+  while (start > 1 && isParticle(parts[start - 1])) {
+    start--;
+  }
+  
+  // "van der berg": two or more particles and no given name
+  if (start === 1 && isParticle(parts[0]) && parts.length > 2) {
+    start = 0;
+  }
+  
+  return start;
+}
+
+/**
+ * Split a surname into its particles and its core
+ * 
+ * @param {string} lastName - Cleaned surname ("van der berg", "al-rashid")
+ * @returns {Object} - { particles, core } ("van der berg" -> { particles: ['van', 'der'], core: 'berg' })
+ */
+function splitSurname(lastName) {
+  const parts = lastName ? lastName.split(' ') : [];
+  
+  let index = 0;
+  while (index < parts.length - 1 && isParticle(parts[index])) {
+    index++;
+  }
+  
+  const particles = parts.slice(0, index);
+  let core = parts.slice(index).join(' ');
+  
+  const attached = ATTACHED_PARTICLE_PATTERN.exec(core);
+  if (attached) {
+    particles.push(attached[1] || attached[3]);
+    core = attached[2] || attached[4];
+  }
+  
+  return { particles, core };
+}
+
+/**
+ * Get the compact form of a surname used to compare joined and
+ * separated spellings ("Van den Berg" / "Vandenberg", "Al Rashid" / "Al-Rashid")
+ * 
+ * @param {string} lastName - Cleaned surname
+ * @returns {string} - Surname without spaces, hyphens or apostrophes
+ */
+function compactSurname(lastName) {
+  return (lastName || '').replace(/[\s'-]/g, '');
+}
+
+/**
+ * Look up a naming convention
+ * 
+ * @param {string} convention - Convention name
+ * @returns {Object|null} - Convention rules, or null for the default convention
+ */
+function getConvention(convention) {
+  if (!Object.prototype.hasOwnProperty.call(NAMING_CONVENTIONS, convention)) {
+    throw new Error(`Unknown naming convention: ${convention}`);
+  }
+  return NAMING_CONVENTIONS[convention];
+}
+
+/**
+ * Group name parts into words, attaching particles to the word that
+ * follows them ("maria del carmen" -> ["maria", "del carmen"])
+ * 
+ * @param {Array} parts - Cleaned name parts
+ * @returns {Array} - Array of part arrays
+ */
+function groupParticles(parts) {
+  const groups = [];
+  let pending = [];
+  for (const part of parts) {
+    pending.push(part);
+    if (!isParticle(part)) {
+      groups.push(pending);
+      pending = [];
+    }
+  }
+  if (pending.length > 0) {
+    if (groups.length > 0) {
+      groups[groups.length - 1].push(...pending);
+    } else {
+      groups.push(pending);
+    }
+  }
+  return groups;
+}
+
+/**
+ * Split the surname parts of a Spanish or Portuguese name into its surnames
+ * ("garcia lopez" -> ["garcia", "lopez"], "ortega y gasset" -> ["ortega", "gasset"],
+ * "da silva" -> ["da silva"])
+ * 
+ * @param {Array} parts - Cleaned surname parts
+ * @param {Object} rules - Convention rules
+ * @returns {Array} - Array of surnames, as written
+ */
+function splitSurnames(parts, rules) {
+  const surnames = [];
+  let current = [];
+  for (const part of parts) {
+    if (rules.joiners.includes(part) && current.length > 0) {
+      surnames.push(current);
+      current = [];
+    } else {
+      current.push(part);
+    }
+  }
+  if (current.length > 0) surnames.push(current);
+  
+  // Unjoined surnames are separated at every word
+  return [].concat(...surnames.map(surname => (
+    surname.length > 1 && !parts.some(part => rules.joiners.includes(part))
+      ? groupParticles(surname)
+      : [surname]
+  ))).map(surname => surname.join(' '));
+}
+
+/**
+ * Find where the surnames start in a Spanish or Portuguese name written
+ * given names first
+ * 
+ * Names carry up to two surnames after one or more given names; a
+ * surname joiner ("y", "e") marks the surnames explicitly. Three-word
+ * names are read as one given name and two surnames unless the first
+ * two words are a common compound given name ("juan carlos garcia").
+ * 
+ * @param {Array} parts - Cleaned name parts, given names first
+ * @param {Object} rules - Convention rules
+ * @returns {number} - Index of the first surname part (parts.length if there is no surname)
+ */
+function findSurnamesStart(parts, rules) {
+  if (parts.length < 2) return parts.length;
+  
+  // "jose ortega y gasset": the surname before the joiner starts the surnames
+  const joiner = parts.findIndex((part, index) => index > 1 && index < parts.length - 1 && rules.joiners.includes(part));
+  const words = groupParticles(joiner === -1 ? parts : parts.slice(0, joiner));
+  
+  let givenCount;
+  if (joiner !== -1) {
+    givenCount = Math.max(1, words.length - 1);
+  } else if (words.length === 2) {
+    givenCount = 1;
+  } else if (words.length === 3) {
+    const firstTwo = `${words[0].join(' ')} ${words[1].join(' ')}`;
+    givenCount = COMPOUND_GIVEN_NAMES.includes(firstTwo) ? 2 : 1;
+  } else {
+    givenCount = words.length - 2;
+  }
+  
+  return words.slice(0, givenCount).reduce((count, word) => count + word.length, 0);
+}
+
 /**
  * Parse a name into its components
  * 
+ * The order of the name is detected before cleaning:
+ * - "Last, First Middle, Suffix" is recognized from its commas
+ * - with order 'auto', a surname written in capitals ("SMITH John",
+ *   "John SMITH") marks the surname
+ * - Han and Hangul names written without spaces ("王小明") are split
+ *   into a family name (the first character) and a given name
+ * - with order 'eastern', the first word is the family name
+ * - with the 'east-asian' convention, the family name is the first word,
+ *   unless only the last word is a known family name ("Xiaoming Wang")
+ * - otherwise the last word is the surname
+ * 
+ * The detected order is reported as `order` ('western' when the given
+ * name is written first, 'eastern' when the family name is written first)
+ * together with `orderSource` ('comma', 'uppercase', 'script', 'option',
+ * 'family-name', 'convention' or 'default').
+ * 
+ * With the 'spanish' or 'portuguese' convention a name can carry two
+ * surnames ("Juan Carlos García López", "José Ortega y Gasset"). The
+ * last name then holds both surnames, `surnames` lists them as written
+ * and `primarySurname` is the paternal surname: the first one in Spanish
+ * names, the last one in Portuguese names ("João Santos Silva").
+ * 
+ * Titles and suffixes are listed as written in `prefixes` and `suffixes`,
+ * and described in `honorifics` ({ text, form, type, category }). The
+ * canonical form of a generational suffix ("jr", "iii") is `generation`.
+ * 
  * @param {string} name - The name to parse
+ * @param {Object} [options] - Parsing options (also see cleanName)
+ * @param {string} [options.order='auto'] - 'western', 'eastern' or 'auto'
+ * @param {string} [options.convention='default'] - 'default', 'spanish', 'portuguese' or 'east-asian'
+ * @param {FamilyNameList} [options.familyNames] - Known family names for the 'east-asian'
+ *   convention (defaults to the global list)
+ * @param {HonorificRegistry} [options.honorifics] - Known titles and suffixes (defaults to the
+ *   global registry)
  * @returns {Object} - Parsed name components
  */
-function parseName(name) {
+function parseName(name, options = {}) {
   if (!name) return { original: '', parts: [] };
   
+  const { order = 'auto', convention = 'default', honorifics: registry = defaultHonorifics } = options;
+  const rules = getConvention(convention);
+  
   // Clean the name
-  const cleanedName = cleanName(name);
-  
-  // Check for comma format (last, first)
-  let normalized = cleanedName;
-  if (cleanedName.includes(',')) {
-    const parts = cleanedName.split(',').map(p => p.trim());
-    if (parts.length >= 2) {
-      normalized = `${parts[1]} ${parts[0]}`;
-    }
-  }
+  const cleanedName = cleanName(name, options);
   
-  // Split into parts
-  const allParts = normalized.split(' ');
+  // Detect the name order before cleaning removes commas and capitals
+  let surnameTokens = null;
+  let detectedOrder = 'western';
+  let orderSource = 'default';
   
-  // Separate prefixes, main parts, and suffixes
-  const prefixes = [];
-  const suffixes = [];
-  const mainParts = [];
+  // Separate titles, main parts, and suffixes
+  let honorifics = splitCommaSections(name, options, registry);
+  let mainTokens;
+  if (honorifics) {
+    mainTokens = [...honorifics.given, ...honorifics.surname];
+    surnameTokens = honorifics.surname;
+    detectedOrder = 'eastern';
+    orderSource = 'comma';
+  } else {
+    honorifics = extractHonorifics(tokenize(name, options, registry), registry);
+    mainTokens = honorifics.main;
+  }
   
-  for (const part of allParts) {
-    if (PREFIXES.includes(part.replace(/\.$/, ''))) {
-      prefixes.push(part);
-    } else if (SUFFIXES.includes(part.replace(/\.$/, ''))) {
-      suffixes.push(part);
-    } else {
-      mainParts.push(part);
+  const prefixes = honorifics.prefixes.map(match => match.text);
+  const suffixes = honorifics.suffixes.map(match => match.text);
+  const generational = honorifics.suffixes.find(match => match.category === 'generational');
+  
+  if (!surnameTokens && mainTokens.length > 1) {
+    const leadingCapitals = mainTokens.findIndex(entry => !entry.uppercase);
+    const trailingCapitals = mainTokens.length - 1 - [...mainTokens].reverse().findIndex(entry => !entry.uppercase);
+    
+    if (order === 'eastern') {
+      surnameTokens = mainTokens.slice(0, 1);
+      detectedOrder = 'eastern';
+      orderSource = 'option';
+    } else if (order === 'auto' && leadingCapitals > 0) {
+      // "SMITH John"
+      surnameTokens = mainTokens.slice(0, leadingCapitals);
+      detectedOrder = 'eastern';
+      orderSource = 'uppercase';
+    } else if (order === 'auto' && leadingCapitals !== -1 && trailingCapitals < mainTokens.length - 1) {
+      // "John SMITH"
+      surnameTokens = mainTokens.slice(trailingCapitals + 1);
+      orderSource = 'uppercase';
+    } else if (order === 'western') {
+      orderSource = 'option';
+    } else if (rules && rules.familyNameFirst) {
+      const familyNames = options.familyNames || defaultFamilyNames;
+      const first = mainTokens[0];
+      const last = mainTokens[mainTokens.length - 1];
+      
+      if (!familyNames.has(first.token) && familyNames.has(last.token)) {
+        // "Xiaoming Wang"
+        surnameTokens = [last];
+        orderSource = 'family-name';
+      } else {
+        // "Wang Xiaoming"
+        surnameTokens = [first];
+        detectedOrder = 'eastern';
+        orderSource = familyNames.has(first.token) ? 'family-name' : 'convention';
+      }
     }
   }
   
+  // Split unspaced CJK names into family name and given name
+  if (!surnameTokens && order !== 'western' && mainTokens.length === 1 &&
+      UNSPACED_SCRIPT_PATTERN.test(mainTokens[0].token)) {
+    const characters = Array.from(mainTokens[0].token);
+    surnameTokens = [{ token: characters[0], uppercase: false }];
+    mainTokens.splice(0, 1, surnameTokens[0], { token: characters.slice(1).join(''), uppercase: false });
+    detectedOrder = 'eastern';
+    orderSource = 'script';
+  }
+  
   // Extract name components from main parts
-  const firstName = mainParts.length > 0 ? mainParts[0] : '';
-  const lastName = mainParts.length > 1 ? mainParts[mainParts.length - 1] : '';
-  const middleNames = mainParts.length > 2 ? mainParts.slice(1, -1) : [];
+  let givenParts;
+  let lastName;
+  if (surnameTokens) {
+    givenParts = mainTokens.filter(entry => !surnameTokens.includes(entry)).map(entry => entry.token);
+    lastName = surnameTokens.map(entry => entry.token).join(' ');
+  } else {
+    const mainParts = mainTokens.map(entry => entry.token);
+    const surnameStart = rules && rules.doubleSurnames
+      ? findSurnamesStart(mainParts, rules)
+      : findSurnameStart(mainParts);
+    givenParts = mainParts.slice(0, surnameStart);
+    lastName = mainParts.slice(surnameStart).join(' ');
+  }
+  
+  const firstName = givenParts.length > 0 ? givenParts[0] : '';
+  const middleNames = givenParts.slice(1);
+  
+  let surnames = lastName ? [lastName] : [];
+  if (rules && rules.doubleSurnames && lastName) {
+    surnames = splitSurnames(lastName.split(' '), rules);
+  }
+  const primarySurname = rules && rules.primary === 'last' ? surnames[surnames.length - 1] : surnames[0];
+  
+  // Names that were reordered are normalized to given-name-first order
+  const normalized = orderSource === 'default' || (orderSource === 'option' && detectedOrder === 'western')
+    ? cleanedName
+    : [...prefixes, ...givenParts, lastName, ...suffixes].filter(Boolean).join(' ');
   
   return {
     original: name,
     cleaned: cleanedName,
     normalized,
+    order: detectedOrder,
+    orderSource,
     prefixes,
     firstName,
     middleNames,
     lastName,
+    particles: splitSurname(lastName).particles,
+    surnames,
+    primarySurname: primarySurname || '',
     suffixes,
+    honorifics: [...honorifics.prefixes, ...honorifics.suffixes]
+      .map(({ text, form, type, category }) => ({ text, form, type, category })),
+    generation: generational ? generational.form : '',
     initials: {
-      first: firstName ? firstName[0] : '',
-      middle: middleNames.map(n => n[0]).join(''),
-      last: lastName ? lastName[0] : ''
+      first: firstCharacter(firstName),
+      middle: middleNames.map(firstCharacter).join(''),
+      last: firstCharacter(lastName)
     }
   };
 }
@@ -134,10 +632,11 @@ function parseName(name) {
  * Standardize a name for comparison
  * 
  * @param {string} name - The name to standardize
+ * @param {Object} [options] - Parsing options (see parseName)
  * @returns {string} - Standardized name
  */
-function standardizeName(name) {
-  const parsed = parseName(name);
+function standardizeName(name, options = {}) {
+  const parsed = parseName(name, options);
   
   // Use only main name parts in standard order
   const nameParts = [
@@ -149,30 +648,83 @@ function standardizeName(name) {
   return nameParts.join(' ');
 }
 
+/**
+ * Get the known equivalents of a single first name
+ * 
+ * Includes the name itself, its nicknames, the formal names it is a
+ * nickname of, and the other nicknames of those formal names
+ * (so "bill" yields "william" as well as "will").
+ * 
+ * @param {string} firstName - Cleaned first name
+ * @param {NicknameDictionary} [dictionary] - Dictionary to use (defaults to the global dictionary)
+ * @returns {Array} - Array of equivalent first names, starting with the name itself
+ */
+function getFirstNameVariations(firstName, dictionary = defaultDictionary) {
+  if (!firstName) return [];
+  return dictionary.getEquivalents(firstName);
+}
+
+/**
+ * Check whether two first names are known equivalents
+ * 
+ * @param {string} firstName1 - Cleaned first name
+ * @param {string} firstName2 - Cleaned first name
+ * @param {NicknameDictionary} [dictionary] - Dictionary to use (defaults to the global dictionary)
+ * @returns {boolean} - True if one name is a known variation of the other
+ */
+function areNameVariations(firstName1, firstName2, dictionary = defaultDictionary) {
+  return dictionary.areEquivalent(firstName1, firstName2);
+}
+
+/**
+ * Register nicknames in the global dictionary
+ * 
+ * @param {string} formalName - The formal name
+ * @param {Array|string} nicknames - Nickname or array of nicknames
+ * @returns {NicknameDictionary} - The global dictionary
+ */
+function registerNicknames(formalName, nicknames) {
+  return defaultDictionary.add(formalName, nicknames);
+}
+
+/**
+ * Merge a dictionary, a map of formal names to nicknames, or a
+ * .json/.csv dictionary file into the global dictionary
+ * 
+ * @param {NicknameDictionary|Object|string} source - Dictionary, entries or file path
+ * @returns {NicknameDictionary} - The global dictionary
+ */
+function loadNicknames(source) {
+  const dictionary = typeof source === 'string' ? NicknameDictionary.load(source) : source;
+  return defaultDictionary.merge(dictionary);
+}
+
+/**
+ * Merge a family name list, a map of family names to romanization
+ * variants, or a .json/.csv file into the global family name list
+ * 
+ * @param {FamilyNameList|Object|string} source - List, entries or file path
+ * @returns {FamilyNameList} - The global family name list
+ */
+function loadFamilyNames(source) {
+  const list = typeof source === 'string' ? FamilyNameList.load(source) : source;
+  return defaultFamilyNames.merge(list);
+}
+
 /**
  * Get name variations based on common nicknames
  * 
  * @param {string} name - The name to get variations for
+ * @param {Object} [options] - Options, also passed on to parseName
+ * @param {NicknameDictionary} [options.dictionary] - Dictionary to use (defaults to the global dictionary)
  * @returns {Array} - Array of name variations
  */
-function getNameVariations(name) {
-  const parsed = parseName(name);
-  const variations = [standardizeName(name)];
+function getNameVariations(name, options = {}) {
+  const parsed = parseName(name, options);
+  const variations = [standardizeName(name, options)];
   
   // Generate first name variations
-  const firstNameVariations = [parsed.firstName];
-  
-  // Add known variations
-  if (NAME_VARIATIONS[parsed.firstName]) {
-    firstNameVariations.push(...NAME_VARIATIONS[parsed.firstName]);
-  }
-  
-  // Check if this is a nickname, add the formal name
-  for (const [formal, nicknames] of Object.entries(NAME_VARIATIONS)) {
-    if (nicknames.includes(parsed.firstName)) {
-      firstNameVariations.push(formal);
-    }
-  }
+  const firstNameVariations = getFirstNameVariations(parsed.firstName, options.dictionary);
   
   // Generate full name variations
   for (const firstVariation of firstNameVariations) {
@@ -227,10 +779,11 @@ function getNameVariations(name) {
  * Normalize name order (handle last, first format)
  * 
  * @param {string} name - The name to normalize
+ * @param {Object} [options] - Parsing options (see parseName)
  * @returns {string} - Name with standardized order
  */
-function normalizeNameOrder(name) {
-  return parseName(name).normalized;
+function normalizeNameOrder(name, options = {}) {
+  return parseName(name, options).normalized;
 }
 
 module.exports = {
@@ -238,8 +791,23 @@ module.exports = {
   parseName,
   standardizeName,
   getNameVariations,
+  getFirstNameVariations,
+  areNameVariations,
+  registerNicknames,
+  loadNicknames,
   normalizeNameOrder,
+  loadFamilyNames,
+  splitSurname,
+  compactSurname,
+  NicknameDictionary,
+  FamilyNameList,
+  HonorificRegistry,
+  defaultDictionary,
+  defaultFamilyNames,
+  defaultHonorifics,
   NAME_VARIATIONS,
   PREFIXES,
-  SUFFIXES
+  SUFFIXES,
+  SURNAME_PARTICLES,
+  NAMING_CONVENTIONS
 };
@@ -0,0 +1,294 @@
+/**
+ * Nickname dictionary
+ *
+ * Stores many-to-many relationships between formal names and their
+ * nicknames/diminutives ("al" is a nickname of albert, alfred and
+ * alexander; "alexander" has the nicknames alex, al, sasha, ...).
+ * Dictionaries can be registered in code, merged, or loaded from
+ * JSON or CSV files.
+ */
+const fs = require('fs');
+const path = require('path');
+const { foldDiacritics } = require('./unicode');
+const { splitCsvLine } = require('./csv');
+
+/**
+ * Normalize a dictionary key
+ *
+ * Diacritics are folded so "josé" and "jose" share an entry regardless
+ * of how the names being compared were cleaned.
+ *
+ * @param {string} name - Name to normalize
+ * @returns {string} - Lowercased, trimmed and folded name
+ */
+function normalizeKey(name) {
+  return foldDiacritics(String(name)).toLowerCase().trim();
+}
+
+class NicknameDictionary {
+  /**
+   * Create a new NicknameDictionary
+   * @param {Object} [entries={}] - Map of formal name to an array of nicknames
+   */
+  constructor(entries = {}) {
+    // formal name -> Set of nicknames
+    this.nicknames = new Map();
+
+    // nickname -> Set of formal names
+    this.formalNames = new Map();
+
+    this.merge(entries);
+  }
+
+  /**
+   * Register nicknames for a formal name
+   *
+   * Registering the same nickname for several formal names is allowed
+   * and creates a many-to-many relationship.
+   *
+   * @param {string} formalName - The formal name
+   * @param {Array|string} nicknames - Nickname or array of nicknames
+   * @returns {NicknameDictionary} - This dictionary, for chaining
+   */
+  add(formalName, nicknames) {
+    const formal = normalizeKey(formalName);
+    if (!formal) return this;
+
+    if (!this.nicknames.has(formal)) {
+      this.nicknames.set(formal, new Set());
+    }
+
+    const list = Array.isArray(nicknames) ? nicknames : [nicknames];
+    for (const nickname of list) {
+      const key = normalizeKey(nickname);
+      if (!key || key === formal) continue;
+
+      this.nicknames.get(formal).add(key);
+      if (!this.formalNames.has(key)) {
+        this.formalNames.set(key, new Set());
+      }
+      this.formalNames.get(key).add(formal);
+    }
+
+    return this;
+  }
+
+  /**
+   * Merge another dictionary into this one
+   * @param {NicknameDictionary|Object} other - Dictionary or map of formal name to nicknames
+   * @returns {NicknameDictionary} - This dictionary, for chaining
+   */
+  merge(other) {
+    if (!other) return this;
+
+    const entries = other instanceof NicknameDictionary ? other.toJSON() : other;
+    for (const [formal, nicknames] of Object.entries(entries)) {
+      this.add(formal, nicknames);
+    }
+
+    return this;
+  }
+
+  /**
+   * Check whether a name is in the dictionary, as a formal name or a nickname
+   * @param {string} name - Name to look up
+   * @returns {boolean} - True if the name is known
+   */
+  has(name) {
+    const key = normalizeKey(name);
+    return this.nicknames.has(key) || this.formalNames.has(key);
+  }
+
+  /**
+   * Get the nicknames registered for a formal name
+   * @param {string} formalName - The formal name
+   * @returns {Array} - Array of nicknames
+   */
+  getNicknames(formalName) {
+    const nicknames = this.nicknames.get(normalizeKey(formalName));
+    return nicknames ? [...nicknames] : [];
+  }
+
+  /**
+   * Get the formal names a nickname belongs to
+   * @param {string} nickname - The nickname
+   * @returns {Array} - Array of formal names
+   */
+  getFormalNames(nickname) {
+    const formalNames = this.formalNames.get(normalizeKey(nickname));
+    return formalNames ? [...formalNames] : [];
+  }
+
+  /**
+   * Get every known equivalent of a name
+   *
+   * Includes the name itself, its nicknames, the formal names it is a
+   * nickname of, and the other nicknames of those formal names.
+   *
+   * @param {string} name - Formal name or nickname
+   * @returns {Array} - Array of equivalent names, starting with the name itself
+   */
+  getEquivalents(name) {
+    const key = normalizeKey(name);
+    if (!key) return [];
+
+    const equivalents = new Set([key, ...this.getNicknames(key)]);
+    for (const formal of this.getFormalNames(key)) {
+      equivalents.add(formal);
+      for (const nickname of this.getNicknames(formal)) {
+        equivalents.add(nickname);
+      }
+    }
+
+    return [...equivalents];
+  }
+
+  /**
+   * Check whether two names are known equivalents
+   * @param {string} name1 - First name
+   * @param {string} name2 - Second name
+   * @returns {boolean} - True if the names are equivalent
+   */
+  areEquivalent(name1, name2) {
+    if (!name1 || !name2) return false;
+    return this.getEquivalents(name1).includes(normalizeKey(name2));
+  }
+
+  /**
+   * Describe how two equivalent names are linked
+   *
+   * A nickname of several formal names ("al": albert, alfred, alexander)
+   * links names that need not be related: "al" and "fred" may be the same
+   * person, but "al" is as likely to be an albert. Such links are reported
+   * as 'ambiguous' so they can be weighed as weaker evidence.
+   *
+   * @param {string} name1 - First name
+   * @param {string} name2 - Second name
+   * @returns {string|null} - 'nickname' when one name is a nickname of the other, 'shared' when
+   *   both are nicknames of the same formal name, 'ambiguous' when they share a formal name
+   *   but either is a nickname of other formal names too, or null if they are not equivalent
+   */
+  getRelation(name1, name2) {
+    const key1 = normalizeKey(name1);
+    const key2 = normalizeKey(name2);
+    if (!key1 || !key2 || key1 === key2) return null;
+
+    const nicknames1 = this.nicknames.get(key1);
+    const nicknames2 = this.nicknames.get(key2);
+    if ((nicknames1 && nicknames1.has(key2)) || (nicknames2 && nicknames2.has(key1))) {
+      return 'nickname';
+    }
+
+    const formalNames1 = this.formalNames.get(key1);
+    const formalNames2 = this.formalNames.get(key2);
+    if (!formalNames1 || !formalNames2 || ![...formalNames1].some(formal => formalNames2.has(formal))) {
+      return null;
+    }
+
+    return formalNames1.size > 1 || formalNames2.size > 1 ? 'ambiguous' : 'shared';
+  }
+
+  /**
+   * Create an independent copy of this dictionary
+   * @returns {NicknameDictionary} - The copy
+   */
+  clone() {
+    return new this.constructor(this.toJSON());
+  }
+
+  /**
+   * Serialize the dictionary as a map of formal name to nicknames
+   * @returns {Object} - Plain object
+   */
+  toJSON() {
+    const entries = {};
+    for (const [formal, nicknames] of this.nicknames) {
+      entries[formal] = [...nicknames];
+    }
+    return entries;
+  }
+
+  /**
+   * Create a dictionary from JSON text or a parsed JSON object
+   *
+   * The JSON must be an object mapping each formal name to an array of nicknames.
+   *
+   * @param {string|Object} json - JSON text or object
+   * @returns {NicknameDictionary} - New dictionary
+   */
+  static fromJSON(json) {
+    const entries = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+      throw new TypeError('Nickname JSON must be an object mapping formal names to arrays of nicknames');
+    }
+    return new this(entries);
+  }
+
+  /**
+   * Create a dictionary from CSV text
+   *
+   * Each row holds a formal name followed by one or more nicknames
+   * (`giuseppe,beppe,peppe`). Rows repeating a formal name are merged,
+   * so two-column `formal,nickname` files work as well. Empty lines,
+   * lines starting with `#` and a `name,...`/`formal,...` header row
+   * are ignored.
+   *
+   * @param {string} csv - CSV text
+   * @returns {NicknameDictionary} - New dictionary
+   */
+  static fromCSV(csv) {
+    const dictionary = new this();
+    const lines = String(csv).split(/\r?\n/);
+
+    lines.forEach((line, index) => {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#')) return;
+
+      const [formal, ...nicknames] = splitCsvLine(trimmed).map(field => field.trim());
+      if (index === 0 && ['name', 'formal', 'formal_name'].includes(formal.toLowerCase())) return;
+
+      dictionary.add(formal, nicknames.filter(Boolean));
+    });
+
+    return dictionary;
+  }
+
+  /**
+   * Load a dictionary from a .json or .csv file
+   * @param {string} filePath - Path to the dictionary file
+   * @returns {NicknameDictionary} - New dictionary
+   */
+  static load(filePath) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (extension === '.json') {
+      return this.fromJSON(content);
+    }
+    if (extension === '.csv') {
+      return this.fromCSV(content);
+    }
+
+    throw new Error(`Unsupported nickname dictionary format: ${extension || filePath}`);
+  }
+
+  /**
+   * Resolve a dictionary option
+   *
+   * A NicknameDictionary is used as-is. A plain object or a file path
+   * extends a copy of the base dictionary, leaving the base untouched.
+   *
+   * @param {NicknameDictionary|Object|string} source - Dictionary, entries or file path
+   * @param {NicknameDictionary} base - Dictionary to extend
+   * @returns {NicknameDictionary} - Resolved dictionary
+   */
+  static resolve(source, base) {
+    if (!source) return base;
+    if (source instanceof this) return source;
+
+    const extension = typeof source === 'string' ? this.load(source) : source;
+    return base.clone().merge(extension);
+  }
+}
+
+module.exports = NicknameDictionary;
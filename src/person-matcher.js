@@ -0,0 +1,388 @@
+/**
+ * Person matcher
+ *
+ * Compares structured person records (name, date of birth, email,
+ * phone and postal code). The name is scored with
+ * EnhancedNaturalMatcher; every other field has its own comparator.
+ * Field scores are combined with configurable weights into a single
+ * decision, and the per-field evidence is returned alongside it.
+ */
+const EnhancedNaturalMatcher = require('./enhanced-natural-matcher');
+const { jaroWinkler } = require('./string-distance');
+const { fuseScores } = require('./score-fusion');
+
+// Fields compared by default, with their weights
+const DEFAULT_WEIGHTS = {
+  name: 0.5,
+  dateOfBirth: 0.2,
+  email: 0.1,
+  phone: 0.1,
+  postalCode: 0.1
+};
+
+// Email providers that ignore dots in the local part
+const DOTLESS_EMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+/**
+ * Evidence for a field that is missing from either record
+ * @param {string} [reason='missing'] - Why the field could not be compared
+ * @returns {Object} - { verdict: 'unknown', reason, score: null }
+ */
+function unknown(reason = 'missing') {
+  return { verdict: 'unknown', reason, score: null };
+}
+
+/**
+ * Check whether a value is missing
+ * @param {*} value - Field value
+ * @returns {boolean} - True for undefined, null and blank strings
+ */
+function isMissing(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+/**
+ * Count the positions at which two equally long strings differ
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of differing positions (Infinity for different lengths)
+ */
+function hammingDistance(a, b) {
+  if (a.length !== b.length) return Infinity;
+
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) distance++;
+  }
+  return distance;
+}
+
+/**
+ * Check whether two strings differ by one swap of adjacent characters
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True for "1985" / "1958"
+ */
+function isAdjacentTransposition(a, b) {
+  if (a.length !== b.length || a === b) return false;
+
+  const differences = [];
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) differences.push(i);
+  }
+
+  return differences.length === 2 &&
+    differences[1] === differences[0] + 1 &&
+    a[differences[0]] === b[differences[1]] &&
+    a[differences[1]] === b[differences[0]];
+}
+
+/**
+ * Parse a date of birth
+ *
+ * Accepts Date objects, ISO dates ("1985-03-12", "19850312") and
+ * day/month/year dates separated by "/", "-" or "." in the given order.
+ *
+ * @param {Date|string} value - Date of birth
+ * @param {string} [order='mdy'] - Order of non-ISO dates: 'mdy' or 'dmy'
+ * @returns {Object|null} - { year, month, day }, or null if the date cannot be read
+ */
+function parseDate(value, order = 'mdy') {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    return { year: value.getUTCFullYear(), month: value.getUTCMonth() + 1, day: value.getUTCDate() };
+  }
+
+  const text = String(value).trim();
+  let parts;
+
+  let match = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/.exec(text) || /^(\d{4})(\d{2})(\d{2})$/.exec(text);
+  if (match) {
+    parts = { year: match[1], month: match[2], day: match[3] };
+  } else {
+    match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(text);
+    if (!match) return null;
+    parts = order === 'dmy'
+      ? { day: match[1], month: match[2], year: match[3] }
+      : { month: match[1], day: match[2], year: match[3] };
+  }
+
+  const date = { year: Number(parts.year), month: Number(parts.month), day: Number(parts.day) };
+  if (date.month < 1 || date.month > 12 || date.day < 1 || date.day > 31) return null;
+  return date;
+}
+
+/**
+ * Format a parsed date as YYYYMMDD digits
+ * @param {Object} date - { year, month, day }
+ * @returns {string} - Digits
+ */
+function dateDigits(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${String(date.year).padStart(4, '0')}${pad(date.month)}${pad(date.day)}`;
+}
+
+/**
+ * Split an email address into its normalized local part and domain
+ *
+ * Addresses are lowercased and "+tags" are removed; dots are removed
+ * from the local part for providers that ignore them.
+ *
+ * @param {string} email - Email address
+ * @returns {Object|null} - { local, domain }, or null if the value is not an address
+ */
+function normalizeEmail(email) {
+  const text = String(email).trim().toLowerCase();
+  const at = text.lastIndexOf('@');
+  if (at <= 0 || at === text.length - 1) return null;
+
+  const domain = text.slice(at + 1);
+  let local = text.slice(0, at).replace(/\+.*$/, '');
+  if (DOTLESS_EMAIL_DOMAINS.includes(domain)) {
+    local = local.replace(/\./g, '');
+  }
+
+  return { local, domain };
+}
+
+/**
+ * Reduce a phone number to its digits, without an international "00" prefix
+ * @param {string|number} phone - Phone number
+ * @returns {string} - Digits
+ */
+function normalizePhone(phone) {
+  return String(phone).replace(/\D/g, '').replace(/^00/, '');
+}
+
+/**
+ * Normalize a postal code: uppercase letters and digits only
+ * @param {string|number} postalCode - Postal code
+ * @returns {string} - Normalized postal code ("sw1a 1aa" -> "SW1A1AA")
+ */
+function normalizePostalCode(postalCode) {
+  return String(postalCode).toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+class PersonMatcher {
+  /**
+   * Create a new PersonMatcher
+   * @param {Object} [options] - Configuration options
+   * @param {number} [options.threshold=0.8] - Minimum combined score for two records to match
+   * @param {Object} [options.weights] - Weight of each field
+   *   (default { name: 0.5, dateOfBirth: 0.2, email: 0.1, phone: 0.1, postalCode: 0.1 });
+   *   fields missing from either record do not count
+   * @param {string} [options.dateOrder='mdy'] - Order of non-ISO dates: 'mdy' or 'dmy'
+   * @param {number} [options.minPhoneDigits=7] - Fewest digits compared when one number is a
+   *   suffix of the other (a number with and without its country code)
+   * @param {EnhancedNaturalMatcher} [options.matcher] - Matcher used for the name field
+   * @param {Object} [options.nameOptions] - Options for the name matcher, if none is supplied
+   */
+  constructor(options = {}) {
+    this.threshold = options.threshold !== undefined ? options.threshold : 0.8;
+    this.weights = { ...DEFAULT_WEIGHTS, ...options.weights };
+    this.dateOrder = options.dateOrder || 'mdy';
+    this.minPhoneDigits = options.minPhoneDigits || 7;
+    this.matcher = options.matcher || new EnhancedNaturalMatcher(options.nameOptions);
+
+    // Field comparators, by field name
+    this.comparators = {
+      name: (a, b) => this.compareNames(a, b),
+      dateOfBirth: (a, b) => this.compareDates(a, b),
+      email: (a, b) => this.compareEmails(a, b),
+      phone: (a, b) => this.comparePhones(a, b),
+      postalCode: (a, b) => this.comparePostalCodes(a, b)
+    };
+  }
+
+  /**
+   * Compare two person records
+   * @param {Object} person1 - { name, dateOfBirth, email, phone, postalCode }
+   * @param {Object} person2 - { name, dateOfBirth, email, phone, postalCode }
+   * @returns {Object} - { score, isMatch, threshold, evidence } where evidence maps each
+   *   field to { verdict, reason, score }; verdict is 'compatible', 'conflicting' or
+   *   'unknown' (the field is missing or unreadable, and does not count)
+   */
+  compare(person1 = {}, person2 = {}) {
+    const evidence = {};
+    const scores = {};
+
+    for (const [field, compare] of Object.entries(this.comparators)) {
+      if (!this.weights[field]) continue;
+
+      evidence[field] = isMissing(person1[field]) || isMissing(person2[field])
+        ? unknown()
+        : compare(person1[field], person2[field]);
+
+      if (evidence[field].verdict !== 'unknown') {
+        scores[field] = evidence[field].score;
+      }
+    }
+
+    const { score } = fuseScores(scores, { method: 'weighted-average', weights: this.weights });
+    const rounded = parseFloat(score.toFixed(2));
+
+    return {
+      score: rounded,
+      isMatch: rounded >= this.threshold,
+      threshold: this.threshold,
+      evidence
+    };
+  }
+
+  /**
+   * Calculate the combined similarity of two person records
+   * @param {Object} person1 - First record
+   * @param {Object} person2 - Second record
+   * @returns {number} - Similarity score (0-1)
+   */
+  getSimilarity(person1, person2) {
+    return this.compare(person1, person2).score;
+  }
+
+  /**
+   * Check if two person records match
+   * @param {Object} person1 - First record
+   * @param {Object} person2 - Second record
+   * @returns {boolean} - True if the records match
+   */
+  isMatch(person1, person2) {
+    return this.compare(person1, person2).isMatch;
+  }
+
+  /**
+   * Compare two names with the name matcher
+   * @param {string|PreparedName} name1 - First name
+   * @param {string|PreparedName} name2 - Second name
+   * @returns {Object} - { verdict, reason, score }
+   */
+  compareNames(name1, name2) {
+    const score = this.matcher.getSimilarity(name1, name2);
+    if (score === 1) {
+      return { verdict: 'compatible', reason: 'exact', score };
+    }
+
+    return score >= this.matcher.threshold
+      ? { verdict: 'compatible', reason: 'similar', score }
+      : { verdict: 'conflicting', reason: 'different', score };
+  }
+
+  /**
+   * Compare two dates of birth, allowing for swapped day and month and single typos
+   * @param {Date|string} value1 - First date
+   * @param {Date|string} value2 - Second date
+   * @returns {Object} - { verdict, reason, score }
+   */
+  compareDates(value1, value2) {
+    const date1 = parseDate(value1, this.dateOrder);
+    const date2 = parseDate(value2, this.dateOrder);
+    if (!date1 || !date2) return unknown('invalid');
+
+    const digits1 = dateDigits(date1);
+    const digits2 = dateDigits(date2);
+    if (digits1 === digits2) {
+      return { verdict: 'compatible', reason: 'exact', score: 1 };
+    }
+
+    // 03/12 entered as 12/03
+    if (date1.year === date2.year && date1.day === date2.month && date1.month === date2.day) {
+      return { verdict: 'compatible', reason: 'day-month transposed', score: 0.8 };
+    }
+
+    // 1985 entered as 1958, or 12 as 13
+    if (isAdjacentTransposition(digits1, digits2)) {
+      return { verdict: 'compatible', reason: 'digit transposition', score: 0.7 };
+    }
+    if (hammingDistance(digits1, digits2) === 1) {
+      return { verdict: 'compatible', reason: 'typo', score: 0.7 };
+    }
+
+    return { verdict: 'conflicting', reason: 'different', score: 0 };
+  }
+
+  /**
+   * Compare two email addresses, mainly by their local parts
+   * @param {string} value1 - First email address
+   * @param {string} value2 - Second email address
+   * @returns {Object} - { verdict, reason, score }
+   */
+  compareEmails(value1, value2) {
+    const email1 = normalizeEmail(value1);
+    const email2 = normalizeEmail(value2);
+    if (!email1 || !email2) return unknown('invalid');
+
+    if (email1.local === email2.local) {
+      return email1.domain === email2.domain
+        ? { verdict: 'compatible', reason: 'exact', score: 1 }
+        : { verdict: 'compatible', reason: 'same local part', score: 0.9 };
+    }
+
+    // john.smith / johnsmith / jon.smith
+    const similarity = jaroWinkler(email1.local, email2.local);
+    if (similarity >= 0.85) {
+      return { verdict: 'compatible', reason: 'similar local part', score: 0.8 * similarity };
+    }
+
+    return { verdict: 'conflicting', reason: 'different', score: 0 };
+  }
+
+  /**
+   * Compare two phone numbers by their digits
+   * @param {string|number} value1 - First phone number
+   * @param {string|number} value2 - Second phone number
+   * @returns {Object} - { verdict, reason, score }
+   */
+  comparePhones(value1, value2) {
+    const digits1 = normalizePhone(value1);
+    const digits2 = normalizePhone(value2);
+    if (digits1.length < this.minPhoneDigits || digits2.length < this.minPhoneDigits) {
+      return unknown('invalid');
+    }
+
+    if (digits1 === digits2) {
+      return { verdict: 'compatible', reason: 'exact', score: 1 };
+    }
+
+    // +1 555 123 4567 / 555-123-4567, 020 7946 0018 / +44 20 7946 0018
+    const [shorter, longer] = digits1.length <= digits2.length ? [digits1, digits2] : [digits2, digits1];
+    const local = shorter.replace(/^0/, '');
+    if (longer.endsWith(local) && local.length >= this.minPhoneDigits) {
+      return { verdict: 'compatible', reason: 'country code', score: 0.95 };
+    }
+
+    if (isAdjacentTransposition(digits1, digits2) || hammingDistance(digits1, digits2) === 1) {
+      return { verdict: 'compatible', reason: 'typo', score: 0.7 };
+    }
+
+    return { verdict: 'conflicting', reason: 'different', score: 0 };
+  }
+
+  /**
+   * Compare two postal codes
+   * @param {string|number} value1 - First postal code
+   * @param {string|number} value2 - Second postal code
+   * @returns {Object} - { verdict, reason, score }
+   */
+  comparePostalCodes(value1, value2) {
+    const code1 = normalizePostalCode(value1);
+    const code2 = normalizePostalCode(value2);
+    if (!code1 || !code2) return unknown('invalid');
+
+    if (code1 === code2) {
+      return { verdict: 'compatible', reason: 'exact', score: 1 };
+    }
+
+    // ZIP and ZIP+4
+    if (/^\d{5}/.test(code1) && /^\d{5}/.test(code2) && code1.slice(0, 5) === code2.slice(0, 5)) {
+      return { verdict: 'compatible', reason: 'same zip', score: 0.95 };
+    }
+
+    // Same delivery area: the first three characters
+    if (code1.slice(0, 3) === code2.slice(0, 3)) {
+      return { verdict: 'compatible', reason: 'same area', score: 0.5 };
+    }
+
+    return { verdict: 'conflicting', reason: 'different', score: 0 };
+  }
+}
+
+module.exports = PersonMatcher;
@@ -0,0 +1,75 @@
+/**
+ * Phonetic encoding
+ *
+ * Wraps the Soundex, Metaphone and Double Metaphone implementations
+ * shipped with natural.js so name tokens can be compared by sound
+ * ("Catherine" / "Kathryn", "Smith" / "Smyth").
+ */
+const natural = require('natural');
+const { transliterateToAscii } = require('./unicode');
+
+// Each algorithm returns the list of codes for a word
+// (Double Metaphone yields a primary and an alternate code)
+const PHONETIC_ALGORITHMS = {
+  soundex: word => [natural.SoundEx.process(word)],
+  metaphone: word => [natural.Metaphone.process(word)],
+  doubleMetaphone: word => natural.DoubleMetaphone.process(word)
+};
+
+/**
+ * Encode a single word
+ *
+ * Only words that can be written in ASCII letters are encoded; the
+ * English-based algorithms produce meaningless codes for other scripts.
+ *
+ * @param {string} word - Cleaned word
+ * @param {string} [algorithm='doubleMetaphone'] - 'soundex', 'metaphone' or 'doubleMetaphone'
+ * @returns {Array|null} - Array of codes, or null if the word cannot be encoded
+ */
+function encodeWord(word, algorithm = 'doubleMetaphone') {
+  const encode = PHONETIC_ALGORITHMS[algorithm];
+  if (!encode) {
+    throw new Error(`Unknown phonetic algorithm: ${algorithm}`);
+  }
+
+  const letters = transliterateToAscii(word || '').toLowerCase().replace(/['-]/g, '');
+  if (!letters || !/^[a-z]+$/.test(letters)) return null;
+
+  const codes = encode(letters).filter(Boolean);
+  return codes.length > 0 ? [...new Set(codes)] : null;
+}
+
+/**
+ * Compare two name components (one or more words) by sound
+ *
+ * Components agree when they have the same number of words and every
+ * pair of words shares at least one code.
+ *
+ * @param {string} component1 - Cleaned name component
+ * @param {string} component2 - Cleaned name component
+ * @param {string} [algorithm='doubleMetaphone'] - Phonetic algorithm
+ * @returns {boolean|null} - Whether the components sound alike, or null if they cannot be compared
+ */
+function soundsAlike(component1, component2, algorithm = 'doubleMetaphone') {
+  if (!component1 || !component2) return null;
+
+  const words1 = component1.split(/[\s-]+/).filter(Boolean);
+  const words2 = component2.split(/[\s-]+/).filter(Boolean);
+  if (words1.length !== words2.length) return false;
+
+  for (let i = 0; i < words1.length; i++) {
+    const codes1 = encodeWord(words1[i], algorithm);
+    const codes2 = encodeWord(words2[i], algorithm);
+    if (!codes1 || !codes2) return null;
+
+    if (!codes1.some(code => codes2.includes(code))) return false;
+  }
+
+  return true;
+}
+
+module.exports = {
+  encodeWord,
+  soundsAlike,
+  PHONETIC_ALGORITHMS
+};
@@ -0,0 +1,44 @@
+/**
+ * Prepared names
+ *
+ * A name parsed and normalized once by a matcher, so it can be compared
+ * many times without being parsed again. Every scoring API accepts a
+ * PreparedName wherever it accepts a name string.
+ */
+
+class PreparedName {
+  /**
+   * Create a new PreparedName (use EnhancedMatcher#prepare rather than calling this directly)
+   * @param {string} original - Name as given
+   * @param {Object} normalized - Name normalized for comparison (see EnhancedMatcher#normalizeNameForComparison)
+   * @param {Object} matcher - EnhancedMatcher that prepared the name
+   */
+  constructor(original, normalized, matcher) {
+    this.original = original;
+    this.parsed = normalized.parsed;
+    this.normalized = normalized;
+
+    // Names depend on the parse options and dictionaries of the matcher that prepared them;
+    // kept out of enumeration so prepared names serialize cleanly
+    Object.defineProperty(this, 'matcher', { value: matcher });
+  }
+
+  /**
+   * The original name
+   * @returns {string} - Name as given
+   */
+  toString() {
+    return this.original;
+  }
+
+  /**
+   * Get the text of a name or prepared name
+   * @param {string|PreparedName} name - Name
+   * @returns {string} - Name text
+   */
+  static textOf(name) {
+    return name instanceof PreparedName ? name.original : name;
+  }
+}
+
+module.exports = PreparedName;
@@ -0,0 +1,90 @@
+/**
+ * Named matcher configurations
+ *
+ * Presets are plain option objects for EnhancedNaturalMatcher. Options
+ * passed alongside a preset override the preset's values.
+ */
+
+const PRESETS = {
+  // Strict: both the string similarity and the name-specific score must be
+  // high, word-order-insensitive token matching is not allowed to win, and
+  // a conflicting surname cannot be outvoted by other strategies
+  'identity-verification': {
+    threshold: 0.85,
+    nicknameScore: 0.8,
+    components: {
+      capOnConflict: true
+    },
+    fusion: {
+      method: 'min',
+      natural: { method: 'max' },
+      enhanced: { method: 'max' }
+    },
+    strategies: {
+      tokenSet: false
+    }
+  },
+
+  // Lenient: favour recall when looking for duplicate records, and give the
+  // name-specific strategies more say than raw string similarity
+  'deduplication': {
+    threshold: 0.7,
+    fusion: {
+      method: 'weighted-average',
+      weights: { natural: 0.4, enhanced: 0.6 },
+      natural: { method: 'max' },
+      enhanced: { method: 'max' }
+    }
+  }
+};
+
+/**
+ * Check whether a value is a plain object
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Deep-merge plain objects; other values (arrays, functions, class
+ * instances) from the override replace the base value
+ *
+ * @param {Object} base - Base options
+ * @param {Object} override - Overriding options
+ * @returns {Object} - Merged options
+ */
+function mergeOptions(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key])
+      ? mergeOptions(base[key], value)
+      : value;
+  }
+  return merged;
+}
+
+/**
+ * Apply the preset named in options.preset, if any
+ *
+ * @param {Object} options - Matcher options
+ * @returns {Object} - Options with the preset applied
+ */
+function applyPreset(options = {}) {
+  if (!options.preset) return options;
+
+  const preset = PRESETS[options.preset];
+  if (!preset) {
+    throw new Error(`Unknown preset: ${options.preset}`);
+  }
+
+  return mergeOptions(preset, options);
+}
+
+module.exports = {
+  PRESETS,
+  applyPreset,
+  mergeOptions
+};
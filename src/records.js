@@ -0,0 +1,54 @@
+/**
+ * Helpers shared by the dataset-level APIs (cluster, link)
+ */
+
+/**
+ * Normalize a list of records
+ *
+ * Records are names or { id, name } objects; a record without an id
+ * gets its position in the list.
+ *
+ * @param {Array} records - Array of names or { id, name } objects
+ * @returns {Array} - Array of { id, name } objects
+ */
+function normalizeRecords(records) {
+  return records.map((record, position) => (
+    typeof record === 'string'
+      ? { id: position, name: record }
+      : { id: record.id !== undefined ? record.id : position, name: record.name }
+  ));
+}
+
+/**
+ * Find the connected components of a graph
+ * @param {number} count - Number of nodes
+ * @param {Array} edges - Array of [node, node] pairs
+ * @returns {Array} - Array of node arrays
+ */
+function connectedComponents(count, edges) {
+  const parent = Array.from({ length: count }, (_, node) => node);
+  const find = node => {
+    while (parent[node] !== node) {
+      parent[node] = parent[parent[node]];
+      node = parent[node];
+    }
+    return node;
+  };
+
+  for (const [a, b] of edges) {
+    parent[find(a)] = find(b);
+  }
+
+  const components = new Map();
+  for (let node = 0; node < count; node++) {
+    const root = find(node);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(node);
+  }
+  return [...components.values()];
+}
+
+module.exports = {
+  normalizeRecords,
+  connectedComponents
+};
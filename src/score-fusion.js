@@ -0,0 +1,118 @@
+/**
+ * Score fusion
+ *
+ * Combines a set of named scores (one per algorithm or strategy) into
+ * a single score using a configurable method and per-score weights.
+ */
+
+/**
+ * Get the weight for a named score (1 unless configured otherwise)
+ *
+ * @param {Object} weights - Map of score name to weight
+ * @param {string} name - Score name
+ * @returns {number} - Weight
+ */
+function weightOf(weights, name) {
+  return weights && weights[name] !== undefined ? weights[name] : 1;
+}
+
+/**
+ * Find the entry with the highest (or lowest) value
+ *
+ * @param {Array} entries - Array of [name, value] pairs
+ * @param {boolean} lowest - Find the lowest value instead of the highest
+ * @returns {Array} - The winning [name, value] pair (first entry wins ties)
+ */
+function pick(entries, lowest = false) {
+  return entries.reduce((best, entry) => {
+    const better = lowest ? entry[1] < best[1] : entry[1] > best[1];
+    return better ? entry : best;
+  });
+}
+
+// Built-in fusion methods. Each returns the fused score and the name of
+// the score that decided it (the largest contribution for averages).
+const FUSION_METHODS = {
+  'max': entries => {
+    const [strategy, score] = pick(entries);
+    return { score, strategy };
+  },
+
+  'min': entries => {
+    const [strategy, score] = pick(entries, true);
+    return { score, strategy };
+  },
+
+  'average': entries => {
+    const total = entries.reduce((sum, [, score]) => sum + score, 0);
+    return { score: total / entries.length, strategy: pick(entries)[0] };
+  },
+
+  'weighted-average': (entries, weights) => {
+    const weighted = entries.map(([name, score]) => [name, score * weightOf(weights, name)]);
+    const totalWeight = entries.reduce((sum, [name]) => sum + weightOf(weights, name), 0);
+    if (totalWeight <= 0) return { score: 0, strategy: null };
+
+    const total = weighted.reduce((sum, [, score]) => sum + score, 0);
+    return { score: total / totalWeight, strategy: pick(weighted)[0] };
+  },
+
+  'weighted-max': (entries, weights) => {
+    const weighted = entries.map(([name, score]) => [name, Math.min(1, score * weightOf(weights, name))]);
+    const [strategy, score] = pick(weighted);
+    return { score, strategy };
+  }
+};
+
+/**
+ * Fuse a set of named scores into one score
+ *
+ * @param {Object} scores - Map of score name to score (0-1)
+ * @param {Object} [config] - Fusion configuration
+ * @param {string|Function} [config.method='max'] - 'max', 'min', 'average', 'weighted-average',
+ *   'weighted-max', or a function (scores, weights) => number
+ * @param {Object} [config.weights] - Map of score name to weight (defaults to 1)
+ * @returns {Object} - { score, strategy } where strategy is the score that decided the result
+ */
+function fuseScores(scores, config = {}) {
+  const { method = 'max', weights = {} } = config;
+  const entries = Object.entries(scores);
+
+  if (entries.length === 0) {
+    return { score: 0, strategy: null };
+  }
+
+  if (typeof method === 'function') {
+    const score = Number(method(scores, weights));
+    return { score: Math.max(0, Math.min(1, score || 0)), strategy: null };
+  }
+
+  const fuse = FUSION_METHODS[method];
+  if (!fuse) {
+    throw new Error(`Unknown fusion method: ${method}`);
+  }
+
+  const result = fuse(entries, weights);
+  // Nothing decided a result of 0
+  return result.score > 0 ? result : { score: result.score, strategy: null };
+}
+
+/**
+ * Describe a fusion configuration for explanations
+ *
+ * @param {Object} [config] - Fusion configuration
+ * @returns {Object} - { method, weights } with the method name ('custom' for functions)
+ */
+function describeFusion(config = {}) {
+  const { method = 'max', weights = {} } = config;
+  return {
+    method: typeof method === 'function' ? 'custom' : method,
+    weights
+  };
+}
+
+module.exports = {
+  fuseScores,
+  describeFusion,
+  FUSION_METHODS
+};
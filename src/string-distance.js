@@ -0,0 +1,306 @@
+/**
+ * String distances
+ *
+ * Levenshtein, Damerau-Levenshtein (optimal string alignment) and
+ * Jaro-Winkler implementations shared by every matcher. The edit
+ * distances skip the common prefix and suffix and stop as soon as a
+ * `maxDistance` can no longer be met. Levenshtein uses Myers' bit-parallel
+ * algorithm when the shorter string fits in 32 bits; otherwise two or three
+ * rows in typed arrays that are reused across calls instead of allocating a
+ * matrix per comparison. Strings are compared by UTF-16 code unit, as in natural.js.
+ */
+
+// Rows reused by every call (the functions are synchronous, so sharing is safe)
+let rows = [new Int32Array(64), new Int32Array(64), new Int32Array(64)];
+
+// Bit masks of the positions of each UTF-16 code unit in the pattern (Myers)
+const positions = new Int32Array(65536);
+
+// Match flags reused by Jaro
+let matched1 = new Uint8Array(64);
+let matched2 = new Uint8Array(64);
+
+/**
+ * Make sure the shared rows hold at least `length` cells
+ * @param {number} length - Cells needed
+ */
+function ensureRows(length) {
+  if (rows[0].length < length) {
+    const size = Math.max(length, rows[0].length * 2);
+    rows = [new Int32Array(size), new Int32Array(size), new Int32Array(size)];
+  }
+}
+
+/**
+ * Calculate the Levenshtein distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [maxDistance=Infinity] - Stop once the distance is known to exceed this
+ * @returns {number} - Edit distance, or maxDistance + 1 if it exceeds maxDistance
+ */
+function levenshtein(a, b, maxDistance = Infinity) {
+  return editDistance(a, b, maxDistance, false);
+}
+
+/**
+ * Calculate the Damerau-Levenshtein distance (optimal string alignment):
+ * like Levenshtein, but swapping two adjacent characters costs one edit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [maxDistance=Infinity] - Stop once the distance is known to exceed this
+ * @returns {number} - Edit distance, or maxDistance + 1 if it exceeds maxDistance
+ */
+function damerauLevenshtein(a, b, maxDistance = Infinity) {
+  return editDistance(a, b, maxDistance, true);
+}
+
+/**
+ * Two-row (three with transpositions) dynamic programming edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Cutoff
+ * @param {boolean} transpositions - Count adjacent transpositions as one edit
+ * @returns {number} - Edit distance, or maxDistance + 1 if it exceeds maxDistance
+ */
+function editDistance(a, b, maxDistance, transpositions) {
+  const exceeded = maxDistance + 1;
+  if (Math.abs(a.length - b.length) > maxDistance) return exceeded;
+
+  // Iterate over the longer string, keeping rows as long as the shorter one
+  if (a.length < b.length) {
+    const swap = a;
+    a = b;
+    b = swap;
+  }
+
+  // The common prefix and suffix do not change the distance
+  let start = 0;
+  let endA = a.length;
+  let endB = b.length;
+  while (start < endB && a.charCodeAt(start) === b.charCodeAt(start)) start++;
+  while (endB > start && a.charCodeAt(endA - 1) === b.charCodeAt(endB - 1)) {
+    endA--;
+    endB--;
+  }
+
+  const lengthA = endA - start;
+  const lengthB = endB - start;
+  if (lengthB === 0) return lengthA <= maxDistance ? lengthA : exceeded;
+
+  if (!transpositions && lengthB <= 32) {
+    return bitParallelDistance(a, b, start, lengthA, lengthB, maxDistance);
+  }
+
+  ensureRows(lengthB + 1);
+  let previous = rows[0];
+  let current = rows[1];
+  let beforePrevious = rows[2];
+  for (let j = 0; j <= lengthB; j++) previous[j] = j;
+
+  for (let i = 1; i <= lengthA; i++) {
+    const charA = a.charCodeAt(start + i - 1);
+    const previousCharA = i > 1 ? a.charCodeAt(start + i - 2) : -1;
+    current[0] = i;
+    let rowMinimum = i;
+
+    for (let j = 1; j <= lengthB; j++) {
+      const charB = b.charCodeAt(start + j - 1);
+      let value = previous[j - 1] + (charA === charB ? 0 : 1);  // substitution
+      if (previous[j] + 1 < value) value = previous[j] + 1;    // deletion
+      if (current[j - 1] + 1 < value) value = current[j - 1] + 1;  // insertion
+
+      if (transpositions && j > 1 && charA === b.charCodeAt(start + j - 2) &&
+          previousCharA === charB && beforePrevious[j - 2] + 1 < value) {
+        value = beforePrevious[j - 2] + 1;
+      }
+
+      current[j] = value;
+      if (value < rowMinimum) rowMinimum = value;
+    }
+
+    // No later row can get below this row's minimum (with transpositions, below it minus one
+    // two rows on, which still exceeds the cutoff)
+    if (rowMinimum > maxDistance) return exceeded;
+
+    const recycled = beforePrevious;
+    beforePrevious = previous;
+    previous = current;
+    current = recycled;
+  }
+
+  const distance = previous[lengthB];
+  return distance <= maxDistance ? distance : exceeded;
+}
+
+/**
+ * Myers' bit-parallel Levenshtein distance for a pattern of at most 32 code units
+ * (in Hyyrö's formulation): each column of the DP matrix is kept as two bit
+ * vectors of +1 and -1 vertical differences
+ * @param {string} text - Longer string
+ * @param {string} pattern - Shorter string
+ * @param {number} start - Offset of the differing parts in both strings
+ * @param {number} textLength - Length of the differing part of the text
+ * @param {number} patternLength - Length of the differing part of the pattern (1-32)
+ * @param {number} maxDistance - Cutoff
+ * @returns {number} - Edit distance, or maxDistance + 1 if it exceeds maxDistance
+ */
+function bitParallelDistance(text, pattern, start, textLength, patternLength, maxDistance) {
+  for (let i = 0; i < patternLength; i++) {
+    positions[pattern.charCodeAt(start + i)] |= 1 << i;
+  }
+
+  const last = 1 << (patternLength - 1);
+  let plus = -1;
+  let minus = 0;
+  let distance = patternLength;
+  let result = -1;
+
+  for (let j = 0; j < textLength; j++) {
+    const equal = positions[text.charCodeAt(start + j)];
+    const vertical = equal | minus;
+    const horizontal = ((((equal & plus) + plus) | 0) ^ plus) | equal;
+    let horizontalPlus = minus | ~(horizontal | plus);
+    let horizontalMinus = plus & horizontal;
+
+    if (horizontalPlus & last) distance++;
+    else if (horizontalMinus & last) distance--;
+
+    // Each remaining text character can lower the distance by at most one
+    if (distance - (textLength - j - 1) > maxDistance) {
+      result = maxDistance + 1;
+      break;
+    }
+
+    horizontalPlus = (horizontalPlus << 1) | 1;
+    horizontalMinus <<= 1;
+    plus = horizontalMinus | ~(vertical | horizontalPlus);
+    minus = horizontalPlus & vertical;
+  }
+
+  // Leave the table clean for the next call
+  for (let i = 0; i < patternLength; i++) {
+    positions[pattern.charCodeAt(start + i)] = 0;
+  }
+
+  if (result >= 0) return result;
+  return distance <= maxDistance ? distance : maxDistance + 1;
+}
+
+/**
+ * Convert an edit distance function to a similarity: 1 - distance / longer length
+ * @param {Function} distanceFn - (a, b, maxDistance) => distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [minSimilarity=0] - Return 0 early for pairs that cannot reach this similarity
+ * @returns {number} - Similarity (0-1)
+ */
+function toSimilarity(distanceFn, a, b, minSimilarity = 0) {
+  const maxLength = Math.max(a.length, b.length);
+  if (maxLength === 0) return 1;
+
+  // (the epsilon keeps rounding errors from excluding pairs exactly at minSimilarity)
+  const maxDistance = Math.floor((1 - minSimilarity) * maxLength + 1e-9);
+  const distance = distanceFn(a, b, maxDistance);
+  return distance > maxDistance ? 0 : 1 - distance / maxLength;
+}
+
+/**
+ * Levenshtein similarity: 1 - distance / longer length
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [minSimilarity=0] - Return 0 early for pairs that cannot reach this similarity
+ * @returns {number} - Similarity (0-1)
+ */
+function levenshteinSimilarity(a, b, minSimilarity = 0) {
+  return toSimilarity(levenshtein, a, b, minSimilarity);
+}
+
+/**
+ * Damerau-Levenshtein similarity: 1 - distance / longer length
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} [minSimilarity=0] - Return 0 early for pairs that cannot reach this similarity
+ * @returns {number} - Similarity (0-1)
+ */
+function damerauSimilarity(a, b, minSimilarity = 0) {
+  return toSimilarity(damerauLevenshtein, a, b, minSimilarity);
+}
+
+/**
+ * Calculate the Jaro similarity between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Similarity (0-1)
+ */
+function jaro(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length === 0 || b.length === 0) {
+    return 0;
+  }
+
+  if (matched1.length < a.length) matched1 = new Uint8Array(Math.max(a.length, matched1.length * 2));
+  if (matched2.length < b.length) matched2 = new Uint8Array(Math.max(b.length, matched2.length * 2));
+  matched1.fill(0, 0, a.length);
+  matched2.fill(0, 0, b.length);
+
+  // Characters match if they are equal and no further apart than the window
+  const window = Math.floor(Math.max(a.length, b.length) / 2) - 1;
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    const end = Math.min(i + window + 1, b.length);
+    for (let k = Math.max(0, i - window); k < end; k++) {
+      if (!matched2[k] && a.charCodeAt(i) === b.charCodeAt(k)) {
+        matched1[i] = 1;
+        matched2[k] = 1;
+        matches++;
+        break;
+      }
+    }
+  }
+
+  if (matches === 0) return 0;
+
+  // Matched characters in a different order count as half a transposition each
+  let outOfOrder = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!matched1[i]) continue;
+    while (!matched2[k]) k++;
+    if (a.charCodeAt(i) !== b.charCodeAt(k)) outOfOrder++;
+    k++;
+  }
+
+  return (matches / a.length + matches / b.length + (matches - outOfOrder / 2) / matches) / 3;
+}
+
+/**
+ * Calculate the Jaro-Winkler similarity: Jaro boosted by the length of the
+ * common prefix (same results as natural.JaroWinklerDistance)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {Object} [options] - Options
+ * @param {number} [options.prefixScale=0.1] - Boost per common prefix character
+ * @param {number} [options.maxPrefix=4] - Longest prefix counted
+ * @returns {number} - Similarity (0-1)
+ */
+function jaroWinkler(a, b, options = {}) {
+  if (a === b) return 1;
+
+  const { prefixScale = 0.1, maxPrefix = 4 } = options;
+  const similarity = jaro(a, b);
+
+  let prefix = 0;
+  while (prefix < maxPrefix && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) {
+    prefix++;
+  }
+
+  return similarity + prefix * prefixScale * (1 - similarity);
+}
+
+module.exports = {
+  levenshtein,
+  damerauLevenshtein,
+  levenshteinSimilarity,
+  damerauSimilarity,
+  jaro,
+  jaroWinkler
+};
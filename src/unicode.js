@@ -0,0 +1,79 @@
+/**
+ * Unicode helpers for name normalization
+ *
+ * Folds compatibility characters and diacritics and transliterates
+ * Latin letters that have no decomposition (ß, æ, ø, ł, ...) to ASCII.
+ * Non-Latin scripts (Cyrillic, Arabic, CJK, ...) are always preserved.
+ */
+
+// Latin letters that NFKD does not decompose into an ASCII base letter
+const LATIN_TRANSLITERATIONS = {
+  'ß': 'ss', 'ẞ': 'ss',
+  'æ': 'ae', 'Æ': 'ae',
+  'œ': 'oe', 'Œ': 'oe',
+  'ø': 'o', 'Ø': 'o',
+  'ł': 'l', 'Ł': 'l',
+  'đ': 'd', 'Đ': 'd',
+  'ð': 'd', 'Ð': 'd',
+  'þ': 'th', 'Þ': 'th',
+  'ı': 'i',
+  'ħ': 'h', 'Ħ': 'h',
+  'ŋ': 'ng', 'Ŋ': 'ng',
+  'ĸ': 'k',
+  'ſ': 's'
+};
+
+const TRANSLITERATION_PATTERN = new RegExp(`[${Object.keys(LATIN_TRANSLITERATIONS).join('')}]`, 'g');
+
+// Combining marks attached to Latin or Greek letters (accents, cedillas, tonos, ...).
+// Marks in other scripts carry meaning (Devanagari vowel signs, Cyrillic й) and are kept.
+const DIACRITIC_PATTERN = /([\p{Script=Latin}\p{Script=Greek}])\p{M}+/gu;
+
+/**
+ * Apply compatibility folding and remove diacritics from Latin and Greek letters
+ *
+ * @param {string} text - Text to fold
+ * @returns {string} - Folded text ("José Muñoz" -> "Jose Munoz")
+ */
+function foldDiacritics(text) {
+  if (!text) return '';
+
+  return String(text)
+    .normalize('NFKD')
+    .replace(DIACRITIC_PATTERN, '$1')
+    .normalize('NFC');
+}
+
+/**
+ * Transliterate Latin-script text to ASCII
+ *
+ * Diacritics are removed and letters without a decomposition are
+ * spelled out ("Łódź" -> "Lodz", "Strauß" -> "Strauss"). Characters
+ * from other scripts are left unchanged.
+ *
+ * @param {string} text - Text to transliterate
+ * @returns {string} - Transliterated text
+ */
+function transliterateToAscii(text) {
+  return foldDiacritics(text)
+    .replace(TRANSLITERATION_PATTERN, char => LATIN_TRANSLITERATIONS[char]);
+}
+
+/**
+ * Get the first code point of a string
+ * (safe for characters outside the Basic Multilingual Plane)
+ *
+ * @param {string} text - Text
+ * @returns {string} - First character, or an empty string
+ */
+function firstCharacter(text) {
+  if (!text) return '';
+  return String.fromCodePoint(text.codePointAt(0));
+}
+
+module.exports = {
+  foldDiacritics,
+  transliterateToAscii,
+  firstCharacter,
+  LATIN_TRANSLITERATIONS
+};
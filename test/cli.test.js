@@ -0,0 +1,148 @@
+const path = require('path');
+const { Readable, Writable } = require('stream');
+const { run, parseArgs } = require('../src/cli');
+const { parseCsv, formatCsvRow } = require('../src/csv');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+/**
+ * Run the CLI and collect its output
+ */
+async function runCli(argv, stdinText = '') {
+  let stdout = '';
+  let stderr = '';
+  const sink = append => new Writable({
+    write(chunk, encoding, callback) {
+      append(chunk.toString());
+      callback();
+    }
+  });
+
+  const code = await run(argv, {
+    stdin: Readable.from([stdinText]),
+    stdout: sink(text => { stdout += text; }),
+    stderr: sink(text => { stderr += text; })
+  });
+  return { code, stdout, stderr };
+}
+
+async function collect(iterable) {
+  const rows = [];
+  for await (const row of iterable) rows.push(row);
+  return rows;
+}
+
+describe('CSV helpers', () => {
+  test('parses quoted fields split across chunks', async () => {
+    const chunks = ['name,note\n"Smith, J', 'ohn","said ""hi""\nacross lines"\r\n', '\nAnn,x'];
+    expect(await collect(parseCsv(chunks))).toEqual([
+      ['name', 'note'],
+      ['Smith, John', 'said "hi"\nacross lines'],
+      ['Ann', 'x']
+    ]);
+  });
+
+  test('decodes characters split across Buffer chunks', async () => {
+    const bytes = Buffer.from('name\nJosé\n');
+    const chunks = [bytes.subarray(0, 9), bytes.subarray(9)];
+    expect(await collect(parseCsv(chunks))).toEqual([['name'], ['José']]);
+  });
+
+  test('replaces an incomplete character at the end of the input', async () => {
+    const bytes = Buffer.from('name\nJosé');
+    expect(await collect(parseCsv([bytes.subarray(0, bytes.length - 1)]))).toEqual([['name'], ['Jos\uFFFD']]);
+  });
+
+  test('quotes fields only when needed', () => {
+    expect(formatCsvRow(['a', 'b, c', 'say "x"', null, 1])).toBe('a,"b, c","say ""x""",,1\n');
+  });
+});
+
+describe('parseArgs', () => {
+  test('separates the command, arguments and options', () => {
+    expect(parseArgs(['compare', 'A', '--threshold', '0.8', 'B', '--explain', '--format=json'])).toEqual({
+      command: 'compare',
+      args: ['A', 'B'],
+      options: { threshold: '0.8', explain: true, format: 'json' }
+    });
+    expect(() => parseArgs(['compare', '--bogus'])).toThrow('Unknown option: --bogus');
+    expect(() => parseArgs(['compare', '--threshold'])).toThrow('Missing value for --threshold');
+  });
+});
+
+describe('name-match CLI', () => {
+  test('compares two names', async () => {
+    const { code, stdout } = await runCli(['compare', 'William Jones', 'Bill Jones', '--threshold', '0.8']);
+    expect(code).toBe(0);
+    expect(stdout).toBe('name1,name2,score,isMatch,threshold\nWilliam Jones,Bill Jones,0.86,true,0.8\n');
+  });
+
+  test('accepts a threshold of 0', async () => {
+    const { code, stdout } = await runCli(['compare', 'John Smith', 'Peter Parker', '--threshold', '0']);
+    expect(code).toBe(0);
+    expect(stdout).toMatch(/^name1,name2,score,isMatch,threshold\nJohn Smith,Peter Parker,[\d.]+,true,0\n$/);
+  });
+
+  test('includes the explanation on request', async () => {
+    const { stdout } = await runCli(['compare', 'William Jones', 'Bill Jones', '--explain', '--format', 'json']);
+    const [result] = JSON.parse(stdout);
+    expect(result.explanation.decidedBy).toBe('combined');
+    expect(result.explanation.enhanced.components.first.reason).toBe('nickname');
+  });
+
+  test('parses names', async () => {
+    const { stdout } = await runCli(['parse', 'Smith, John', 'Juan de la Cruz', '--format', 'ndjson']);
+    const results = stdout.trim().split('\n').map(line => JSON.parse(line));
+    expect(results.map(result => result.lastName)).toEqual(['smith', 'de la cruz']);
+
+    const csv = await runCli(['parse', 'Dr. Juan de la Cruz Jr.']);
+    expect(csv.stdout.split('\n')[1]).toBe('Dr. Juan de la Cruz Jr.,juan,,de la cruz,de la cruz,dr,jr,western');
+  });
+
+  test('assigns the rows of a file to clusters', async () => {
+    const { code, stdout } = await runCli(['dedupe', fixture('people.csv'), '--format', 'ndjson']);
+    const rows = stdout.trim().split('\n').map(line => JSON.parse(line));
+
+    expect(code).toBe(0);
+    expect(rows.map(row => row.cluster)).toEqual([1, 2, 3, 1, 2]);
+    expect(rows[3]).toMatchObject({ row: 4, name: 'Bob Smith', matchRow: 1, matchName: 'Robert Smith' });
+  });
+
+  test('reads standard input', async () => {
+    const { stdout } = await runCli(['dedupe', '-', '--column', 'full_name'], 'full_name\nAnn Lee\nAnne Lee\n');
+    expect(stdout.split('\n')[0]).toBe('row,name,cluster,matchRow,matchName,score');
+    expect(stdout.split('\n')[2]).toMatch(/^2,Anne Lee,1,1,Ann Lee,/);
+  });
+
+  test('links two files', async () => {
+    const { stdout } = await runCli(['link', fixture('people.csv'), fixture('customers.csv'), '--format', 'json']);
+    const rows = JSON.parse(stdout);
+
+    expect(rows).toHaveLength(5);
+    expect(rows[0]).toMatchObject({ rowA: 1, rowB: 1, nameB: 'Robert Smith' });
+    expect(rows[2]).toMatchObject({ rowA: 3, rowB: 2, nameB: 'Garcia, Maria' });
+    expect(rows[1]).toMatchObject({ rowA: 2, rowB: null, score: null });
+  });
+
+  test('reports usage errors and missing files', async () => {
+    const unknown = await runCli(['bogus']);
+    expect(unknown.code).toBe(2);
+    expect(unknown.stderr).toContain('Unknown command: bogus');
+
+    const column = await runCli(['dedupe', fixture('people.csv'), '--column', 'full_name']);
+    expect(column.code).toBe(2);
+    expect(column.stderr).toContain('Column "full_name" not found');
+
+    const missing = await runCli(['dedupe', fixture('missing.csv')]);
+    expect(missing.code).toBe(1);
+    expect(missing.stderr).toContain('ENOENT');
+
+    expect((await runCli(['compare', 'A', 'B', '--threshold', '2'])).stderr).toContain('Invalid threshold: 2');
+  });
+
+  test('prints the help', async () => {
+    const { code, stdout } = await runCli(['--help']);
+    expect(code).toBe(0);
+    expect(stdout).toContain('Usage: name-match <command>');
+  });
+});
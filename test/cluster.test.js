@@ -0,0 +1,85 @@
+const { cluster, EnhancedNaturalMatcher } = require('../index');
+
+const names = [
+  'John Smith',
+  'Jon Smith',
+  'Smith, John',
+  'Jane Smith',
+  'Robert Johnson',
+  'Bob Johnson',
+  'William Jones',
+  'Bill Jones',
+  'Maria de la Cruz',
+  'Maria Cruz',
+  'Michael Jackson'
+];
+
+const memberNames = result => result.members.map(member => member.name).sort();
+const clusterOf = (clusters, name) => clusters.find(result => memberNames(result).includes(name));
+
+describe('cluster', () => {
+  test('groups likely-same people', () => {
+    const clusters = cluster(names);
+    
+    expect(memberNames(clusterOf(clusters, 'Bob Johnson'))).toEqual(['Bob Johnson', 'Robert Johnson']);
+    expect(memberNames(clusterOf(clusters, 'Bill Jones'))).toEqual(['Bill Jones', 'William Jones']);
+    expect(memberNames(clusterOf(clusters, 'Maria Cruz'))).toEqual(['Maria Cruz', 'Maria de la Cruz']);
+    expect(clusterOf(clusters, 'Michael Jackson')).toMatchObject({ size: 1, representative: 'Michael Jackson', scores: null });
+    expect(clusters.reduce((total, result) => total + result.size, 0)).toBe(names.length);
+  });
+  
+  test('reports a representative name and internal scores', () => {
+    const johnsons = clusterOf(cluster(names), 'Bob Johnson');
+    expect(['Robert Johnson', 'Bob Johnson']).toContain(johnsons.representative);
+    expect(johnsons.scores.min).toBeGreaterThanOrEqual(0.75);
+    expect(johnsons.scores.min).toBeLessThanOrEqual(johnsons.scores.average);
+    expect(johnsons.scores.average).toBeLessThanOrEqual(johnsons.scores.max);
+  });
+  
+  test('only scores pairs that share a blocking key', () => {
+    const matcher = new EnhancedNaturalMatcher();
+    const spy = jest.spyOn(matcher, 'getSimilarity');
+    cluster(names, { matcher, linkage: 'connected' });
+    
+    const allPairs = names.length * (names.length - 1) / 2;
+    expect(spy.mock.calls.length).toBeLessThan(allPairs);
+    expect(spy.mock.calls.map(pair => pair.join(' / '))).not.toContain('Robert Johnson / Maria Cruz');
+  });
+  
+  test('merges clusters along compared pairs only', () => {
+    const matcher = new EnhancedNaturalMatcher();
+    const spy = jest.spyOn(matcher, 'getSimilarity');
+    const clusters = cluster(names, { matcher, linkage: 'average', maxCandidates: 3 });
+    
+    expect(spy.mock.calls.length).toBeLessThanOrEqual(names.length * 3);
+    expect(memberNames(clusterOf(clusters, 'Bob Johnson'))).toEqual(['Bob Johnson', 'Robert Johnson']);
+  });
+  
+  test('complete linkage is stricter than connected components', () => {
+    const connected = cluster(names, { linkage: 'connected', minSize: 2 });
+    const complete = cluster(names, { linkage: 'complete', minSize: 2 });
+    
+    expect(clusterOf(connected, 'John Smith').size).toBeGreaterThan(clusterOf(complete, 'John Smith').size);
+    for (const result of complete) {
+      expect(result.scores.min).toBeGreaterThanOrEqual(0.75);
+    }
+  });
+  
+  test('accepts records with ids and a threshold', () => {
+    const records = [
+      { id: 'a', name: 'Robert Johnson' },
+      { id: 'b', name: 'Bob Johnson' },
+      { id: 'c', name: 'Robert Jonson' }
+    ];
+    
+    expect(cluster(records, { minSize: 2 })[0].members).toHaveLength(3);
+    
+    const strict = cluster(records, { threshold: 0.9, minSize: 2 });
+    expect(strict).toHaveLength(1);
+    expect(strict[0].members).toEqual([{ id: 'a', name: 'Robert Johnson' }, { id: 'c', name: 'Robert Jonson' }]);
+  });
+  
+  test('rejects unknown linkages', () => {
+    expect(() => cluster(names, { linkage: 'ward' })).toThrow('Unknown linkage: ward');
+  });
+});
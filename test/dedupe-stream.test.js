@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { DedupeStream } = require('../index');
+
+const names = ['John Smith', 'Jon Smith', 'Mary Jones', 'Smith, John', '', 'Maria Jones', 'Bob Brown'];
+
+// Pipe records through a stream and collect its results
+async function run(stream, records) {
+  const results = [];
+  await pipeline(Readable.from(records), stream, async function* (source) {
+    for await (const result of source) results.push(result);
+  });
+  return results;
+}
+
+describe('DedupeStream', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dedupe-stream-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('flags duplicates of earlier records', async () => {
+    const stream = new DedupeStream();
+    const duplicates = [];
+    stream.on('duplicate', result => duplicates.push(result.id));
+
+    const results = await run(stream, names);
+
+    expect(results.map(result => [result.type, result.cluster])).toEqual([
+      ['unique', 0],
+      ['duplicate', 0],
+      ['unique', 2],
+      ['duplicate', 0],
+      ['unique', 4],
+      ['duplicate', 2],
+      ['unique', 6]
+    ]);
+    expect(results[1].match).toMatchObject({ id: 0, name: 'John Smith' });
+    expect(results[1].record).toBe('Jon Smith');
+    expect(duplicates).toEqual([1, 3, 5]);
+    expect(stream.getStats()).toEqual({ processed: 7, duplicates: 3, indexed: 6, evicted: 0 });
+  });
+
+  test('uses record ids', async () => {
+    const results = await run(new DedupeStream(), [{ id: 'a', name: 'John Smith' }, { id: 'b', name: 'Jon Smith' }]);
+
+    expect(results[1]).toMatchObject({ id: 'b', cluster: 'a', match: { id: 'a' } });
+  });
+
+  test('treats a repeated id as a duplicate of the stored record', async () => {
+    const stream = new DedupeStream();
+    const results = await run(stream, [
+      { id: 1, name: 'John Smith' },
+      { id: 1, name: 'Jon Smith' },
+      { id: 2, name: 'Mary Jones' }
+    ]);
+
+    expect(results.map(result => result.type)).toEqual(['unique', 'duplicate', 'unique']);
+    expect(results[1]).toMatchObject({ id: 1, cluster: 1, match: { id: 1, name: 'John Smith' } });
+    expect(stream.getStats()).toMatchObject({ processed: 3, duplicates: 1, indexed: 2 });
+  });
+
+  test('evicts the oldest records beyond maxRecords', async () => {
+    const stream = new DedupeStream({ maxRecords: 2 });
+    const results = await run(stream, ['John Smith', 'Mary Jones', 'Bob Brown', 'Jon Smith']);
+
+    expect(results[3].type).toBe('unique');
+    expect(stream.getStats()).toMatchObject({ indexed: 2, evicted: 2 });
+    expect(() => new DedupeStream({ maxRecords: 0 })).toThrow('maxRecords must be a positive integer: 0');
+  });
+
+  test('resumes from a checkpoint', async () => {
+    const file = path.join(directory, 'checkpoint.json');
+    const checkpoints = [];
+    const first = DedupeStream.load(file, { checkpointInterval: 2 });
+    first.on('checkpoint', ({ processed }) => checkpoints.push(processed));
+    await run(first, names.slice(0, 4));
+
+    expect(checkpoints).toEqual([2, 4, 4]);
+    expect(fs.existsSync(`${file}.tmp`)).toBe(false);
+
+    const resumed = DedupeStream.load(file);
+    expect(resumed.getStats()).toEqual(first.getStats());
+
+    const results = await run(resumed, names.slice(4));
+    const uninterrupted = await run(new DedupeStream(), names);
+    expect(results).toEqual(uninterrupted.slice(4));
+  });
+
+  test('skips replayed records after a restore', async () => {
+    const first = new DedupeStream();
+    await run(first, names.slice(0, 3));
+
+    const stream = DedupeStream.fromJSON(JSON.stringify(first), { skipProcessed: true });
+
+    const results = await run(stream, names);
+    expect(results.map(result => result.id)).toEqual([3, 4, 5, 6]);
+    expect(results[0]).toMatchObject({ type: 'duplicate', cluster: 0 });
+  });
+
+  test('rejects invalid checkpoints', () => {
+    expect(() => new DedupeStream().restore({ records: [] })).toThrow('Checkpoint must be a DedupeStream state object');
+  });
+});
@@ -1,4 +1,4 @@
-const { EnhancedNaturalMatcher, match, isMatch, matchGroup } = require('../index');
+const { EnhancedNaturalMatcher, match, isMatch, matchGroup, explain, findBestMatches } = require('../index');
 
 // Test cases - pairs of names that should match
 const matchingPairs = [
@@ -81,6 +81,146 @@ describe('EnhancedNaturalMatcher', () => {
     });
   });
   
+  describe('explain', () => {
+    test('returns every sub-score and the deciding strategies', () => {
+      const result = matcher.explain('William Jones', 'Bill Jones');
+      
+      expect(result.score).toBe(matcher.getSimilarity('William Jones', 'Bill Jones'));
+      expect(result.decidedBy).toBe('combined');
+      expect(Object.keys(result.natural.scores)).toEqual(['jaroWinkler', 'dice', 'levenshtein']);
+      expect(Object.keys(result.enhanced.scores)).toEqual(
+        expect.arrayContaining(['exactMatch', 'tokenSet', 'initialsMatch', 'editDistance'])
+      );
+      expect(result.natural.scores[result.natural.strategy]).toBe(result.natural.score);
+      expect(result.enhanced.scores[result.enhanced.strategy]).toBe(result.enhanced.score);
+    });
+    
+    test('returns the parsed components of both names', () => {
+      const result = matcher.explain('Dr. John W. Smith', 'John Smith');
+      expect(result.parsed.name1.firstName).toBe('john');
+      expect(result.parsed.name1.middleNames).toEqual(['w']);
+      expect(result.parsed.name1.prefixes).toEqual(['dr']);
+      expect(result.parsed.name2.lastName).toBe('smith');
+    });
+    
+    test('describes how the final score was formed', () => {
+      const { natural, enhanced, combination } = matcher.explain('Robert Johnson', 'Bob Johnson');
+      expect(combination.method).toBe('average');
+      expect(combination.rawScore).toBeCloseTo((natural.score + enhanced.score) / 2);
+      expect(combination.score).toBe(parseFloat(combination.rawScore.toFixed(2)));
+    });
+    
+    test('reports short-circuited comparisons', () => {
+      expect(matcher.explain('John Smith', 'John Smith')).toMatchObject({ score: 1, decidedBy: 'identical', isMatch: true });
+      expect(matcher.explain('', 'John Smith')).toMatchObject({ score: 0, decidedBy: 'empty', isMatch: false });
+    });
+  });
+  
+  describe('nickname matching', () => {
+    test('scores known nickname equivalents in either direction', () => {
+      const { enhanced } = matcher.explain('William Jones', 'Bill Jones');
+      expect(enhanced.scores.nickname).toBe(0.85);
+      expect(enhanced.strategy).toBe('nickname');
+      expect(matcher.explain('Bill Jones', 'William Jones').enhanced.scores.nickname).toBe(0.85);
+    });
+    
+    test('matches nickname-to-nickname equivalents', () => {
+      expect(matcher.explain('Bill Jones', 'Will Jones').enhanced.scores.nickname).toBe(0.85);
+    });
+    
+    test('requires the last names to agree', () => {
+      expect(matcher.explain('William Jones', 'Bill Smith').enhanced.scores.nickname).toBe(0);
+    });
+    
+    test('respects a custom nickname score', () => {
+      const custom = new EnhancedNaturalMatcher({ nicknameScore: 0.95 });
+      expect(custom.explain('Robert Johnson', 'Bob Johnson').enhanced.scores.nickname).toBe(0.95);
+    });
+  });
+  
+  describe('component scoring', () => {
+    test('compares first, middle and last names separately', () => {
+      const { components } = matcher.explain('John William Smith', 'Jon W Smith').enhanced;
+      expect(components.first).toMatchObject({ verdict: 'compatible', reason: 'spelling' });
+      expect(components.middle).toMatchObject({ verdict: 'compatible' });
+      expect(components.last).toEqual({ verdict: 'compatible', reason: 'exact', score: 1 });
+    });
+    
+    test('treats a missing middle name as neutral', () => {
+      const { scores, components } = matcher.explain('John Smith', 'John William Smith').enhanced;
+      expect(components.middle.verdict).toBe('unknown');
+      expect(scores.component).toBeCloseTo(0.9);
+    });
+    
+    test('treats a conflicting middle name as evidence against a match', () => {
+      const { scores, components } = matcher.explain('John Walter Smith', 'John Quincy Smith').enhanced;
+      expect(components.middle.verdict).toBe('conflicting');
+      expect(scores.component).toBeLessThan(matcher.explain('John Smith', 'John Quincy Smith').enhanced.scores.component);
+    });
+    
+    test('penalizes surname conflicts heavily', () => {
+      const { scores, components } = matcher.explain('Robert Johnson', 'Robert Williams').enhanced;
+      expect(components.last.verdict).toBe('conflicting');
+      expect(scores.component).toBeLessThan(0.25);
+      expect(matcher.explain('Thomas Anderson', 'Andy Thomas').enhanced.scores.component).toBe(0);
+    });
+    
+    test('can cap the enhanced score when surnames conflict', () => {
+      const capped = new EnhancedNaturalMatcher({ components: { capOnConflict: true } });
+      const { enhanced } = capped.explain('Robert Johnson', 'Robert Williams');
+      expect(enhanced.strategy).toBe('component');
+      expect(enhanced.score).toBe(enhanced.scores.component);
+    });
+    
+    test('accepts custom component weights', () => {
+      const surnameOnly = new EnhancedNaturalMatcher({ components: { weights: { first: 0, middle: 0, last: 1 } } });
+      expect(surnameOnly.explain('Henry Jackson', 'Howard Jackson').enhanced.scores.component).toBeCloseTo(0.9);
+    });
+  });
+  
+  describe('initials compatibility', () => {
+    test('accepts initials that agree with full names', () => {
+      const { initials, scores } = matcher.explain('J. W. Smith', 'John William Smith').enhanced;
+      expect(initials).toEqual({
+        first: { verdict: 'compatible', reason: 'initial' },
+        middle: { verdict: 'compatible', reason: 'initial' },
+        last: { verdict: 'compatible', reason: 'full' }
+      });
+      expect(scores.initialsMatch).toBeGreaterThan(0.7);
+    });
+    
+    test('flags conflicting middle initials', () => {
+      const { initials, scores } = matcher.explain('John W Smith', 'John Q Smith').enhanced;
+      expect(initials.middle).toEqual({ verdict: 'conflicting', reason: 'different initial' });
+      expect(scores.initialsMatch).toBe(0);
+    });
+    
+    test('resolves initials-only first names against full names', () => {
+      const { initials } = matcher.explain('JW Smith', 'John William Smith').enhanced;
+      expect(initials.first.verdict).toBe('compatible');
+      expect(initials.middle.verdict).toBe('compatible');
+    });
+    
+    test('reports missing components as unknown', () => {
+      const { initials, scores } = matcher.explain('J Smith', 'John Smith').enhanced;
+      expect(initials.middle).toEqual({ verdict: 'unknown', reason: 'missing' });
+      expect(scores.initialsMatch).toBeCloseTo(0.745, 3);
+    });
+    
+    test('does not treat different full first names as compatible', () => {
+      const { initials, scores } = matcher.explain('Henry Jackson', 'Howard Jackson').enhanced;
+      expect(initials.first).toEqual({ verdict: 'conflicting', reason: 'different name' });
+      expect(scores.initialsMatch).toBe(0);
+    });
+    
+    test('weighs agreement in full above agreement by initial', () => {
+      const fullFirstName = matcher.explain('John W Smith', 'John William Smith').enhanced.scores.initialsMatch;
+      const initialsOnly = matcher.explain('J W Smith', 'John William Smith').enhanced.scores.initialsMatch;
+      expect(fullFirstName).toBeGreaterThan(initialsOnly);
+      expect(matcher.explain('John Smith', 'John Smith Jr').enhanced.scores.initialsMatch).toBe(0);
+    });
+  });
+  
   describe('matchNameGroup', () => {
     test('handles empty groups', () => {
       expect(matcher.matchNameGroup([])).toEqual({
@@ -114,6 +254,51 @@ describe('EnhancedNaturalMatcher', () => {
       expect(result.matches[0]).toHaveProperty('similarity');
     });
   });
+  
+  describe('findBestMatches', () => {
+    const candidates = ['Maria Garcia', 'Bob Smith', 'Robert Smith', 'Rob Smyth'];
+    
+    test('ranks candidates above the threshold, best first', () => {
+      const results = matcher.findBestMatches('Robert Smith', candidates);
+      expect(results.map(result => result.name)).toEqual(['Robert Smith', 'Rob Smyth', 'Bob Smith']);
+      expect(results[0]).toMatchObject({ candidate: 'Robert Smith', index: 2, score: 1 });
+      expect(results[1].details).toHaveProperty('enhanced.components.first.reason', 'nickname');
+    });
+    
+    test('supports limits, thresholds and objects', () => {
+      const records = candidates.map((name, id) => ({ id, fullName: name }));
+      const results = matcher.findBestMatches('Robert Smith', records, {
+        limit: 2,
+        threshold: 0,
+        keyFn: record => record.fullName
+      });
+      expect(results.map(result => result.candidate.id)).toEqual([2, 3]);
+      expect(matcher.findBestMatches('Maria Garcia', [{ name: 'Maria Garcia' }])[0].score).toBe(1);
+    });
+    
+    test('parses each candidate once across repeated queries', () => {
+      const searcher = new EnhancedNaturalMatcher();
+      const normalize = jest.spyOn(searcher.enhancedMatcher, 'normalizeNameForComparison');
+      
+      searcher.findBestMatches('Bob Smith', candidates);
+      searcher.findBestMatches('Robert Smyth', candidates);
+      expect(normalize).toHaveBeenCalledTimes(candidates.length + 2);
+      
+      // Replaced entries are parsed again
+      const changed = [...candidates];
+      searcher.findBestMatches('Bob Smith', changed);
+      changed[0] = 'Marie Garcia';
+      normalize.mockClear();
+      expect(searcher.findBestMatches('Marie Garcia', changed)[0].name).toBe('Marie Garcia');
+      expect(normalize).toHaveBeenCalledTimes(2);
+    });
+    
+    test('returns the same scores as getSimilarity', () => {
+      for (const result of matcher.findBestMatches('Robert Smith', candidates, { threshold: 0 })) {
+        expect(result.score).toBe(matcher.getSimilarity('Robert Smith', result.name));
+      }
+    });
+  });
 });
 
 describe('Convenience Functions', () => {
@@ -145,6 +330,28 @@ describe('Convenience Functions', () => {
     });
   });
   
+  test('match returns an explanation when asked', () => {
+    const result = match('John Smith', 'Smith, John', { threshold: 0.75, explain: true });
+    expect(result.score).toBe(match('John Smith', 'Smith, John'));
+    expect(result).toHaveProperty('natural.scores.jaroWinkler');
+    expect(result).toHaveProperty('enhanced.strategy');
+    expect(explain('John Smith', 'Smith, John')).toEqual(result);
+  });
+  
+  test('findBestMatches takes search and matcher options', () => {
+    const results = findBestMatches('Michael Johnson', ['Mike Johnson', 'Michael Jonson', 'Mary Jones'], {
+      threshold: 0.5,
+      limit: 2
+    });
+    expect(results).toHaveLength(2);
+    expect(results[0].score).toBeGreaterThanOrEqual(results[1].score);
+  });
+  
+  test('findBestMatches ranks every candidate at threshold 0', () => {
+    const results = findBestMatches('John Smith', ['Peter Parker', 'Jon Smith'], { threshold: 0 });
+    expect(results.map(result => result.name)).toEqual(['Jon Smith', 'Peter Parker']);
+  });
+  
   test('all functions respect custom options', () => {
     const options = { threshold: 0.9 };
     
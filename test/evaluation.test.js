@@ -0,0 +1,94 @@
+const { computeMetrics, computeCurves, recommendThreshold } = require('../src/evaluation');
+const { evaluate, EnhancedNaturalMatcher } = require('../index');
+
+const SCORED = [
+  { score: 0.9, match: true },
+  { score: 0.8, match: true },
+  { score: 0.7, match: false },
+  { score: 0.6, match: true },
+  { score: 0.4, match: false },
+  { score: 0.2, match: false }
+];
+
+describe('computeMetrics', () => {
+  test('builds the confusion matrix and metrics at a threshold', () => {
+    const metrics = computeMetrics(SCORED, 0.65);
+    expect(metrics.confusionMatrix).toEqual({ truePositives: 2, falsePositives: 1, trueNegatives: 2, falseNegatives: 1 });
+    expect(metrics.precision).toBeCloseTo(2 / 3);
+    expect(metrics.recall).toBeCloseTo(2 / 3);
+    expect(metrics.f1).toBeCloseTo(2 / 3);
+    expect(metrics.accuracy).toBeCloseTo(4 / 6);
+  });
+
+  test('reports 0 rather than NaN when nothing is predicted', () => {
+    const metrics = computeMetrics(SCORED, 1);
+    expect(metrics.precision).toBe(0);
+    expect(metrics.f1).toBe(0);
+  });
+});
+
+describe('computeCurves', () => {
+  test('builds ROC and precision-recall curves', () => {
+    const { roc, auc, pr, averagePrecision } = computeCurves(SCORED);
+
+    expect(roc[0]).toEqual({ threshold: Infinity, truePositiveRate: 0, falsePositiveRate: 0 });
+    expect(roc[roc.length - 1]).toMatchObject({ truePositiveRate: 1, falsePositiveRate: 1 });
+    expect(auc).toBeCloseTo(8 / 9);
+    expect(pr.map(point => point.threshold)).toEqual([0.9, 0.8, 0.7, 0.6, 0.4, 0.2]);
+    expect(averagePrecision).toBeCloseTo((1 + 1 + 0.75) / 3);
+  });
+
+  test('gives perfectly separated scores an area of 1', () => {
+    const { auc } = computeCurves([{ score: 0.9, match: true }, { score: 0.1, match: false }]);
+    expect(auc).toBe(1);
+  });
+});
+
+describe('recommendThreshold', () => {
+  test('favours recall for a target precision and precision for a target recall', () => {
+    expect(recommendThreshold(SCORED, { precision: 1 }).threshold).toBe(0.8);
+    expect(recommendThreshold(SCORED, { precision: 0.75 }).threshold).toBe(0.6);
+    expect(recommendThreshold(SCORED, { recall: 1 }).threshold).toBe(0.6);
+  });
+
+  test('picks the best F1 without a target and returns null for unreachable targets', () => {
+    expect(recommendThreshold(SCORED).threshold).toBe(0.6);
+    expect(recommendThreshold([{ score: 0.5, match: false }], { precision: 0.5 })).toBeNull();
+  });
+});
+
+describe('evaluate', () => {
+  const pairs = [
+    { name1: 'William Jones', name2: 'Bill Jones', match: true },
+    { name1: 'Robert Smith', name2: 'Bob Smith', match: true },
+    ['Katherine Lee', 'Kate Lee', true],
+    ['Elizabeth Taylor', 'Liz Taylor', true],
+    { name1: 'Robert Smith', name2: 'Maria Garcia', match: false },
+    { name1: 'Michael Brown', name2: 'Michelle Brown', match: false },
+    ['Anna Kim', 'David Chen', false]
+  ];
+
+  test('reports metrics, curves and a recommendation for a matcher', () => {
+    const report = evaluate(pairs, { target: { recall: 1 } });
+
+    expect(report).toMatchObject({ count: 7, positives: 4, negatives: 3, threshold: 0.75 });
+    const { truePositives, falsePositives, trueNegatives, falseNegatives } = report.confusionMatrix;
+    expect(truePositives + falsePositives + trueNegatives + falseNegatives).toBe(7);
+    expect(report.auc).toBeGreaterThan(0.5);
+    expect(report.recommendation.recall).toBe(1);
+  });
+
+  test('lists the worst errors with explanations', () => {
+    const matcher = new EnhancedNaturalMatcher({ threshold: 0.6 });
+    const report = evaluate(pairs, { matcher, worst: 1 });
+
+    expect(report.threshold).toBe(0.6);
+    expect(report.falsePositives).toHaveLength(1);
+    expect(report.falsePositives[0]).toMatchObject({ name1: 'Michael Brown', name2: 'Michelle Brown' });
+    expect(report.falsePositives[0].explanation.score).toBe(report.falsePositives[0].score);
+  });
+
+  test('requires a boolean label on every pair', () => {
+    expect(() => evaluate([['Ann', 'Anne']])).toThrow('Labeled pair 0 needs a boolean match label');
+  });
+});
@@ -0,0 +1,98 @@
+const path = require('path');
+const { FamilyNameList, NameNormalizer, EnhancedNaturalMatcher } = require('../index');
+
+const { parseName, defaultFamilyNames } = NameNormalizer;
+
+const fixture = file => path.join(__dirname, 'fixtures', file);
+
+describe('FamilyNameList', () => {
+  test('knows common family names and their romanization variants', () => {
+    expect(defaultFamilyNames.has('Wang')).toBe(true);
+    expect(defaultFamilyNames.has('Nguyễn')).toBe(true);
+    expect(defaultFamilyNames.has('smith')).toBe(false);
+    expect(defaultFamilyNames.areVariants('wang', 'wong')).toBe(true);
+    expect(defaultFamilyNames.areVariants('zhang', 'chang')).toBe(true);
+    expect(defaultFamilyNames.areVariants('lee', 'rhee')).toBe(true);
+    expect(defaultFamilyNames.areVariants('lee', 'yi')).toBe(true);
+    expect(defaultFamilyNames.areVariants('wang', 'zhang')).toBe(false);
+    expect(defaultFamilyNames.areVariants('wang', 'wang')).toBe(false);
+  });
+  
+  test('does not link family names through a shared variant', () => {
+    expect(defaultFamilyNames.areVariants('wong', 'huang')).toBe(true);
+    expect(defaultFamilyNames.areVariants('wang', 'huang')).toBe(false);
+    expect(defaultFamilyNames.areVariants('chin', 'tan')).toBe(false);
+    expect(defaultFamilyNames.areVariants('tan', 'chan')).toBe(false);
+    expect(defaultFamilyNames.areVariants('law', 'lo')).toBe(false);
+    expect(defaultFamilyNames.getEquivalents('wong').sort()).toEqual(['huang', 'wang', 'wong']);
+  });
+  
+  test('loads lists from files as its own class', () => {
+    const list = FamilyNameList.load(fixture('family-names.json'));
+    expect(list).toBeInstanceOf(FamilyNameList);
+    expect(list.areVariants('xiao', 'hsiao')).toBe(true);
+    expect(list.clone()).toBeInstanceOf(FamilyNameList);
+  });
+});
+
+describe('East Asian name order', () => {
+  test('reads the known family name first', () => {
+    expect(parseName('Wang Xiaoming', { convention: 'east-asian' })).toMatchObject({
+      firstName: 'xiaoming',
+      lastName: 'wang',
+      normalized: 'xiaoming wang',
+      order: 'eastern',
+      orderSource: 'family-name'
+    });
+    expect(parseName('Nguyen Van An', { convention: 'east-asian' })).toMatchObject({ lastName: 'nguyen', order: 'eastern' });
+  });
+  
+  test('keeps given-name-first names whose last word is the family name', () => {
+    expect(parseName('Xiaoming Wang', { convention: 'east-asian' })).toMatchObject({
+      firstName: 'xiaoming',
+      lastName: 'wang',
+      order: 'western',
+      orderSource: 'family-name'
+    });
+  });
+  
+  test('defaults to family name first for unknown names', () => {
+    expect(parseName('Xiao Ming', { convention: 'east-asian' })).toMatchObject({ lastName: 'xiao', orderSource: 'convention' });
+  });
+  
+  test('uses the family names passed in the options', () => {
+    const familyNames = FamilyNameList.load(fixture('family-names.json'));
+    expect(parseName('Ming Xiao', { convention: 'east-asian', familyNames })).toMatchObject({ lastName: 'xiao', order: 'western' });
+  });
+});
+
+describe('Romanization variant matching', () => {
+  const matcher = new EnhancedNaturalMatcher({ parseOptions: { convention: 'east-asian' } });
+  
+  test('treats romanization variants of a family name as compatible', () => {
+    const { components } = matcher.explain('Wang Xiaoming', 'Wong Xiaoming').enhanced;
+    expect(components.last).toEqual({ verdict: 'compatible', reason: 'romanization', score: 0.9 });
+    expect(matcher.isMatch('Lee Min-ho', 'Rhee Min-ho')).toBe(true);
+  });
+  
+  test('matches the two name orders', () => {
+    const result = matcher.explain('Wang Xiaoming', 'Xiaoming Wang');
+    expect(result.enhanced.scores.exactMatch).toBe(1);
+    expect(result.parsed.name1.lastName).toBe('wang');
+  });
+  
+  test('applies only with the east-asian convention or the romanization option', () => {
+    const defaultMatcher = new EnhancedNaturalMatcher();
+    expect(defaultMatcher.explain('John Young', 'John Yang').enhanced.components.last.reason).not.toBe('romanization');
+    expect(defaultMatcher.explain('Jim Foo', 'Jim Hu').enhanced.components.last.verdict).toBe('conflicting');
+    
+    const enabled = new EnhancedNaturalMatcher({ romanization: true });
+    expect(enabled.explain('Jim Foo', 'Jim Hu').enhanced.components.last.reason).toBe('romanization');
+  });
+  
+  test('accepts a matcher-specific family name list', () => {
+    const custom = new EnhancedNaturalMatcher({ familyNames: fixture('family-names.json'), romanization: true });
+    expect(custom.explain('Ming Xiao', 'Ming Hsiao').enhanced.components.last.reason).toBe('romanization');
+    expect(defaultFamilyNames.has('hsiao')).toBe(false);
+  });
+});
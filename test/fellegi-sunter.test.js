@@ -0,0 +1,138 @@
+const { FellegiSunterModel } = require('../src/fellegi-sunter');
+const { EnhancedNaturalMatcher } = require('../index');
+
+const LABELED_PAIRS = [
+  { name1: 'Robert Smith', name2: 'Bob Smith', match: true },
+  { name1: 'Robert Smith', name2: 'Rob Smyth', match: true },
+  { name1: 'William Jones', name2: 'Bill Jones', match: true },
+  { name1: 'Katherine Lee', name2: 'Kate Lee', match: true },
+  { name1: 'John Smith', name2: 'Jon Smith', match: true },
+  { name1: 'Elizabeth Taylor', name2: 'Liz Taylor', match: true },
+  { name1: 'Michael Brown', name2: 'Mike Brown', match: true },
+  { name1: 'Robert Smith', name2: 'Maria Garcia', match: false },
+  { name1: 'John Smith', name2: 'Jane Doe', match: false },
+  { name1: 'William Jones', name2: 'William Johnson', match: false },
+  { name1: 'Katherine Lee', name2: 'Karen Li', match: false },
+  { name1: 'Peter Parker', name2: 'Paul Parker', match: false },
+  { name1: 'Anna Kim', name2: 'David Chen', match: false },
+  { name1: 'Sarah Connor', name2: 'Sam Connors', match: false }
+];
+
+describe('FellegiSunterModel', () => {
+  const comparisons = {
+    name: { levels: ['agree', 'disagree'], compare: evidence => evidence.name },
+    city: { levels: ['agree', 'disagree'], compare: evidence => evidence.city }
+  };
+
+  test('scores a pattern with log2(m/u) weights and a posterior probability', () => {
+    const model = new FellegiSunterModel({
+      comparisons,
+      prior: 0.5,
+      m: { name: { agree: 0.9, disagree: 0.1 }, city: { agree: 0.8, disagree: 0.2 } },
+      u: { name: { agree: 0.1, disagree: 0.9 }, city: { agree: 0.4, disagree: 0.6 } }
+    });
+
+    const result = model.score({ name: 'agree', city: 'disagree' });
+    expect(result.contributions.name.weight).toBeCloseTo(Math.log2(9));
+    expect(result.contributions.city.weight).toBeCloseTo(Math.log2(1 / 3));
+    expect(result.weight).toBeCloseTo(Math.log2(3));
+    expect(result.probability).toBeCloseTo(0.75);
+
+    // Comparisons that do not apply are left out
+    expect(model.score({ name: 'agree', city: null }).contributions).not.toHaveProperty('city');
+  });
+
+  test('estimates m, u and the prior from labeled patterns', () => {
+    const model = new FellegiSunterModel({ comparisons, smoothing: 0 });
+    model.fit([
+      { name: 'agree', city: 'agree' },
+      { name: 'agree', city: 'disagree' },
+      { name: 'disagree', city: 'disagree' },
+      { name: 'disagree', city: 'disagree' }
+    ], [true, true, false, false]);
+
+    expect(model.prior).toBe(0.5);
+    expect(model.m.name).toEqual({ agree: 1, disagree: 0 });
+    expect(model.m.city).toEqual({ agree: 0.5, disagree: 0.5 });
+    expect(model.u.city).toEqual({ agree: 0, disagree: 1 });
+    expect(() => model.fit([{ name: 'agree' }], [true])).toThrow('both matches and non-matches');
+  });
+
+  test('separates matches from non-matches without labels', () => {
+    const patterns = [
+      ...Array(20).fill({ name: 'agree', city: 'agree' }),
+      ...Array(5).fill({ name: 'agree', city: 'disagree' }),
+      ...Array(60).fill({ name: 'disagree', city: 'disagree' }),
+      ...Array(15).fill({ name: 'disagree', city: 'agree' })
+    ];
+    const model = new FellegiSunterModel({ comparisons });
+    const { converged } = model.fitEM(patterns);
+
+    expect(converged).toBe(true);
+    expect(model.prior).toBeGreaterThan(0.1);
+    expect(model.prior).toBeLessThan(0.5);
+    expect(model.getProbability({ name: 'agree', city: 'agree' })).toBeGreaterThan(0.9);
+    expect(model.getProbability({ name: 'disagree', city: 'disagree' })).toBeLessThan(0.1);
+  });
+
+  test('round-trips through JSON', () => {
+    const model = new FellegiSunterModel({ comparisons, prior: 0.2 });
+    const restored = FellegiSunterModel.fromJSON(JSON.stringify(model), { comparisons });
+
+    expect(restored.toJSON()).toEqual(model.toJSON());
+    expect(restored.score({ name: 'agree', city: 'agree' })).toEqual(model.score({ name: 'agree', city: 'agree' }));
+    expect(() => FellegiSunterModel.fromJSON({ prior: 0.2 })).toThrow('Model JSON must contain prior, m and u');
+    expect(() => FellegiSunterModel.fromJSON(model.toJSON())).toThrow('Unknown comparison in model: name');
+  });
+});
+
+describe('Probabilistic matching', () => {
+  test('builds agreement patterns from the matcher evidence', () => {
+    const matcher = new EnhancedNaturalMatcher();
+    expect(matcher.getPattern('Robert Smith', 'Bob Smith')).toEqual({
+      firstName: 'nickname',
+      middleName: null,
+      lastName: 'exact',
+      phonetic: 'agree',
+      similarity: 'low'
+    });
+  });
+
+  test('scores pairs with a model estimated from labeled pairs', () => {
+    const matcher = new EnhancedNaturalMatcher();
+    const model = matcher.estimateModel(LABELED_PAIRS, { use: true });
+
+    expect(model.prior).toBeCloseTo(0.5);
+    expect(matcher.isMatch('Jennifer Walsh', 'Jenny Walsh')).toBe(true);
+    expect(matcher.isMatch('Robert Smith', 'Maria Garcia')).toBe(false);
+
+    const result = matcher.explain('William Jones', 'Bill Jones');
+    expect(result.decidedBy).toBe('probabilistic');
+    expect(result.combination.method).toBe('fellegi-sunter');
+    expect(result.combination.contributions.firstName.level).toBe('nickname');
+    expect(result.combination.weight).toBeGreaterThan(0);
+    expect(result.score).toBe(parseFloat(result.combination.probability.toFixed(2)));
+  });
+
+  test('estimates a model from unlabeled pairs', () => {
+    const matcher = new EnhancedNaturalMatcher();
+    const model = matcher.estimateModel(LABELED_PAIRS.map(({ name1, name2 }) => [name1, name2]));
+    const scorer = new EnhancedNaturalMatcher({ model });
+
+    expect(scorer.getSimilarity('William Jones', 'Bill Jones')).toBeGreaterThan(0.9);
+    expect(scorer.getSimilarity('Anna Kim', 'David Chen')).toBeLessThan(0.1);
+    expect(() => matcher.estimateModel([['a', 'b']], { method: 'supervised' })).toThrow('boolean match label');
+  });
+
+  test('reuses serialized parameters', () => {
+    const model = new EnhancedNaturalMatcher().estimateModel(LABELED_PAIRS);
+    const saved = JSON.stringify(model);
+
+    const matcher = new EnhancedNaturalMatcher({ model: saved });
+    expect(matcher.getSimilarity('Katherine Lee', 'Kate Lee'))
+      .toBe(new EnhancedNaturalMatcher({ model }).getSimilarity('Katherine Lee', 'Kate Lee'));
+
+    // Going back to fused scores
+    expect(matcher.useModel(null).explain('Katherine Lee', 'Kate Lee').decidedBy).toBe('combined');
+  });
+});
@@ -0,0 +1,96 @@
+const { HonorificRegistry, NameNormalizer, EnhancedNaturalMatcher, EnhancedMatcher } = require('../index');
+
+const { parseName, defaultHonorifics } = NameNormalizer;
+
+describe('HonorificRegistry', () => {
+  test('looks up every spelling of an honorific', () => {
+    expect(defaultHonorifics.get('Lt. Col.')).toMatchObject({ form: 'lt col', type: 'prefix', category: 'military' });
+    expect(defaultHonorifics.get('Señora')).toMatchObject({ form: 'senora', category: 'international' });
+    expect(defaultHonorifics.get('Junior')).toMatchObject({ form: 'jr', category: 'generational' });
+    expect(defaultHonorifics.get('sr', 'prefix').form).toBe('senor');
+    expect(defaultHonorifics.get('sr', 'suffix').form).toBe('sr');
+    expect(defaultHonorifics.has('smith')).toBe(false);
+  });
+
+  test('adds, removes and serializes entries', () => {
+    const registry = new HonorificRegistry({ 'insp': { variants: ['inspector'] } });
+    expect(registry.get('Inspector')).toMatchObject({ form: 'insp', type: 'prefix', category: 'title' });
+
+    registry.add('bsc', { type: 'suffix', category: 'academic' });
+    expect(HonorificRegistry.fromJSON(JSON.stringify(registry)).toJSON()).toEqual(registry.toJSON());
+
+    expect(registry.remove('insp')).toBe(true);
+    expect(registry.has('inspector')).toBe(false);
+    expect(() => registry.add('x', { type: 'infix' })).toThrow('Unknown honorific type: infix');
+  });
+
+  test('extends a copy of the base registry', () => {
+    const registry = HonorificRegistry.resolve({ 'insp': {} }, defaultHonorifics);
+    expect(registry.has('insp')).toBe(true);
+    expect(registry.has('dr')).toBe(true);
+    expect(defaultHonorifics.has('insp')).toBe(false);
+  });
+});
+
+describe('Honorific parsing', () => {
+  test('recognizes multi-word and international titles', () => {
+    expect(parseName('Lt. Col. John Smith')).toMatchObject({ firstName: 'john', lastName: 'smith', prefixes: ['lt col'] });
+    expect(parseName('His Honour Judge Mary Jones QC')).toMatchObject({
+      firstName: 'mary',
+      lastName: 'jones',
+      prefixes: ['his honour', 'judge'],
+      suffixes: ['qc']
+    });
+    expect(parseName("Dato' Lee Chong Wei")).toMatchObject({ firstName: 'lee', prefixes: ["dato'"] });
+    expect(parseName('Frau Dr. Anna Müller')).toMatchObject({ firstName: 'anna', prefixes: ['frau', 'dr'] });
+    expect(parseName('Smt. Priya Sharma')).toMatchObject({ firstName: 'priya', lastName: 'sharma' });
+  });
+
+  test('reads "Sr" by its position', () => {
+    expect(parseName('Sr. Juan García')).toMatchObject({ lastName: 'garcia', prefixes: ['sr'], generation: '' });
+    expect(parseName('Juan García Sr.')).toMatchObject({ lastName: 'garcia', suffixes: ['sr'], generation: 'sr' });
+  });
+
+  test('reports extraction metadata', () => {
+    expect(parseName('Dr. John Smith Jr., PhD').honorifics).toEqual([
+      { text: 'dr', form: 'dr', type: 'prefix', category: 'title' },
+      { text: 'jr', form: 'jr', type: 'suffix', category: 'generational' },
+      { text: 'phd', form: 'phd', type: 'suffix', category: 'professional' }
+    ]);
+    expect(parseName('Smith, John, Junior')).toMatchObject({ firstName: 'john', lastName: 'smith', generation: 'jr' });
+  });
+
+  test('keeps letters inside a name as initials', () => {
+    expect(parseName('John V Smith')).toMatchObject({ middleNames: ['v'], suffixes: [] });
+    expect(parseName('DR JOHN SMITH MD')).toMatchObject({ firstName: 'john', prefixes: ['dr'], suffixes: ['md'] });
+  });
+
+  test('uses a matcher\'s own registry', () => {
+    const matcher = new EnhancedMatcher({ honorifics: { 'insp': { variants: ['inspector'] } } });
+    expect(matcher.prepare('Inspector Jane Marple').parsed).toMatchObject({ firstName: 'jane', prefixes: ['inspector'] });
+  });
+});
+
+describe('Generational suffixes', () => {
+  const matcher = new EnhancedNaturalMatcher();
+
+  test('flag different generations as different people', () => {
+    const result = matcher.explain('John Smith Jr', 'John Smith Sr');
+    expect(result.enhanced.components.generation).toEqual({ verdict: 'conflicting', reason: 'different', score: 0 });
+    expect(result.decidedBy).toBe('generation');
+    expect(result.score).toBe(0.5);
+    expect(result.isMatch).toBe(false);
+    expect(matcher.isMatch('John Smith III', 'John Smith II')).toBe(false);
+  });
+
+  test('do not count against a name without a suffix', () => {
+    expect(matcher.explain('John Smith Jr', 'John Smith').enhanced.components.generation.verdict).toBe('unknown');
+    expect(matcher.isMatch('John Smith Jr', 'John Smith')).toBe(true);
+    expect(matcher.explain('John Smith Jr.', 'Smith, John, Junior').enhanced.components.generation.verdict).toBe('compatible');
+  });
+
+  test('have a configurable cap', () => {
+    const lenient = new EnhancedNaturalMatcher({ components: { generationConflictScore: 1 } });
+    expect(lenient.isMatch('John Smith Jr', 'John Smith Sr')).toBe(true);
+  });
+});
@@ -0,0 +1,102 @@
+const { link, EnhancedNaturalMatcher } = require('../index');
+const { solveAssignment, ASSIGNMENTS } = require('../src/link');
+
+const vendors = ['John Smith', 'Jon Smith', 'Robert Johnson', 'Mary Williams'];
+const customers = [
+  { id: 'c1', name: 'Jon Smith' },
+  { id: 'c2', name: 'Johnny Smith' },
+  { id: 'c3', name: 'Bob Johnson' },
+  { id: 'c4', name: 'Peter Parker' }
+];
+
+const pairNames = result => result.matched.map(pair => `${pair.a.name} -> ${pair.b.name}`);
+
+describe('link', () => {
+  test('finds the best counterpart of each record', () => {
+    const result = link(vendors, customers);
+    
+    expect(pairNames(result)).toEqual([
+      'Jon Smith -> Jon Smith',
+      'John Smith -> Jon Smith',
+      'Robert Johnson -> Bob Johnson'
+    ]);
+    expect(result.matched[0]).toMatchObject({ a: { id: 1, name: 'Jon Smith' }, b: { id: 'c1', name: 'Jon Smith' }, score: 1 });
+    expect(result.unmatchedA).toEqual([{ id: 3, name: 'Mary Williams' }]);
+    expect(result.unmatchedB.map(record => record.id)).toEqual(['c2', 'c4']);
+  });
+  
+  test('assigns records one-to-one', () => {
+    for (const assignment of ['greedy', 'hungarian']) {
+      const result = link(vendors, customers, { assignment });
+      
+      expect(pairNames(result)).toEqual([
+        'Jon Smith -> Jon Smith',
+        'John Smith -> Johnny Smith',
+        'Robert Johnson -> Bob Johnson'
+      ]);
+      expect(result.unmatchedB).toEqual([{ id: 'c4', name: 'Peter Parker' }]);
+    }
+  });
+  
+  test('reports ambiguous records on both sides', () => {
+    const result = link(vendors, customers, { assignment: 'greedy' });
+    
+    const vendor = result.ambiguous.find(entry => entry.side === 'a');
+    expect(vendor.record.name).toBe('John Smith');
+    expect(vendor.candidates.map(candidate => candidate.record.id)).toEqual(['c1', 'c2']);
+    expect(result.ambiguous.some(entry => entry.side === 'b' && entry.record.id === 'c2')).toBe(true);
+    expect(result.matched.find(pair => pair.a.name === 'John Smith').ambiguous).toBe(true);
+    expect(result.matched.find(pair => pair.a.name === 'Robert Johnson').ambiguous).toBe(false);
+    
+    expect(link(vendors, customers, { ambiguityMargin: 0 }).ambiguous).toEqual([]);
+  });
+  
+  test('scores only blocking candidates with the supplied matcher', () => {
+    const matcher = new EnhancedNaturalMatcher({ threshold: 0.9 });
+    const spy = jest.spyOn(matcher, 'getSimilarity');
+    const result = link(vendors, customers, { matcher });
+    
+    expect(spy.mock.calls.length).toBeLessThan(vendors.length * customers.length);
+    expect(result.unmatchedA.map(record => record.name)).toEqual(['Robert Johnson', 'Mary Williams']);
+  });
+  
+  test('rejects unknown assignments', () => {
+    expect(() => link(vendors, customers, { assignment: 'auction' })).toThrow('Unknown assignment: auction');
+  });
+});
+
+describe('assignment solvers', () => {
+  const pairs = [
+    { a: 0, b: 0, score: 0.9 },
+    { a: 0, b: 1, score: 0.85 },
+    { a: 1, b: 0, score: 0.88 }
+  ];
+  
+  test('greedy takes the best pair first', () => {
+    expect(ASSIGNMENTS.greedy(pairs)).toEqual([{ a: 0, b: 0, score: 0.9 }]);
+  });
+  
+  test('hungarian maximizes the total score', () => {
+    const selected = ASSIGNMENTS.hungarian(pairs).sort((x, y) => x.a - y.a);
+    expect(selected).toEqual([{ a: 0, b: 1, score: 0.85 }, { a: 1, b: 0, score: 0.88 }]);
+  });
+  
+  test('hungarian assigns groups above maxGroupSize greedily', () => {
+    expect(ASSIGNMENTS.hungarian(pairs, { maxGroupSize: 3 })).toEqual(ASSIGNMENTS.greedy(pairs));
+    
+    // One chained group of 6,000 records, far too large for a dense matrix
+    const chain = [];
+    for (let position = 0; position < 3000; position++) {
+      chain.push({ a: position, b: position, score: 0.9 });
+      chain.push({ a: position, b: position + 1, score: 0.8 });
+    }
+    const selected = ASSIGNMENTS.hungarian(chain);
+    expect(selected).toHaveLength(3000);
+    expect(selected.every(pair => pair.a === pair.b)).toBe(true);
+  });
+  
+  test('solves rectangular cost matrices', () => {
+    expect(solveAssignment([[4, 1, 3], [2, 0, 5], [3, 2, 2]])).toEqual([1, 0, 2]);
+    expect(solveAssignment([[5, 1, 9]])).toEqual([1]);
+  });
+});
@@ -0,0 +1,93 @@
+const { matchMany, EnhancedNaturalMatcher, NicknameDictionary, NameNormalizer } = require('../index');
+const { serializeOptions, deserializeOptions } = require('../src/match-many');
+
+const PAIRS = [
+  ['Robert Smith', 'Bob Smith'],
+  ['Jon Doe', 'John Doe'],
+  ['Smith, John', 'John Smith'],
+  ['Anna Lee', 'Ana Li'],
+  ['Zed Brown', 'Alice Jones'],
+  ['', 'John Smith']
+];
+
+describe('matchMany', () => {
+  test('returns the synchronous scores in input order', async () => {
+    const matcher = new EnhancedNaturalMatcher({ threshold: 0.85 });
+    const results = await matchMany(PAIRS, { concurrency: 2, chunkSize: 2, threshold: 0.85 });
+
+    expect(results).toEqual(PAIRS.map(([name1, name2]) => {
+      const score = matcher.getSimilarity(name1, name2);
+      return { name1, name2, score, isMatch: score >= 0.85 };
+    }));
+  });
+
+  test('accepts { name1, name2 } pairs and runs inline with concurrency 0', async () => {
+    const matcher = new EnhancedNaturalMatcher();
+    const results = await matchMany([{ name1: 'Jon Doe', name2: 'John Doe' }], { concurrency: 0 });
+
+    expect(results).toEqual([
+      { name1: 'Jon Doe', name2: 'John Doe', score: matcher.getSimilarity('Jon Doe', 'John Doe'), isMatch: true }
+    ]);
+  });
+
+  test('sends a matcher\'s configuration to the workers', async () => {
+    const nicknames = new NicknameDictionary({ william: ['bill'] });
+    const matcher = new EnhancedNaturalMatcher({ nicknames, threshold: 0.9 });
+    const pairs = [['William Smith', 'Bill Smith'], ['Robert Smith', 'Bob Smith']];
+
+    const results = await matchMany(pairs, { matcher, concurrency: 1, explain: true });
+
+    expect(results.map(result => result.score)).toEqual(pairs.map(pair => matcher.getSimilarity(...pair)));
+    expect(results[0].explanation).toEqual(matcher.explain(...pairs[0]));
+  });
+
+  test('uses nicknames registered globally before the batch', async () => {
+    NameNormalizer.registerNicknames('zebedee', ['zeb']);
+    const pairs = [['Zebedee Jones', 'Zeb Jones']];
+    const expected = new EnhancedNaturalMatcher().getSimilarity(...pairs[0]);
+
+    const [result] = await matchMany(pairs, { concurrency: 1 });
+    expect(result.score).toBe(expected);
+    expect(result.explanation).toBeUndefined();
+
+    const [explained] = await matchMany(pairs, { concurrency: 1, explain: true });
+    expect(explained.explanation.enhanced.components.first.reason).toBe('nickname');
+  });
+
+  test('reports progress after each chunk', async () => {
+    const progress = [];
+    await matchMany(PAIRS, { concurrency: 1, chunkSize: 4, onProgress: update => progress.push(update) });
+
+    expect(progress).toEqual([{ completed: 4, total: 6 }, { completed: 6, total: 6 }]);
+  });
+
+  test('rejects when the signal is aborted', async () => {
+    const controller = new AbortController();
+    const pending = matchMany(PAIRS, { concurrency: 1, chunkSize: 1, signal: controller.signal });
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(matchMany(PAIRS, { concurrency: 0, signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('resolves an empty batch without starting workers', async () => {
+    await expect(matchMany([])).resolves.toEqual([]);
+  });
+});
+
+describe('matcher option serialization', () => {
+  test('rebuilds dictionaries as the same class', () => {
+    const nicknames = new NicknameDictionary({ william: ['bill'] });
+    const options = deserializeOptions(serializeOptions({ threshold: 0.8, nicknames }));
+
+    expect(options.threshold).toBe(0.8);
+    expect(options.nicknames).toBeInstanceOf(NicknameDictionary);
+    expect(options.nicknames.toJSON()).toEqual(nicknames.toJSON());
+  });
+
+  test('rejects functions', () => {
+    expect(() => serializeOptions({ fusion: { method: scores => scores[0] } }))
+      .toThrow('Matcher option options.fusion.method is a function and cannot be sent to worker threads');
+  });
+});
@@ -0,0 +1,77 @@
+const { NameIndex, EnhancedNaturalMatcher } = require('../index');
+
+const customers = [
+  { id: 1, name: 'John Smith' },
+  { id: 2, name: 'Jon Smyth' },
+  { id: 3, name: 'Jane Smith' },
+  { id: 4, name: 'Robert Johnson' },
+  { id: 5, name: 'William Jones' },
+  { id: 6, name: 'Maria de la Cruz' }
+];
+
+describe('NameIndex', () => {
+  let index;
+  
+  beforeEach(() => {
+    index = new NameIndex().addAll(customers);
+  });
+  
+  test('builds blocking keys from the parsed name', () => {
+    expect(index.getKeys('Smith, John')).toEqual(expect.arrayContaining(['surname:SM0', 'initials:js', 'gram:joh', 'gram:ith']));
+    expect(index.getKeys('')).toEqual([]);
+  });
+  
+  test('returns ranked candidates above the threshold', () => {
+    const results = index.search('Bob Johnson');
+    expect(results).toEqual([{ id: 4, name: 'Robert Johnson', score: expect.any(Number) }]);
+    
+    const smiths = index.search('John Smith', { limit: 2 });
+    expect(smiths.map(result => result.id)).toEqual([1, 2]);
+    expect(smiths[0].score).toBeGreaterThanOrEqual(smiths[1].score);
+  });
+  
+  test('only scores names that share a blocking key', () => {
+    const matcher = new EnhancedNaturalMatcher();
+    const spy = jest.spyOn(matcher, 'getSimilarity');
+    const spied = new NameIndex({ matcher }).addAll(customers);
+    
+    spied.search('Maria Cruz');
+    expect(spy.mock.calls.map(([, name]) => String(name))).not.toContain('Robert Johnson');
+    expect(spy.mock.calls.length).toBeLessThan(customers.length);
+  });
+  
+  test('accepts a threshold and a limit', () => {
+    expect(index.search('John Smith', { threshold: 0 }).length).toBeGreaterThan(index.search('John Smith').length);
+    expect(index.search('John Smith', { limit: 1 })).toHaveLength(1);
+  });
+  
+  test('supports add, remove and update', () => {
+    expect(index.remove(4)).toBe(true);
+    expect(index.remove(4)).toBe(false);
+    expect(index.search('Robert Johnson')).toEqual([]);
+    
+    index.update(5, 'Bill Johnson');
+    expect(index.get(5)).toBe('Bill Johnson');
+    expect(index.search('William Johnson')[0].id).toBe(5);
+    expect(index.search('William Jones')).toEqual([]);
+    
+    expect(index.size).toBe(5);
+    expect(() => index.add(1, 'Another Name')).toThrow('Duplicate id in name index: 1');
+  });
+  
+  test('skips keys shared by too many names', () => {
+    const small = new NameIndex({ maxBlockSize: 1 }).addAll(customers);
+    expect(small.getCandidates('John Smith')).not.toContain(3);
+  });
+  
+  test('finds names whose keys are all too common', () => {
+    const crowded = new NameIndex({ maxBlockSize: 50, maxCandidates: 20 });
+    for (let i = 0; i < 60; i++) {
+      crowded.add(i, `John ${String.fromCharCode(97 + (i % 26))} Smith`);
+    }
+    crowded.add('exact', 'John Smith');
+    
+    expect(crowded.getCandidates('John Smith')).toHaveLength(20);
+    expect(crowded.search('John Smith')[0]).toEqual({ id: 'exact', name: 'John Smith', score: 1 });
+  });
+});
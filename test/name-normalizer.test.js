@@ -0,0 +1,241 @@
+const { NameNormalizer, EnhancedNaturalMatcher } = require('../index');
+
+const { cleanName, parseName, splitSurname, compactSurname } = NameNormalizer;
+
+describe('NameNormalizer', () => {
+  describe('cleanName', () => {
+    test('strips diacritics from Latin letters by default', () => {
+      expect(cleanName('José Muñoz')).toBe('jose munoz');
+      expect(cleanName('François Lefèvre')).toBe('francois lefevre');
+    });
+    
+    test('keeps diacritics when asked', () => {
+      expect(cleanName('José Muñoz', { stripDiacritics: false })).toBe('josé muñoz');
+    });
+    
+    test('transliterates Latin letters to ASCII', () => {
+      expect(cleanName('Łukasz Strauß', { script: 'ascii' })).toBe('lukasz strauss');
+      expect(cleanName('Søren Ærø', { script: 'ascii' })).toBe('soren aero');
+      expect(cleanName('Łukasz Strauß')).toBe('łukasz strauß');
+    });
+    
+    test('preserves non-Latin scripts', () => {
+      expect(cleanName('Владимир Путин')).toBe('владимир путин');
+      expect(cleanName('Γιώργος Παπαδόπουλος')).toBe('γιωργος παπαδοπουλος');
+      expect(cleanName('محمد عبـــدالله')).toBe('محمد عبدالله');
+      expect(cleanName('王小明')).toBe('王小明');
+      expect(cleanName('김민준')).toBe('김민준');
+    });
+    
+    test('folds compatibility characters and apostrophes', () => {
+      expect(cleanName('Ｊｏｈｎ　Ｓｍｉｔｈ')).toBe('john smith');
+      expect(cleanName('Conan O’Brien')).toBe("conan o'brien");
+    });
+  });
+  
+  describe('parseName', () => {
+    test('produces tokens for non-Latin names', () => {
+      const parsed = parseName('Владимир Владимирович Путин');
+      expect(parsed.firstName).toBe('владимир');
+      expect(parsed.middleNames).toEqual(['владимирович']);
+      expect(parsed.lastName).toBe('путин');
+      expect(parsed.initials).toEqual({ first: 'в', middle: 'в', last: 'п' });
+    });
+    
+    test('handles "Last, First Middle, Suffix" names', () => {
+      expect(parseName('Smith, John William, Jr.')).toMatchObject({
+        normalized: 'john william smith jr',
+        firstName: 'john',
+        middleNames: ['william'],
+        lastName: 'smith',
+        suffixes: ['jr'],
+        order: 'eastern',
+        orderSource: 'comma'
+      });
+      expect(parseName('García López, Juan')).toMatchObject({ firstName: 'juan', lastName: 'garcia lopez' });
+    });
+    
+    test('does not treat a comma before a suffix as "Last, First"', () => {
+      expect(parseName('John Smith, Jr.')).toMatchObject({
+        firstName: 'john',
+        lastName: 'smith',
+        suffixes: ['jr'],
+        order: 'western',
+        orderSource: 'default'
+      });
+    });
+    
+    test('recognizes surnames written in capitals', () => {
+      expect(parseName('SMITH John')).toMatchObject({ firstName: 'john', lastName: 'smith', order: 'eastern', orderSource: 'uppercase' });
+      expect(parseName('John W. SMITH')).toMatchObject({ firstName: 'john', lastName: 'smith', order: 'western', orderSource: 'uppercase' });
+      expect(parseName('JOHN SMITH')).toMatchObject({ firstName: 'john', lastName: 'smith', orderSource: 'default' });
+    });
+    
+    test('splits runs of initials into separate initials', () => {
+      expect(parseName('JW Smith')).toMatchObject({ firstName: 'j', middleNames: ['w'], lastName: 'smith', orderSource: 'default' });
+      expect(parseName('LI Wei')).toMatchObject({ firstName: 'wei', lastName: 'li', orderSource: 'uppercase' });
+    });
+    
+    test('keeps family names written in capitals whole', () => {
+      expect(parseName('Kevin NG')).toMatchObject({ firstName: 'kevin', middleNames: [], lastName: 'ng', orderSource: 'uppercase' });
+      expect(parseName('NG Kevin')).toMatchObject({ firstName: 'kevin', lastName: 'ng', order: 'eastern' });
+      expect(parseName('NG Wei Ling')).toMatchObject({ firstName: 'wei', middleNames: ['ling'], lastName: 'ng' });
+      expect(new EnhancedNaturalMatcher().isMatch('NG Kevin', 'Kevin Ng')).toBe(true);
+    });
+    
+    test('respects an explicit order', () => {
+      expect(parseName('Wang Xiaoming', { order: 'eastern' })).toMatchObject({
+        normalized: 'xiaoming wang',
+        firstName: 'xiaoming',
+        lastName: 'wang',
+        order: 'eastern',
+        orderSource: 'option'
+      });
+      expect(parseName('SMITH John', { order: 'western' })).toMatchObject({ firstName: 'smith', lastName: 'john', order: 'western' });
+    });
+    
+    test('splits unspaced CJK names into family and given name', () => {
+      expect(parseName('王小明')).toMatchObject({ firstName: '小明', lastName: '王', order: 'eastern', orderSource: 'script' });
+      expect(parseName('김민준')).toMatchObject({ firstName: '민준', lastName: '김' });
+    });
+    
+    test('keeps surname particles attached to the surname', () => {
+      expect(parseName('Maria de la Cruz')).toMatchObject({ firstName: 'maria', middleNames: [], lastName: 'de la cruz', particles: ['de', 'la'] });
+      expect(parseName('Ludwig van Beethoven')).toMatchObject({ firstName: 'ludwig', lastName: 'van beethoven', particles: ['van'] });
+      expect(parseName('Mohammed bin Salman')).toMatchObject({ firstName: 'mohammed', lastName: 'bin salman' });
+      expect(parseName('Cruz, Maria de la')).toMatchObject({ firstName: 'maria', lastName: 'cruz' });
+    });
+    
+    test('treats a leading particle as a given name unless the name is all particles and surname', () => {
+      expect(parseName('Van Morrison')).toMatchObject({ firstName: 'van', lastName: 'morrison', particles: [] });
+      expect(parseName('Van der Berg')).toMatchObject({ firstName: '', lastName: 'van der berg', particles: ['van', 'der'] });
+    });
+  });
+  
+  describe('Spanish and Portuguese conventions', () => {
+    test('reads two surnames after the given names', () => {
+      expect(parseName('Juan Carlos García López', { convention: 'spanish' })).toMatchObject({
+        firstName: 'juan',
+        middleNames: ['carlos'],
+        lastName: 'garcia lopez',
+        surnames: ['garcia', 'lopez'],
+        primarySurname: 'garcia'
+      });
+      expect(parseName('Gabriel García Márquez', { convention: 'spanish' })).toMatchObject({ firstName: 'gabriel', surnames: ['garcia', 'marquez'] });
+      expect(parseName('García López, Juan Carlos', { convention: 'spanish' })).toMatchObject({ firstName: 'juan', surnames: ['garcia', 'lopez'] });
+    });
+    
+    test('keeps common compound given names together', () => {
+      expect(parseName('Juan Carlos García', { convention: 'spanish' })).toMatchObject({ middleNames: ['carlos'], surnames: ['garcia'] });
+      expect(parseName('Ana Maria da Silva', { convention: 'portuguese' })).toMatchObject({ firstName: 'ana', middleNames: ['maria'], surnames: ['da silva'] });
+      expect(parseName('Maria del Carmen Lopez', { convention: 'spanish' })).toMatchObject({ firstName: 'maria', surnames: ['lopez'] });
+      expect(parseName('María de los Ángeles Pérez', { convention: 'spanish' })).toMatchObject({ surnames: ['perez'] });
+    });
+    
+    test('splits surnames at the joiner', () => {
+      expect(parseName('José Ortega y Gasset', { convention: 'spanish' })).toMatchObject({
+        firstName: 'jose',
+        lastName: 'ortega y gasset',
+        surnames: ['ortega', 'gasset'],
+        primarySurname: 'ortega'
+      });
+      expect(parseName('Maria dos Santos e Silva', { convention: 'portuguese' })).toMatchObject({ surnames: ['dos santos', 'silva'] });
+    });
+    
+    test('uses the last surname as primary in Portuguese names', () => {
+      expect(parseName('João Pedro Santos Silva', { convention: 'portuguese' })).toMatchObject({
+        firstName: 'joao',
+        surnames: ['santos', 'silva'],
+        primarySurname: 'silva'
+      });
+    });
+    
+    test('keeps the default convention unchanged', () => {
+      expect(parseName('Juan Carlos García López')).toMatchObject({ middleNames: ['carlos', 'garcia'], lastName: 'lopez', surnames: ['lopez'] });
+      expect(() => parseName('Juan García', { convention: 'klingon' })).toThrow('Unknown naming convention: klingon');
+    });
+  });
+  
+  describe('surname particles', () => {
+    test('splits particles from the core surname', () => {
+      expect(splitSurname('van der berg')).toEqual({ particles: ['van', 'der'], core: 'berg' });
+      expect(splitSurname('al-rashid')).toEqual({ particles: ['al'], core: 'rashid' });
+      expect(splitSurname("d'angelo")).toEqual({ particles: ['d'], core: 'angelo' });
+      expect(splitSurname('smith')).toEqual({ particles: [], core: 'smith' });
+    });
+    
+    test('compacts joined and separated spellings to the same key', () => {
+      expect(compactSurname('van den berg')).toBe(compactSurname('vandenberg'));
+      expect(compactSurname('al-rashid')).toBe(compactSurname('al rashid'));
+    });
+  });
+});
+
+describe('Name order matching', () => {
+  const matcher = new EnhancedNaturalMatcher();
+  
+  test('treats "Last, First" as an exact match', () => {
+    expect(matcher.explain('John Smith', 'Smith, John').enhanced.scores.exactMatch).toBe(1);
+    expect(matcher.explain('John William Smith Jr', 'Smith, John William, Jr.').enhanced.scores.exactMatch).toBe(1);
+  });
+  
+  test('passes the order option through parseOptions', () => {
+    const eastern = new EnhancedNaturalMatcher({ parseOptions: { order: 'eastern' } });
+    expect(eastern.explain('Wang Xiaoming', 'Xiaoming Wang').parsed.name1.lastName).toBe('wang');
+  });
+});
+
+describe('Surname particle matching', () => {
+  const matcher = new EnhancedNaturalMatcher();
+  
+  test('matches joined and separated particles', () => {
+    const { components, scores } = matcher.explain('Jan Vandenberg', 'Jan Van den Berg').enhanced;
+    expect(components.last).toEqual({ verdict: 'compatible', reason: 'joined', score: 0.95 });
+    expect(scores.exactMatch).toBe(0.9);
+    expect(matcher.isMatch('Omar Al-Rashid', 'Omar Al Rashid')).toBe(true);
+  });
+  
+  test('accepts a surname written without its particles', () => {
+    const result = matcher.explain('Maria de la Cruz', 'Maria Cruz');
+    expect(result.enhanced.components.last).toEqual({ verdict: 'compatible', reason: 'particles', score: 0.85 });
+    expect(result.isMatch).toBe(true);
+  });
+  
+  test('does not equate surnames with different particles', () => {
+    expect(matcher.explain('Jan van der Berg', 'Jan ter Berg').enhanced.components.last.reason).not.toBe('particles');
+  });
+});
+
+describe('Double surname matching', () => {
+  const matcher = new EnhancedNaturalMatcher({ parseOptions: { convention: 'spanish' } });
+  
+  test('accepts a record carrying only one of the two surnames', () => {
+    const result = matcher.explain('Juan Carlos García López', 'Juan García');
+    expect(result.enhanced.components.last).toEqual({ verdict: 'compatible', reason: 'one surname', score: 0.9 });
+    expect(result.isMatch).toBe(true);
+    expect(matcher.isMatch('José Ortega y Gasset', 'José Ortega')).toBe(true);
+  });
+  
+  test('still rejects a different surname', () => {
+    expect(matcher.explain('Juan García López', 'Juan Martínez').enhanced.components.last.verdict).toBe('conflicting');
+  });
+});
+
+describe('Unicode matching', () => {
+  const matcher = new EnhancedNaturalMatcher();
+  
+  test('matches accented and unaccented spellings', () => {
+    expect(matcher.isMatch('José Muñoz', 'Jose Munoz')).toBe(true);
+    expect(matcher.explain('José Muñoz', 'Jose Munoz').enhanced.scores.exactMatch).toBe(1);
+  });
+  
+  test('scores non-Latin names instead of returning 0', () => {
+    expect(matcher.getSimilarity('Владимир Путин', 'Путин Владимир')).toBeGreaterThanOrEqual(0.75);
+    expect(matcher.getSimilarity('Владимир Путин', 'Борис Ельцин')).toBeLessThan(0.75);
+  });
+  
+  test('matches transliterated spellings in ascii mode', () => {
+    const asciiMatcher = new EnhancedNaturalMatcher({ parseOptions: { script: 'ascii' } });
+    expect(asciiMatcher.explain('Łukasz Strauß', 'Lukasz Strauss').enhanced.scores.exactMatch).toBe(1);
+  });
+});
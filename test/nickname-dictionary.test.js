@@ -0,0 +1,107 @@
+const path = require('path');
+const { NicknameDictionary, NameNormalizer, EnhancedNaturalMatcher } = require('../index');
+
+const fixture = file => path.join(__dirname, 'fixtures', file);
+
+describe('NicknameDictionary', () => {
+  test('registers nicknames and resolves them in both directions', () => {
+    const dictionary = new NicknameDictionary({ william: ['will', 'bill'] });
+    expect(dictionary.getNicknames('William')).toEqual(['will', 'bill']);
+    expect(dictionary.getFormalNames('Bill')).toEqual(['william']);
+    expect(dictionary.areEquivalent('bill', 'william')).toBe(true);
+    expect(dictionary.areEquivalent('bill', 'will')).toBe(true);
+    expect(dictionary.areEquivalent('bill', 'robert')).toBe(false);
+  });
+  
+  test('handles many-to-many relationships', () => {
+    const dictionary = new NicknameDictionary()
+      .add('albert', ['al', 'bert'])
+      .add('alfred', ['al', 'alfie'])
+      .add('alexander', ['al', 'alex']);
+    
+    expect(dictionary.getFormalNames('al').sort()).toEqual(['albert', 'alexander', 'alfred']);
+    expect(dictionary.getEquivalents('al')).toEqual(
+      expect.arrayContaining(['al', 'albert', 'alfred', 'alexander', 'bert', 'alfie', 'alex'])
+    );
+    expect(dictionary.getEquivalents('albert')).not.toContain('alfred');
+  });
+  
+  test('reports links through ambiguous nicknames', () => {
+    const dictionary = new NicknameDictionary()
+      .add('albert', ['al', 'bert'])
+      .add('alfred', ['al', 'fred', 'freddie']);
+    
+    expect(dictionary.getRelation('al', 'alfred')).toBe('nickname');
+    expect(dictionary.getRelation('fred', 'freddie')).toBe('shared');
+    expect(dictionary.getRelation('al', 'fred')).toBe('ambiguous');
+    expect(dictionary.getRelation('bert', 'fred')).toBeNull();
+    expect(dictionary.getRelation('al', 'al')).toBeNull();
+  });
+  
+  test('merges dictionaries without modifying the source', () => {
+    const base = new NicknameDictionary({ robert: ['bob'] });
+    const merged = base.clone().merge({ robert: ['rob'], giuseppe: ['beppe'] });
+    
+    expect(merged.getNicknames('robert')).toEqual(['bob', 'rob']);
+    expect(merged.areEquivalent('giuseppe', 'beppe')).toBe(true);
+    expect(base.getNicknames('robert')).toEqual(['bob']);
+  });
+  
+  test('loads JSON and CSV files', () => {
+    const json = NicknameDictionary.load(fixture('nicknames.json'));
+    expect(json.areEquivalent('johannes', 'hansi')).toBe(true);
+    expect(json.areEquivalent('beppe', 'pino')).toBe(true);
+    
+    const csv = NicknameDictionary.load(fixture('nicknames.csv'));
+    expect(csv.areEquivalent('venky', 'venkatesh')).toBe(true);
+    expect(csv.getFormalNames('al').sort()).toEqual(['albert', 'alfred']);
+    expect(csv.getNicknames('formal')).toEqual([]);
+  });
+  
+  test('rejects unsupported files and malformed JSON', () => {
+    expect(() => NicknameDictionary.load(fixture('../nickname-dictionary.test.js'))).toThrow('Unsupported');
+    expect(() => NicknameDictionary.fromJSON('["pepe"]')).toThrow(TypeError);
+  });
+  
+  test('round-trips through toJSON', () => {
+    const dictionary = NicknameDictionary.fromCSV('giuseppe,beppe,"peppe"\ngiuseppe,pino');
+    expect(NicknameDictionary.fromJSON(JSON.stringify(dictionary)).toJSON()).toEqual({
+      giuseppe: ['beppe', 'peppe', 'pino']
+    });
+  });
+});
+
+describe('Matcher dictionaries', () => {
+  test('a matcher can use its own dictionary without changing global state', () => {
+    const matcher = new EnhancedNaturalMatcher({ nicknames: fixture('nicknames.json') });
+    const defaultMatcher = new EnhancedNaturalMatcher();
+    
+    expect(matcher.explain('Giuseppe Verdi', 'Beppe Verdi').enhanced.scores.nickname).toBe(0.85);
+    expect(matcher.explain('William Jones', 'Bill Jones').enhanced.scores.nickname).toBe(0.85);
+    expect(defaultMatcher.explain('Giuseppe Verdi', 'Beppe Verdi').enhanced.scores.nickname).toBe(0);
+    expect(NameNormalizer.areNameVariations('giuseppe', 'beppe')).toBe(false);
+  });
+  
+  test('a NicknameDictionary instance replaces the defaults', () => {
+    const matcher = new EnhancedNaturalMatcher({ nicknames: new NicknameDictionary({ johannes: ['hansi'] }) });
+    expect(matcher.explain('Johannes Weber', 'Hansi Weber').enhanced.scores.nickname).toBe(0.85);
+    expect(matcher.explain('William Jones', 'Bill Jones').enhanced.scores.nickname).toBe(0);
+  });
+  
+  test('names linked through an ambiguous nickname score lower', () => {
+    const matcher = new EnhancedNaturalMatcher({
+      nicknames: new NicknameDictionary({ albert: ['al', 'bert'], alfred: ['al', 'fred'] })
+    });
+    
+    const result = matcher.explain('Al Smith', 'Fred Smith');
+    expect(result.enhanced.components.first).toEqual({ verdict: 'compatible', reason: 'ambiguous nickname', score: 0.3 });
+    expect(result.enhanced.scores.nickname).toBe(0.3);
+    expect(result.isMatch).toBe(false);
+    expect(matcher.isMatch('Al Smith', 'Alfred Smith')).toBe(true);
+  });
+  
+  test('getNameVariations accepts a dictionary', () => {
+    const dictionary = new NicknameDictionary({ giuseppe: ['beppe'] });
+    expect(NameNormalizer.getNameVariations('Giuseppe Verdi', { dictionary })).toContain('beppe verdi');
+  });
+});
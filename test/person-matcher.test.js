@@ -0,0 +1,95 @@
+const { PersonMatcher, EnhancedNaturalMatcher } = require('../index');
+
+const stored = {
+  name: 'Robert Johnson',
+  dateOfBirth: '1985-03-12',
+  email: 'rob.johnson@gmail.com',
+  phone: '+1 (555) 123-4567',
+  postalCode: '02139'
+};
+
+describe('PersonMatcher', () => {
+  const matcher = new PersonMatcher();
+  
+  test('combines every field into one decision with per-field evidence', () => {
+    const result = matcher.compare(stored, {
+      name: 'Bob Johnson',
+      dateOfBirth: '03/12/1985',
+      email: 'robjohnson+shop@gmail.com',
+      phone: '555.123.4567',
+      postalCode: '02139-4307'
+    });
+    
+    expect(result.isMatch).toBe(true);
+    expect(result.threshold).toBe(0.8);
+    expect(result.evidence).toEqual({
+      name: { verdict: 'compatible', reason: 'similar', score: expect.any(Number) },
+      dateOfBirth: { verdict: 'compatible', reason: 'exact', score: 1 },
+      email: { verdict: 'compatible', reason: 'exact', score: 1 },
+      phone: { verdict: 'compatible', reason: 'country code', score: 0.95 },
+      postalCode: { verdict: 'compatible', reason: 'same zip', score: 0.95 }
+    });
+  });
+  
+  test('ignores fields missing from either record', () => {
+    const result = matcher.compare(stored, { name: 'Robert Johnson', phone: '' });
+    expect(result.evidence.phone).toEqual({ verdict: 'unknown', reason: 'missing', score: null });
+    expect(result.evidence.dateOfBirth.verdict).toBe('unknown');
+    expect(result.score).toBe(1);
+  });
+  
+  test('rejects the same name with a different date of birth and phone', () => {
+    const result = matcher.compare(stored, { name: 'Robert Johnson', dateOfBirth: '1990-07-01', phone: '555 999 0000' });
+    expect(result.evidence.dateOfBirth).toEqual({ verdict: 'conflicting', reason: 'different', score: 0 });
+    expect(result.isMatch).toBe(false);
+  });
+  
+  test('accepts custom weights and thresholds', () => {
+    const nameOnly = new PersonMatcher({ weights: { dateOfBirth: 0, phone: 0 }, threshold: 0.9 });
+    const result = nameOnly.compare(stored, { name: 'Robert Johnson', dateOfBirth: '1990-07-01', phone: '555 999 0000' });
+    expect(result.evidence).not.toHaveProperty('dateOfBirth');
+    expect(result.isMatch).toBe(true);
+    
+    const strictNames = new PersonMatcher({ matcher: new EnhancedNaturalMatcher({ preset: 'identity-verification' }) });
+    expect(strictNames.compare(stored, { name: 'Bob Johnson' }).evidence.name.verdict).toBe('conflicting');
+  });
+  
+  describe('dates of birth', () => {
+    test('detects swapped day and month', () => {
+      expect(matcher.compareDates('1985-03-12', '12/03/1985')).toMatchObject({ reason: 'day-month transposed' });
+      const european = new PersonMatcher({ dateOrder: 'dmy' });
+      expect(european.compareDates('1985-03-12', '12/03/1985')).toMatchObject({ reason: 'exact' });
+    });
+    
+    test('detects typos and transposed digits', () => {
+      expect(matcher.compareDates('1985-03-12', '1958-03-12')).toMatchObject({ verdict: 'compatible', reason: 'digit transposition' });
+      expect(matcher.compareDates('1985-03-12', '1985-03-13')).toMatchObject({ verdict: 'compatible', reason: 'typo' });
+      expect(matcher.compareDates(new Date(Date.UTC(1985, 2, 12)), '19850312')).toMatchObject({ reason: 'exact' });
+      expect(matcher.compareDates('1985-03-12', 'not a date')).toEqual({ verdict: 'unknown', reason: 'invalid', score: null });
+    });
+  });
+  
+  describe('emails', () => {
+    test('compares local parts', () => {
+      expect(matcher.compareEmails('John.Smith@gmail.com', 'johnsmith@gmail.com')).toMatchObject({ reason: 'exact' });
+      expect(matcher.compareEmails('john.smith@work.com', 'john.smith@home.org')).toMatchObject({ reason: 'same local part', score: 0.9 });
+      expect(matcher.compareEmails('john.smith@work.com', 'jon.smith@home.org')).toMatchObject({ verdict: 'compatible', reason: 'similar local part' });
+      expect(matcher.compareEmails('john.smith@work.com', 'mary.jones@work.com')).toMatchObject({ verdict: 'conflicting' });
+    });
+  });
+  
+  describe('phones and postal codes', () => {
+    test('compares normalized phone digits', () => {
+      expect(matcher.comparePhones('(555) 123-4567', '555.123.4567')).toMatchObject({ reason: 'exact' });
+      expect(matcher.comparePhones('020 7946 0018', '+44 20 7946 0018')).toMatchObject({ reason: 'country code' });
+      expect(matcher.comparePhones('555 123 4567', '555 123 4576')).toMatchObject({ reason: 'typo' });
+      expect(matcher.comparePhones('123', '555 123 4567').verdict).toBe('unknown');
+    });
+    
+    test('compares postal codes', () => {
+      expect(matcher.comparePostalCodes('sw1a 1aa', 'SW1A1AA')).toMatchObject({ reason: 'exact' });
+      expect(matcher.comparePostalCodes('02139', '02134')).toMatchObject({ reason: 'same area', score: 0.5 });
+      expect(matcher.comparePostalCodes('02139', '94105')).toMatchObject({ verdict: 'conflicting' });
+    });
+  });
+});
@@ -0,0 +1,51 @@
+const { encodeWord, soundsAlike } = require('../src/phonetic');
+const { EnhancedNaturalMatcher, EnhancedMatcher } = require('../index');
+
+describe('phonetic encoding', () => {
+  test('encodes words with each algorithm', () => {
+    expect(encodeWord('catherine', 'soundex')).toEqual(['C365']);
+    expect(encodeWord('kathryn', 'metaphone')).toEqual(['K0RN']);
+    expect(encodeWord('smith', 'doubleMetaphone')).toEqual(['SM0', 'XMT']);
+  });
+  
+  test('does not encode words outside the Latin alphabet', () => {
+    expect(encodeWord('владимир')).toBeNull();
+    expect(encodeWord('josé', 'metaphone')).toEqual(['JS']);
+  });
+  
+  test('rejects unknown algorithms', () => {
+    expect(() => encodeWord('smith', 'nysiis')).toThrow('Unknown phonetic algorithm: nysiis');
+    expect(() => new EnhancedMatcher({ phonetic: { algorithm: 'nysiis' } })).toThrow('Unknown phonetic algorithm');
+  });
+  
+  test('compares multi-word components word by word', () => {
+    expect(soundsAlike('smith', 'smyth')).toBe(true);
+    expect(soundsAlike('van berg', 'van burg')).toBe(true);
+    expect(soundsAlike('van berg', 'berg')).toBe(false);
+    expect(soundsAlike('smith', '')).toBeNull();
+  });
+});
+
+describe('phonetic strategy', () => {
+  const matcher = new EnhancedNaturalMatcher();
+  
+  test('scores names that sound alike', () => {
+    const { enhanced } = matcher.explain('Catherine Smith', 'Kathryn Smyth');
+    expect(enhanced.scores.phonetic).toBe(0.9);
+    expect(enhanced.strategy).toBe('phonetic');
+  });
+  
+  test('weights first and last names separately', () => {
+    expect(matcher.explain('Henry Jackson', 'Howard Jackson').enhanced.scores.phonetic).toBeCloseTo(0.54);
+    expect(matcher.explain('Catherine Smith', 'Catherine Jones').enhanced.scores.phonetic).toBeCloseTo(0.36);
+    
+    const surnameOnly = new EnhancedNaturalMatcher({ phonetic: { weights: { first: 0, last: 1 } } });
+    expect(surnameOnly.explain('Henry Jackson', 'Howard Jackson').enhanced.scores.phonetic).toBe(0.9);
+  });
+  
+  test('uses the configured algorithm', () => {
+    const metaphone = new EnhancedNaturalMatcher({ phonetic: { algorithm: 'metaphone' } });
+    expect(metaphone.explain('Smith Jones', 'Schmidt Jones').enhanced.scores.phonetic).toBeCloseTo(0.54);
+    expect(matcher.explain('Smith Jones', 'Schmidt Jones').enhanced.scores.phonetic).toBe(0.9);
+  });
+});
@@ -0,0 +1,144 @@
+const LRUCache = require('../src/lru-cache');
+const PreparedName = require('../src/prepared-name');
+const { EnhancedNaturalMatcher, EnhancedMatcher, NameIndex, cluster, link } = require('../index');
+
+describe('LRUCache', () => {
+  test('evicts the least recently used entry', () => {
+    const cache = new LRUCache(2);
+    cache.set('a', 1).set('b', 2);
+    expect(cache.get('a')).toBe(1);
+
+    cache.set('c', 3);
+    expect(cache.has('b')).toBe(false);
+    expect(cache.has('a')).toBe(true);
+    expect(cache.size).toBe(2);
+  });
+
+  test('counts hits, misses and evictions', () => {
+    const cache = new LRUCache(1);
+    cache.get('a');
+    cache.set('a', 1);
+    cache.get('a');
+    cache.set('b', 2);
+
+    expect(cache.getStats()).toEqual({ hits: 1, misses: 1, hitRate: 0.5, evictions: 1, size: 1, maxSize: 1 });
+    cache.clear();
+    expect(cache.getStats()).toMatchObject({ hits: 0, misses: 0, size: 0 });
+  });
+
+  test('requires a positive integer size', () => {
+    expect(() => new LRUCache(0)).toThrow('Cache size must be a positive integer: 0');
+  });
+});
+
+describe('Prepared names', () => {
+  test('are accepted in place of names by every scoring method', () => {
+    const matcher = new EnhancedNaturalMatcher();
+    const william = matcher.prepare('William Jones');
+    const bill = matcher.prepare('Bill Jones');
+
+    expect(william).toBeInstanceOf(PreparedName);
+    expect(william.parsed.firstName).toBe('william');
+    expect(String(william)).toBe('William Jones');
+
+    expect(matcher.getSimilarity(william, bill)).toBe(matcher.getSimilarity('William Jones', 'Bill Jones'));
+    expect(matcher.getSimilarity(william, 'Bill Jones')).toBe(matcher.getSimilarity('William Jones', 'Bill Jones'));
+    expect(matcher.isMatch(william, bill)).toBe(true);
+    expect(matcher.getSimilarity(william, matcher.prepare('William Jones'))).toBe(1);
+    expect(matcher.enhancedMatcher.getSimilarity(william, bill))
+      .toBe(matcher.enhancedMatcher.getSimilarity('William Jones', 'Bill Jones'));
+
+    const explanation = matcher.explain(william, bill);
+    expect(explanation).toMatchObject({ name1: 'William Jones', name2: 'Bill Jones' });
+    expect(explanation).toEqual(matcher.explain('William Jones', 'Bill Jones'));
+
+    const group = matcher.matchNameGroup([william, 'Bill Jones']);
+    expect(group.matches[0]).toMatchObject({ name1: 'William Jones', name2: 'Bill Jones' });
+  });
+
+  test('are parsed again by a matcher with other options', () => {
+    const western = new EnhancedMatcher();
+    const eastern = new EnhancedMatcher({ parseOptions: { order: 'eastern' } });
+    const prepared = western.prepare('Wang Wei');
+
+    expect(eastern.prepare(prepared)).not.toBe(prepared);
+    expect(eastern.prepare(prepared).parsed.lastName).toBe('wang');
+    expect(western.prepare(prepared)).toBe(prepared);
+  });
+
+  test('spare matchNameGroup from parsing each name once per pair', () => {
+    const matcher = new EnhancedNaturalMatcher();
+    const normalize = jest.spyOn(matcher.enhancedMatcher, 'normalizeNameForComparison');
+
+    matcher.matchNameGroup(['Aaron Charles Donovan', 'Aaron Donovan', 'Donovan, Aaron C.', 'A. C. Donovan']);
+    expect(normalize).toHaveBeenCalledTimes(4);
+  });
+
+  test('spare EnhancedMatcher#matchNameGroup from parsing each name once per pair', () => {
+    const matcher = new EnhancedMatcher();
+    const normalize = jest.spyOn(matcher, 'normalizeNameForComparison');
+
+    const group = matcher.matchNameGroup(['Aaron Charles Donovan', 'Aaron Donovan', matcher.prepare('A. C. Donovan')]);
+    expect(normalize).toHaveBeenCalledTimes(3);
+    expect(group.matches[1]).toMatchObject({ name1: 'Aaron Charles Donovan', name2: 'A. C. Donovan' });
+  });
+
+  test('are parsed once per name by the dataset APIs', () => {
+    const names = ['Robert Smith', 'Bob Smith', 'Rob Smyth', 'Roberta Smith', 'Robert Smithe'];
+    const matcher = new EnhancedNaturalMatcher();
+    const normalize = jest.spyOn(matcher.enhancedMatcher, 'normalizeNameForComparison');
+
+    cluster(names, { matcher });
+    expect(normalize).toHaveBeenCalledTimes(names.length);
+
+    normalize.mockClear();
+    link(names.slice(0, 2), names.slice(2), { matcher });
+    expect(normalize).toHaveBeenCalledTimes(names.length);
+
+    normalize.mockClear();
+    const index = new NameIndex({ matcher }).addAll(names.map((name, id) => ({ id, name })));
+    index.search('Bobby Smith');
+    index.search('Rob Smith');
+    expect(normalize).toHaveBeenCalledTimes(names.length + 2);
+  });
+
+  test('work with a name index', () => {
+    const index = new NameIndex();
+    index.add(1, index.matcher.prepare('Robert Smith'));
+
+    expect(index.get(1)).toBe('Robert Smith');
+    expect(index.search(index.matcher.prepare('Rob Smith'))[0]).toMatchObject({ id: 1, name: 'Robert Smith' });
+  });
+});
+
+describe('Prepared-name cache', () => {
+  test('is disabled by default', () => {
+    const matcher = new EnhancedNaturalMatcher();
+    expect(matcher.getCacheStats()).toBeNull();
+    expect(matcher.prepare('Ann Lee')).not.toBe(matcher.prepare('Ann Lee'));
+  });
+
+  test('parses repeated names once and reports hits and misses', () => {
+    const matcher = new EnhancedNaturalMatcher({ cache: 100 });
+    const normalize = jest.spyOn(matcher.enhancedMatcher, 'normalizeNameForComparison');
+
+    matcher.getSimilarity('William Jones', 'Bill Jones');
+    matcher.getSimilarity('William Jones', 'Will Jones');
+    matcher.getSimilarity('Bill Jones', 'Will Jones');
+
+    expect(normalize).toHaveBeenCalledTimes(3);
+    expect(matcher.getCacheStats()).toMatchObject({ hits: 3, misses: 3, size: 3, maxSize: 100 });
+    expect(matcher.prepare('Bill Jones')).toBe(matcher.prepare('Bill Jones'));
+
+    matcher.clearCache();
+    expect(matcher.getCacheStats()).toMatchObject({ hits: 0, misses: 0, size: 0 });
+  });
+
+  test('stays within its size', () => {
+    const matcher = new EnhancedNaturalMatcher({ cache: 2 });
+    ['Ann Lee', 'Bob Lee', 'Cal Lee', 'Ann Lee'].forEach(name => matcher.prepare(name));
+
+    expect(matcher.getCacheStats()).toMatchObject({ size: 2, misses: 4, evictions: 2 });
+    expect(new EnhancedNaturalMatcher({ cache: true }).getCacheStats().maxSize).toBe(1000);
+  });
+});
@@ -0,0 +1,93 @@
+const { fuseScores } = require('../src/score-fusion');
+const { EnhancedNaturalMatcher, PRESETS } = require('../index');
+
+describe('fuseScores', () => {
+  const scores = { a: 0.9, b: 0.6, c: 0.3 };
+  
+  test('takes the best score by default', () => {
+    expect(fuseScores(scores)).toEqual({ score: 0.9, strategy: 'a' });
+  });
+  
+  test('supports min and average', () => {
+    expect(fuseScores(scores, { method: 'min' })).toEqual({ score: 0.3, strategy: 'c' });
+    expect(fuseScores(scores, { method: 'average' }).score).toBeCloseTo(0.6);
+  });
+  
+  test('supports weighted averages and weighted max', () => {
+    const weights = { a: 1, b: 2, c: 0 };
+    expect(fuseScores(scores, { method: 'weighted-average', weights }).score).toBeCloseTo(0.7);
+    expect(fuseScores(scores, { method: 'weighted-average', weights }).strategy).toBe('b');
+    expect(fuseScores(scores, { method: 'weighted-max', weights: { a: 0.5 } })).toEqual({ score: 0.6, strategy: 'b' });
+  });
+  
+  test('supports a custom combiner', () => {
+    const method = jest.fn((values, weights) => values.a * weights.a);
+    expect(fuseScores(scores, { method, weights: { a: 0.5 } })).toEqual({ score: 0.45, strategy: null });
+    expect(method).toHaveBeenCalledWith(scores, { a: 0.5 });
+  });
+  
+  test('returns 0 without scores and rejects unknown methods', () => {
+    expect(fuseScores({})).toEqual({ score: 0, strategy: null });
+    expect(() => fuseScores(scores, { method: 'median' })).toThrow('Unknown fusion method: median');
+  });
+});
+
+describe('Matcher fusion configuration', () => {
+  test('uses weights for the natural and enhanced scores', () => {
+    const matcher = new EnhancedNaturalMatcher({
+      fusion: { method: 'weighted-average', weights: { natural: 0, enhanced: 1 } }
+    });
+    const result = matcher.explain('William Jones', 'Bill Jones');
+    expect(result.score).toBe(parseFloat(result.enhanced.score.toFixed(2)));
+    expect(result.combination).toMatchObject({ method: 'weighted-average', strategy: 'enhanced' });
+  });
+  
+  test('configures fusion within each component', () => {
+    const matcher = new EnhancedNaturalMatcher({
+      fusion: {
+        natural: { method: 'min' },
+        enhanced: { method: 'weighted-max', weights: { nickname: 0.5, component: 0.5 } }
+      }
+    });
+    const { natural, enhanced } = matcher.explain('William Jones', 'Bill Jones');
+    expect(natural.score).toBe(Math.min(...Object.values(natural.scores)));
+    expect(natural.fusion.method).toBe('min');
+    expect(enhanced.strategy).toBe('editDistance');
+  });
+  
+  test('accepts a custom combiner function', () => {
+    const matcher = new EnhancedNaturalMatcher({ fusion: { method: scores => scores.natural } });
+    const result = matcher.explain('Robert Johnson', 'Bob Johnson');
+    expect(result.score).toBe(parseFloat(result.natural.score.toFixed(2)));
+    expect(result.combination.method).toBe('custom');
+  });
+  
+  test('disables individual strategies', () => {
+    const matcher = new EnhancedNaturalMatcher({ strategies: { dice: false, nickname: false } });
+    const { natural, enhanced } = matcher.explain('William Jones', 'Bill Jones');
+    expect(natural.scores).not.toHaveProperty('dice');
+    expect(enhanced.scores).not.toHaveProperty('nickname');
+    expect(enhanced.scores).toHaveProperty('editDistance');
+  });
+});
+
+describe('Presets', () => {
+  test('ships identity-verification and deduplication presets', () => {
+    expect(Object.keys(PRESETS)).toEqual(expect.arrayContaining(['identity-verification', 'deduplication']));
+  });
+  
+  test('applies preset values and lets options override them', () => {
+    const strict = new EnhancedNaturalMatcher({ preset: 'identity-verification' });
+    expect(strict.threshold).toBe(0.85);
+    expect(strict.fusion.method).toBe('min');
+    expect(strict.explain('Ander Herrera', 'Herrera Ander').enhanced.scores).not.toHaveProperty('tokenSet');
+    
+    const custom = new EnhancedNaturalMatcher({ preset: 'deduplication', threshold: 0.8 });
+    expect(custom.threshold).toBe(0.8);
+    expect(custom.fusion.weights).toEqual({ natural: 0.4, enhanced: 0.6 });
+  });
+  
+  test('rejects unknown presets', () => {
+    expect(() => new EnhancedNaturalMatcher({ preset: 'fuzzy' })).toThrow('Unknown preset: fuzzy');
+  });
+});
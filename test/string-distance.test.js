@@ -0,0 +1,89 @@
+const natural = require('natural');
+const {
+  levenshtein,
+  damerauLevenshtein,
+  levenshteinSimilarity,
+  damerauSimilarity,
+  jaro,
+  jaroWinkler
+} = require('../src/string-distance');
+
+const PAIRS = [
+  ['', ''],
+  ['', 'abc'],
+  ['kitten', 'sitting'],
+  ['smith', 'smyth'],
+  ['john smith', 'smith john'],
+  ['martha', 'marhta'],
+  ['dwayne', 'duane'],
+  ['josé muñoz', 'jose munoz'],
+  ['abcdefghijklmnopqrstuvwxyz0123456789', 'abcdefghijklmnopqrstuvwxyz012345678x'],
+  ['christopher alexander montgomery', 'kristofer alexandr montgomerie'],
+  ['a', 'b']
+];
+
+describe('levenshtein', () => {
+  test('agrees with natural.js', () => {
+    for (const [a, b] of PAIRS) {
+      expect(levenshtein(a, b)).toBe(natural.LevenshteinDistance(a, b));
+      expect(levenshtein(b, a)).toBe(natural.LevenshteinDistance(a, b));
+    }
+  });
+
+  test('agrees with natural.js on long strings', () => {
+    const a = 'wolfeschlegelsteinhausenbergerdorff senior';
+    const b = 'wolfschlegelsteinhausenbergerdorf sr';
+    expect(levenshtein(a, b)).toBe(natural.LevenshteinDistance(a, b));
+  });
+
+  test('stops once maxDistance is exceeded', () => {
+    expect(levenshtein('kitten', 'sitting', 3)).toBe(3);
+    expect(levenshtein('kitten', 'sitting', 2)).toBe(3);
+    expect(levenshtein('a', 'abcdef', 1)).toBe(2);
+    expect(levenshtein('christopher', 'bartholomew', 0)).toBe(1);
+    expect(levenshtein('same', 'same', 0)).toBe(0);
+  });
+});
+
+describe('damerauLevenshtein', () => {
+  test('counts adjacent transpositions as one edit', () => {
+    expect(damerauLevenshtein('martha', 'marhta')).toBe(1);
+    expect(levenshtein('martha', 'marhta')).toBe(2);
+    expect(damerauLevenshtein('ca', 'abc')).toBe(3);
+    expect(damerauLevenshtein('kitten', 'sitting')).toBe(3);
+  });
+
+  test('stops once maxDistance is exceeded', () => {
+    expect(damerauLevenshtein('martha', 'marhta', 0)).toBe(1);
+    expect(damerauLevenshtein('john smith', 'smith john', 2)).toBe(3);
+  });
+});
+
+describe('similarities', () => {
+  test('are 1 - distance / longer length', () => {
+    expect(levenshteinSimilarity('smith', 'smyth')).toBeCloseTo(0.8);
+    expect(damerauSimilarity('martha', 'marhta')).toBeCloseTo(5 / 6);
+    expect(levenshteinSimilarity('', '')).toBe(1);
+  });
+
+  test('return 0 for pairs below minSimilarity', () => {
+    expect(levenshteinSimilarity('smith', 'smyth', 0.8)).toBeCloseTo(0.8);
+    expect(levenshteinSimilarity('smith', 'jones', 0.8)).toBe(0);
+    expect(damerauSimilarity('martha', 'marhta', 0.9)).toBe(0);
+  });
+});
+
+describe('jaroWinkler', () => {
+  test('agrees with natural.js', () => {
+    for (const [a, b] of PAIRS) {
+      expect(jaroWinkler(a, b)).toBeCloseTo(natural.JaroWinklerDistance(a, b), 12);
+    }
+  });
+
+  test('supports the prefix options', () => {
+    expect(jaro('dwayne', 'duane')).toBeCloseTo(0.822, 3);
+    expect(jaroWinkler('dwayne', 'duane')).toBeCloseTo(0.84, 3);
+    expect(jaroWinkler('dwayne', 'duane', { prefixScale: 0 })).toBeCloseTo(jaro('dwayne', 'duane'));
+    expect(jaroWinkler('martha', 'marhta', { maxPrefix: 2 })).toBeLessThan(jaroWinkler('martha', 'marhta'));
+  });
+});